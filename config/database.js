@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { PERMISSIONS, SYSTEM_ROLES } = require('./permissions');
 require('dotenv').config();
 
 const pool = new Pool({
@@ -26,6 +27,75 @@ pool.on('error', (err) => {
 // Database initialization function
 const initializeDatabase = async () => {
   try {
+    // Roles and permissions
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(50) UNIQUE NOT NULL,
+        description VARCHAR(255),
+        is_system BOOLEAN NOT NULL DEFAULT FALSE,
+        requires_two_factor BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS permissions (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description VARCHAR(255)
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+        permission_id INTEGER NOT NULL REFERENCES permissions(id) ON DELETE CASCADE,
+        PRIMARY KEY (role_id, permission_id)
+      )
+    `);
+
+    // Seed permission catalogue and built-in roles. Grants are only seeded
+    // when a role or permission is first created, so grants admins remove
+    // from built-in roles stay removed across restarts.
+    const existingPermissions = await pool.query('SELECT name FROM permissions');
+    const knownPermissions = new Set(existingPermissions.rows.map((row) => row.name));
+
+    for (const [name, description] of Object.entries(PERMISSIONS)) {
+      await pool.query(
+        `INSERT INTO permissions (name, description) VALUES ($1, $2)
+         ON CONFLICT (name) DO UPDATE SET description = EXCLUDED.description`,
+        [name, description]
+      );
+    }
+
+    for (const role of SYSTEM_ROLES) {
+      const created = await pool.query(
+        `INSERT INTO roles (name, description, is_system, requires_two_factor)
+         VALUES ($1, $2, TRUE, $3)
+         ON CONFLICT (name) DO NOTHING
+         RETURNING id`,
+        [role.name, role.description, role.requiresTwoFactor]
+      );
+
+      // A new role gets its full default set; an existing one only gets
+      // permissions this release introduces (a one-off migration per permission)
+      const grants = created.rows.length > 0
+        ? role.permissions
+        : role.permissions.filter((permission) => !knownPermissions.has(permission));
+
+      if (grants.length > 0) {
+        await pool.query(
+          `INSERT INTO role_permissions (role_id, permission_id)
+           SELECT r.id, p.id FROM roles r, permissions p
+           WHERE r.name = $1 AND p.name = ANY($2)
+           ON CONFLICT DO NOTHING`,
+          [role.name, grants]
+        );
+      }
+    }
+
     // Create tables if they don't exist
     await pool.query(`
       CREATE TABLE IF NOT EXISTS users (
@@ -34,12 +104,30 @@ const initializeDatabase = async () => {
         email VARCHAR(255) UNIQUE NOT NULL,
         password VARCHAR(255) NOT NULL,
         address VARCHAR(400) NOT NULL CHECK (LENGTH(address) <= 400),
-        role VARCHAR(20) NOT NULL DEFAULT 'normal_user' CHECK (role IN ('system_admin', 'normal_user', 'store_owner')),
+        role VARCHAR(50) NOT NULL DEFAULT 'NORMAL_USER',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
+    // Migrate legacy lowercase roles onto the canonical set and the roles table
+    await pool.query('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check');
+    await pool.query(`
+      ALTER TABLE users 
+      ALTER COLUMN role TYPE VARCHAR(50),
+      ALTER COLUMN role SET DEFAULT 'NORMAL_USER'
+    `);
+    await pool.query('UPDATE users SET role = UPPER(role) WHERE role <> UPPER(role)');
+    await pool.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_role_fkey') THEN
+          ALTER TABLE users
+          ADD CONSTRAINT users_role_fkey FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+        END IF;
+      END $$;
+    `);
+
     await pool.query(`
       CREATE TABLE IF NOT EXISTS stores (
         id SERIAL PRIMARY KEY,
@@ -73,15 +161,513 @@ const initializeDatabase = async () => {
       ADD COLUMN IF NOT EXISTS comment TEXT
     `);
 
+    // Store coordinates, entered by hand or filled in by the geocoder
+    await pool.query(`
+      ALTER TABLE stores
+      ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+      ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
+      ADD COLUMN IF NOT EXISTS location_source VARCHAR(20)
+    `);
+
+    // Admin-managed category tree and free-form tags for stores
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(60) NOT NULL,
+        slug VARCHAR(80) UNIQUE NOT NULL,
+        description VARCHAR(400),
+        parent_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (parent_id IS NULL OR parent_id <> id)
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS store_categories (
+        store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+        PRIMARY KEY (store_id, category_id)
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(40) UNIQUE NOT NULL CHECK (name = LOWER(name)),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS store_tags (
+        store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        PRIMARY KEY (store_id, tag_id)
+      )
+    `);
+
+    // Brands group the locations of a chain; brand managers can read the
+    // ratings of every location of the brands they manage
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS brands (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        slug VARCHAR(80) UNIQUE NOT NULL,
+        description VARCHAR(400),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      ALTER TABLE stores ADD COLUMN IF NOT EXISTS brand_id INTEGER REFERENCES brands(id) ON DELETE SET NULL
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS brand_managers (
+        brand_id INTEGER NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (brand_id, user_id)
+      )
+    `);
+
+    // Opening hours, kept in the store's local time zone. day_of_week follows
+    // EXTRACT(DOW): 0 = Sunday. An interval closing before it opens runs past
+    // midnight; closes_at may be 24:00 for "until midnight".
+    await pool.query(`
+      ALTER TABLE stores ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC'
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS store_hours (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+        opens_at TIME NOT NULL,
+        closes_at TIME NOT NULL,
+        CHECK (opens_at <> closes_at)
+      )
+    `);
+
+    // Holiday closures and special hours for a single local date. A closed
+    // date has one row with no times; otherwise one row per interval.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS store_hour_exceptions (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        date DATE NOT NULL,
+        closed BOOLEAN NOT NULL DEFAULT FALSE,
+        opens_at TIME,
+        closes_at TIME,
+        note VARCHAR(200),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (
+          (closed AND opens_at IS NULL AND closes_at IS NULL) OR
+          (NOT closed AND opens_at IS NOT NULL AND closes_at IS NOT NULL AND opens_at <> closes_at)
+        )
+      )
+    `);
+
+    // Store logos and gallery photos. Files live in the media storage backend;
+    // variants maps each thumbnail size to its key and dimensions.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS store_media (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        kind VARCHAR(10) NOT NULL CHECK (kind IN ('logo', 'photo')),
+        storage_key VARCHAR(255) NOT NULL,
+        content_type VARCHAR(50) NOT NULL,
+        width INTEGER NOT NULL,
+        height INTEGER NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        variants JSONB NOT NULL DEFAULT '{}',
+        caption VARCHAR(200),
+        position INTEGER NOT NULL DEFAULT 0,
+        uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Ownership claims on unowned stores, reviewed by an admin. Evidence
+    // files live in media storage outside the public prefix.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS store_claims (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        claimant_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        note VARCHAR(1000) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'approved', 'rejected', 'withdrawn')),
+        review_note VARCHAR(1000),
+        reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reviewed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS store_claim_evidence (
+        id SERIAL PRIMARY KEY,
+        claim_id INTEGER NOT NULL REFERENCES store_claims(id) ON DELETE CASCADE,
+        storage_key VARCHAR(255) NOT NULL,
+        file_name VARCHAR(255) NOT NULL,
+        content_type VARCHAR(50) NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Staff an owner has added to a store, with the access level they were
+    // given, and pending invitations to join
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS store_members (
+        store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        level VARCHAR(20) NOT NULL CHECK (level IN ('viewer', 'responder', 'editor')),
+        added_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (store_id, user_id)
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS store_member_invitations (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        level VARCHAR(20) NOT NULL CHECK (level IN ('viewer', 'responder', 'editor')),
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP NOT NULL,
+        accepted_at TIMESTAMP,
+        accepted_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Public replies from a store's owner or staff to its ratings
+    await pool.query(`
+      ALTER TABLE ratings
+      ADD COLUMN IF NOT EXISTS response TEXT,
+      ADD COLUMN IF NOT EXISTS responded_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS responded_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+    `);
+
+    // Track email verification; accounts that existed before are treated as verified
+    await pool.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'users' AND column_name = 'email_verified_at'
+        ) THEN
+          ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP;
+          UPDATE users SET email_verified_at = created_at;
+        END IF;
+      END $$;
+    `);
+
+    await pool.query(`
+      ALTER TABLE users 
+      ADD COLUMN IF NOT EXISTS verification_sent_at TIMESTAMP
+    `);
+
+    // TOTP two-factor authentication
+    await pool.query(`
+      ALTER TABLE users 
+      ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64),
+      ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Login challenges that have completed, so each can only be used once
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS used_two_factor_challenges (
+        jti VARCHAR(64) PRIMARY KEY,
+        expires_at TIMESTAMP NOT NULL
+      )
+    `);
+
+    // Brute-force protection
+    await pool.query(`
+      ALTER TABLE users 
+      ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP
+    `);
+
+    // Password policy: age tracking and reuse history
+    await pool.query(`
+      ALTER TABLE users 
+      ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS password_history (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Seed history with current passwords of users created before it existed
+    await pool.query(`
+      INSERT INTO password_history (user_id, password_hash, created_at)
+      SELECT u.id, u.password, COALESCE(u.password_changed_at, u.created_at, CURRENT_TIMESTAMP)
+      FROM users u
+      WHERE NOT EXISTS (SELECT 1 FROM password_history h WHERE h.user_id = u.id)
+    `);
+
+    // Self-service account deletion with a grace period
+    await pool.query(`
+      ALTER TABLE users 
+      ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        email VARCHAR(255),
+        ip_address VARCHAR(45) NOT NULL,
+        attempt_type VARCHAR(20) NOT NULL,
+        success BOOLEAN NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Single sign-on identities linked to local users
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        issuer VARCHAR(255) NOT NULL,
+        subject VARCHAR(255) NOT NULL,
+        email VARCHAR(255),
+        last_login_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(issuer, subject)
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS oidc_login_states (
+        state VARCHAR(64) PRIMARY KEY,
+        code_verifier VARCHAR(128) NOT NULL,
+        nonce VARCHAR(64) NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Hashed, scoped API keys for machine-to-machine integrations
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        key_prefix VARCHAR(16) NOT NULL,
+        key_hash VARCHAR(64) UNIQUE NOT NULL,
+        scopes TEXT[] NOT NULL,
+        expires_at TIMESTAMP,
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Sessions group a family of rotating refresh tokens issued from one login
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        device VARCHAR(100),
+        user_agent VARCHAR(500),
+        ip_address VARCHAR(45),
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        impersonator_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      ALTER TABLE sessions 
+      ADD COLUMN IF NOT EXISTS device VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS user_agent VARCHAR(500),
+      ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45),
+      ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS impersonator_id INTEGER REFERENCES users(id) ON DELETE CASCADE
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id SERIAL PRIMARY KEY,
+        session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS email_change_requests (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        new_email VARCHAR(255) NOT NULL,
+        confirm_token_hash VARCHAR(64) UNIQUE NOT NULL,
+        cancel_token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        confirmed_at TIMESTAMP,
+        cancelled_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS invitations (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(255) NOT NULL,
+        name VARCHAR(60),
+        role VARCHAR(50) NOT NULL REFERENCES roles(name) ON UPDATE CASCADE,
+        store_id INTEGER REFERENCES stores(id) ON DELETE SET NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP NOT NULL,
+        sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        accepted_at TIMESTAMP,
+        accepted_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Audit trail; rows outlive the users they mention
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS audit_logs (
+        id SERIAL PRIMARY KEY,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        subject_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        action VARCHAR(100) NOT NULL,
+        method VARCHAR(10),
+        path VARCHAR(500),
+        status_code INTEGER,
+        ip_address VARCHAR(45),
+        metadata JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Field-level change history; changes is { field: { from, to } } and
+    // reverted_from points at the entry a revert went back to
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS store_history (
+        id SERIAL PRIMARY KEY,
+        store_id INTEGER NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        action VARCHAR(30) NOT NULL DEFAULT 'update',
+        changes JSONB NOT NULL,
+        reverted_from INTEGER REFERENCES store_history(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_history (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        action VARCHAR(30) NOT NULL DEFAULT 'update',
+        changes JSONB NOT NULL,
+        reverted_from INTEGER REFERENCES user_history(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Soft delete: deleted rows stay restorable until the purge job removes
+    // them after SOFT_DELETE_RETENTION_DAYS
+    for (const table of ['users', 'stores', 'ratings']) {
+      await pool.query(`
+        ALTER TABLE ${table}
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+      `);
+    }
+
     // Create indexes for better performance
     await pool.query('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
     await pool.query('CREATE INDEX IF NOT EXISTS idx_users_role ON users(role)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled ON users(deletion_scheduled_for) WHERE deletion_scheduled_for IS NOT NULL');
     await pool.query('CREATE INDEX IF NOT EXISTS idx_stores_name ON stores(name)');
     await pool.query('CREATE INDEX IF NOT EXISTS idx_stores_owner ON stores(owner_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_stores_location ON stores(latitude, longitude) WHERE latitude IS NOT NULL');
     await pool.query('CREATE INDEX IF NOT EXISTS idx_ratings_user_store ON ratings(user_id, store_id)');
     await pool.query('CREATE INDEX IF NOT EXISTS idx_ratings_store ON ratings(store_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_categories_parent ON categories(parent_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_store_categories_category ON store_categories(category_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_store_tags_tag ON store_tags(tag_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_stores_brand ON stores(brand_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_brand_managers_user ON brand_managers(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_store_hours_store ON store_hours(store_id, day_of_week)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_store_hour_exceptions_store ON store_hour_exceptions(store_id, date)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_store_media_store ON store_media(store_id, kind, position)');
+    await pool.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_store_media_logo ON store_media(store_id) WHERE kind = 'logo'");
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_store_claims_status ON store_claims(status, created_at)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_store_claims_claimant ON store_claims(claimant_id)');
+    await pool.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_store_claims_pending ON store_claims(store_id, claimant_id) WHERE status = 'pending'");
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_store_claim_evidence_claim ON store_claim_evidence(claim_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_store_members_user ON store_members(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_store_member_invitations_store ON store_member_invitations(store_id, email)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_users_deleted ON users(deleted_at) WHERE deleted_at IS NOT NULL');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_stores_deleted ON stores(deleted_at) WHERE deleted_at IS NOT NULL');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_ratings_deleted ON ratings(deleted_at) WHERE deleted_at IS NOT NULL');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_store_history_store ON store_history(store_id, id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_user_history_user ON user_history(user_id, id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_password_history_user ON password_history(user_id, created_at)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_email_change_requests_user ON email_change_requests(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_invitations_email ON invitations(email)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_login_attempts_user ON login_attempts(user_id, created_at)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_audit_logs_actor ON audit_logs(actor_id, created_at)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_audit_logs_subject ON audit_logs(subject_id, created_at)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_role_permissions_permission ON role_permissions(permission_id)');
 
-    // Create trigger to update store average rating
+    // Create trigger to update store average rating (soft-deleted ratings
+    // do not count)
     await pool.query(`
       CREATE OR REPLACE FUNCTION update_store_rating()
       RETURNS TRIGGER AS $$
@@ -91,12 +677,12 @@ const initializeDatabase = async () => {
           average_rating = (
             SELECT COALESCE(AVG(rating), 0) 
             FROM ratings 
-            WHERE store_id = COALESCE(NEW.store_id, OLD.store_id)
+            WHERE store_id = COALESCE(NEW.store_id, OLD.store_id) AND deleted_at IS NULL
           ),
           total_ratings = (
             SELECT COUNT(*) 
             FROM ratings 
-            WHERE store_id = COALESCE(NEW.store_id, OLD.store_id)
+            WHERE store_id = COALESCE(NEW.store_id, OLD.store_id) AND deleted_at IS NULL
           )
         WHERE id = COALESCE(NEW.store_id, OLD.store_id);
         RETURN COALESCE(NEW, OLD);
@@ -112,6 +698,208 @@ const initializeDatabase = async () => {
         EXECUTE FUNCTION update_store_rating();
     `);
 
+    // Record every password a user sets, whichever route sets it, and keep
+    // the 24 most recent (the most PASSWORD_HISTORY_SIZE can ask for)
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION touch_password_changed_at()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        NEW.password_changed_at = CURRENT_TIMESTAMP;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      CREATE OR REPLACE FUNCTION store_password_history()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        INSERT INTO password_history (user_id, password_hash) VALUES (NEW.id, NEW.password);
+        DELETE FROM password_history
+        WHERE user_id = NEW.id AND id NOT IN (
+          SELECT id FROM password_history WHERE user_id = NEW.id
+          ORDER BY created_at DESC, id DESC LIMIT 24
+        );
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await pool.query(`
+      DROP TRIGGER IF EXISTS password_changed_at_trigger ON users;
+      CREATE TRIGGER password_changed_at_trigger
+        BEFORE UPDATE OF password ON users
+        FOR EACH ROW
+        WHEN (NEW.password IS DISTINCT FROM OLD.password)
+        EXECUTE FUNCTION touch_password_changed_at();
+
+      DROP TRIGGER IF EXISTS password_history_insert_trigger ON users;
+      CREATE TRIGGER password_history_insert_trigger
+        AFTER INSERT ON users
+        FOR EACH ROW
+        EXECUTE FUNCTION store_password_history();
+
+      DROP TRIGGER IF EXISTS password_history_update_trigger ON users;
+      CREATE TRIGGER password_history_update_trigger
+        AFTER UPDATE OF password ON users
+        FOR EACH ROW
+        WHEN (NEW.password IS DISTINCT FROM OLD.password)
+        EXECUTE FUNCTION store_password_history();
+    `);
+
+    // Whether a store is open at a given instant. A date with exceptions
+    // replaces the weekly schedule for that date, including for intervals
+    // that spill over from the day before.
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION store_is_open(p_store_id INTEGER, p_at TIMESTAMPTZ)
+      RETURNS BOOLEAN AS $$
+      DECLARE
+        local_ts TIMESTAMP;
+        today DATE;
+        now_time TIME;
+      BEGIN
+        SELECT p_at AT TIME ZONE timezone INTO local_ts FROM stores WHERE id = p_store_id;
+        IF local_ts IS NULL THEN
+          RETURN FALSE;
+        END IF;
+
+        today := local_ts::date;
+        now_time := local_ts::time;
+
+        -- Intervals that opened today
+        IF EXISTS (SELECT 1 FROM store_hour_exceptions WHERE store_id = p_store_id AND date = today) THEN
+          IF EXISTS (
+            SELECT 1 FROM store_hour_exceptions
+            WHERE store_id = p_store_id AND date = today AND NOT closed
+              AND now_time >= opens_at AND (now_time < closes_at OR closes_at < opens_at)
+          ) THEN
+            RETURN TRUE;
+          END IF;
+        ELSIF EXISTS (
+          SELECT 1 FROM store_hours
+          WHERE store_id = p_store_id AND day_of_week = EXTRACT(DOW FROM today)
+            AND now_time >= opens_at AND (now_time < closes_at OR closes_at < opens_at)
+        ) THEN
+          RETURN TRUE;
+        END IF;
+
+        -- Overnight intervals that opened yesterday
+        IF EXISTS (SELECT 1 FROM store_hour_exceptions WHERE store_id = p_store_id AND date = today - 1) THEN
+          RETURN EXISTS (
+            SELECT 1 FROM store_hour_exceptions
+            WHERE store_id = p_store_id AND date = today - 1 AND NOT closed
+              AND closes_at < opens_at AND now_time < closes_at
+          );
+        END IF;
+
+        RETURN EXISTS (
+          SELECT 1 FROM store_hours
+          WHERE store_id = p_store_id AND day_of_week = EXTRACT(DOW FROM today - 1)
+            AND closes_at < opens_at AND now_time < closes_at
+        );
+      END;
+      $$ LANGUAGE plpgsql STABLE;
+    `);
+
+    // Full-text and fuzzy search. Stores are weighted name (A), categories
+    // and tags (B), address (C); users are weighted name and email (A),
+    // address (C). Trigram indexes give typo tolerance on the short fields.
+    await pool.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+
+    await pool.query(`
+      ALTER TABLE stores ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+    `);
+
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION store_search_document(p_store_id INTEGER, p_name TEXT, p_address TEXT)
+      RETURNS TSVECTOR AS $$
+        SELECT setweight(to_tsvector('english', COALESCE(p_name, '')), 'A') ||
+               setweight(to_tsvector('english', concat_ws(' ',
+                 (SELECT string_agg(c.name, ' ') FROM store_categories sc
+                  JOIN categories c ON c.id = sc.category_id WHERE sc.store_id = p_store_id),
+                 (SELECT string_agg(t.name, ' ') FROM store_tags st
+                  JOIN tags t ON t.id = st.tag_id WHERE st.store_id = p_store_id)
+               )), 'B') ||
+               setweight(to_tsvector('english', COALESCE(p_address, '')), 'C')
+      $$ LANGUAGE sql STABLE;
+
+      CREATE OR REPLACE FUNCTION set_store_search_vector()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        NEW.search_vector = store_search_document(NEW.id, NEW.name, NEW.address);
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      CREATE OR REPLACE FUNCTION refresh_store_search_vector()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        IF TG_TABLE_NAME = 'categories' THEN
+          UPDATE stores SET search_vector = store_search_document(id, name, address)
+          WHERE id IN (SELECT store_id FROM store_categories WHERE category_id = NEW.id);
+        ELSE
+          UPDATE stores SET search_vector = store_search_document(id, name, address)
+          WHERE id = COALESCE(NEW.store_id, OLD.store_id);
+        END IF;
+        RETURN COALESCE(NEW, OLD);
+      END;
+      $$ LANGUAGE plpgsql;
+
+      CREATE OR REPLACE FUNCTION set_user_search_vector()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        NEW.search_vector =
+          setweight(to_tsvector('english', COALESCE(NEW.name, '')), 'A') ||
+          setweight(to_tsvector('simple', COALESCE(NEW.email, '')), 'A') ||
+          setweight(to_tsvector('english', COALESCE(NEW.address, '')), 'C');
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    await pool.query(`
+      DROP TRIGGER IF EXISTS store_search_vector_trigger ON stores;
+      CREATE TRIGGER store_search_vector_trigger
+        BEFORE INSERT OR UPDATE OF name, address ON stores
+        FOR EACH ROW
+        EXECUTE FUNCTION set_store_search_vector();
+
+      DROP TRIGGER IF EXISTS store_categories_search_trigger ON store_categories;
+      CREATE TRIGGER store_categories_search_trigger
+        AFTER INSERT OR DELETE ON store_categories
+        FOR EACH ROW
+        EXECUTE FUNCTION refresh_store_search_vector();
+
+      DROP TRIGGER IF EXISTS store_tags_search_trigger ON store_tags;
+      CREATE TRIGGER store_tags_search_trigger
+        AFTER INSERT OR DELETE ON store_tags
+        FOR EACH ROW
+        EXECUTE FUNCTION refresh_store_search_vector();
+
+      DROP TRIGGER IF EXISTS categories_search_trigger ON categories;
+      CREATE TRIGGER categories_search_trigger
+        AFTER UPDATE OF name ON categories
+        FOR EACH ROW
+        WHEN (NEW.name IS DISTINCT FROM OLD.name)
+        EXECUTE FUNCTION refresh_store_search_vector();
+
+      DROP TRIGGER IF EXISTS user_search_vector_trigger ON users;
+      CREATE TRIGGER user_search_vector_trigger
+        BEFORE INSERT OR UPDATE OF name, email, address ON users
+        FOR EACH ROW
+        EXECUTE FUNCTION set_user_search_vector();
+    `);
+
+    // Fill in vectors for rows that existed before search was added
+    await pool.query('UPDATE stores SET search_vector = store_search_document(id, name, address) WHERE search_vector IS NULL');
+    await pool.query('UPDATE users SET name = name WHERE search_vector IS NULL');
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_stores_search ON stores USING GIN (search_vector)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_stores_name_trgm ON stores USING GIN (name gin_trgm_ops)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_stores_address_trgm ON stores USING GIN (address gin_trgm_ops)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_users_search ON users USING GIN (search_vector)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_users_name_trgm ON users USING GIN (name gin_trgm_ops)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_users_email_trgm ON users USING GIN (email gin_trgm_ops)');
+
     console.log('Database tables created successfully');
   } catch (error) {
     console.error('Error initializing database:', error);
@@ -0,0 +1,132 @@
+// Permission catalogue. Permissions are defined by the code that checks them;
+// which roles hold them lives in the database and can be changed at runtime.
+const PERMISSIONS = {
+  'dashboard.view': 'View admin dashboard statistics',
+  'users.read': 'List and view any user',
+  'users.create': 'Create users',
+  'users.invite': 'Invite users by email and manage pending invitations',
+  'users.update': 'Update any user, including their role',
+  'users.delete': 'Delete users',
+  'users.unlock': 'Clear brute-force lockouts',
+  'users.revoke_sessions': 'Sign any user out of all their sessions',
+  'users.impersonate': 'Act as another user for support (audited)',
+  'audit.read': 'View the audit log',
+  'trash.manage': 'List and restore deleted users, stores and ratings',
+  'roles.manage': 'Create, edit and delete roles',
+  'stores.read': 'List and view stores',
+  'stores.create': 'Create stores',
+  'stores.update': 'Update stores (own stores unless stores.manage_all)',
+  'stores.delete': 'Delete stores',
+  'stores.manage_all': 'Act on any store regardless of ownership',
+  'stores.own': 'Own stores and use the owner endpoints such as /api/stores/mine',
+  'stores.view_ratings': 'View a store\'s ratings with rater details (own stores unless stores.manage_all)',
+  'stores.claim': 'Claim unowned stores, pending review',
+  'stores.review_claims': 'Review, approve and reject store ownership claims',
+  'stores.manage_staff': 'Invite staff to own stores and set or remove their access (any store with stores.manage_all)',
+  'categories.manage': 'Create, edit and delete store categories',
+  'brands.manage': 'Create, edit and delete brands, assign stores to them and choose their managers',
+  'brands.view_ratings': 'View ratings across every location of a brand (managed brands unless brands.manage)',
+  'ratings.read': 'View ratings for a store',
+  'ratings.submit': 'Submit, update and delete own ratings',
+  'ratings.respond': 'Reply publicly to the ratings of own stores (any store with stores.manage_all)',
+  'ratings.read_all': 'View any user\'s ratings and rating statistics',
+  'api_keys.manage': 'Create, list and revoke own API keys',
+  'api_keys.manage_all': 'List and revoke any user\'s API keys'
+};
+
+// Built-in roles. Their grants are seeded when the role is created, and a
+// permission added later is granted to the roles listing it the first time it
+// is seeded; after that, admin changes to these grants are left alone.
+const SYSTEM_ROLES = [
+  {
+    name: 'SYSTEM_ADMIN',
+    description: 'Full administrative access',
+    requiresTwoFactor: true,
+    // Admins do not own, claim or rate stores themselves
+    permissions: [
+      'dashboard.view',
+      'users.read',
+      'users.create',
+      'users.invite',
+      'users.update',
+      'users.delete',
+      'users.unlock',
+      'users.revoke_sessions',
+      'users.impersonate',
+      'audit.read',
+      'trash.manage',
+      'roles.manage',
+      'stores.read',
+      'stores.create',
+      'stores.update',
+      'stores.delete',
+      'stores.manage_all',
+      'stores.view_ratings',
+      'stores.review_claims',
+      'stores.manage_staff',
+      'categories.manage',
+      'brands.manage',
+      'brands.view_ratings',
+      'ratings.read',
+      'ratings.respond',
+      'ratings.read_all',
+      'api_keys.manage',
+      'api_keys.manage_all'
+    ]
+  },
+  {
+    name: 'STORE_OWNER',
+    description: 'Manages their own stores and reads their ratings',
+    requiresTwoFactor: false,
+    permissions: [
+      'stores.read',
+      'stores.update',
+      'stores.own',
+      'stores.claim',
+      'stores.view_ratings',
+      'stores.manage_staff',
+      'ratings.read',
+      'ratings.respond',
+      'api_keys.manage'
+    ]
+  },
+  {
+    name: 'BRAND_MANAGER',
+    description: 'Follows the ratings of every location of the brands they manage',
+    requiresTwoFactor: false,
+    permissions: [
+      'stores.read',
+      'ratings.read',
+      'brands.view_ratings'
+    ]
+  },
+  {
+    name: 'NORMAL_USER',
+    description: 'Browses and rates stores',
+    requiresTwoFactor: false,
+    permissions: [
+      'stores.read',
+      'ratings.read',
+      'ratings.submit'
+    ]
+  }
+];
+
+// Access levels an owner can give store staff, and the permissions each
+// grants on that store only, whatever the staff member's role. Each level
+// includes everything the one before it can do.
+const STORE_MEMBER_LEVELS = {
+  viewer: ['stores.read', 'stores.view_ratings'],
+  responder: ['stores.read', 'stores.view_ratings', 'ratings.respond'],
+  editor: ['stores.read', 'stores.view_ratings', 'ratings.respond', 'stores.update']
+};
+
+// Role that cannot be edited or deleted, so admins cannot lock themselves out
+const PROTECTED_ROLE = 'SYSTEM_ADMIN';
+
+module.exports = {
+  PERMISSIONS,
+  SYSTEM_ROLES,
+  STORE_MEMBER_LEVELS,
+  PROTECTED_ROLE
+};
@@ -1,9 +1,81 @@
 const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
+const { hashToken } = require('../utils/tokens');
+const { getRoleAccess, hasPermission } = require('../utils/permissions');
+const { STORE_MEMBER_LEVELS } = require('../config/permissions');
+const { recordAudit } = require('../utils/audit');
+const { isPasswordExpired } = require('../utils/password-policy');
 
-// Verify JWT token
+// Only write last-seen once per interval to avoid a write on every request
+const LAST_SEEN_INTERVAL_SECONDS = 60;
+
+// Attach the role's permissions and 2FA requirement to a user row
+const withRoleAccess = async (user) => {
+  const { permissions, requiresTwoFactor } = await getRoleAccess(user.role);
+  return { ...user, permissions, requires_two_factor: requiresTwoFactor };
+};
+
+// Resolve an X-API-Key header to its owner and scopes
+const authenticateApiKey = async (apiKey, req, res, next) => {
+  const keyResult = await pool.query(
+    `SELECT k.id as api_key_id, k.scopes,
+            u.id, u.name, u.email, u.role, u.email_verified_at, u.totp_enabled_at
+     FROM api_keys k
+     JOIN users u ON k.user_id = u.id
+     WHERE k.key_hash = $1 AND k.revoked_at IS NULL AND u.deleted_at IS NULL
+       AND (k.expires_at IS NULL OR k.expires_at > CURRENT_TIMESTAMP)`,
+    [hashToken(apiKey)]
+  );
+
+  if (keyResult.rows.length === 0) {
+    return res.status(401).json({ message: 'Invalid or expired API key' });
+  }
+
+  const { api_key_id, scopes, ...keyOwner } = keyResult.rows[0];
+  const user = await withRoleAccess(keyOwner);
+
+  // Keys stop working if the owner's role loses API key access
+  if (!hasPermission(user, 'api_keys.manage')) {
+    return res.status(401).json({ message: 'Invalid or expired API key' });
+  }
+
+  await pool.query(
+    'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [api_key_id]
+  );
+
+  req.user = user;
+  req.apiKey = { id: api_key_id, scopes };
+  next();
+};
+
+// Record every write made while impersonating, with the real admin as actor
+const auditImpersonatedWrite = (req, res) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return;
+  }
+
+  res.on('finish', () => {
+    recordAudit({
+      actorId: req.impersonator.id,
+      subjectId: req.user.id,
+      action: 'impersonation.write',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ipAddress: req.ip
+    });
+  });
+};
+
+// Verify JWT token or X-API-Key header
 const authenticateToken = async (req, res, next) => {
   try {
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey) {
+      return await authenticateApiKey(apiKey, req, res, next);
+    }
+
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -12,18 +84,80 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user details from database
+
+    if (!decoded.sessionId) {
+      return res.status(401).json({ message: 'Invalid token' });
+    }
+
+    // Get user details and session state from database
     const userResult = await pool.query(
-      'SELECT id, name, email, role FROM users WHERE id = $1',
-      [decoded.userId]
+      `SELECT u.id, u.name, u.email, u.role, u.email_verified_at, u.totp_enabled_at, u.password_changed_at,
+              EXISTS (SELECT 1 FROM user_identities ui WHERE ui.user_id = u.id) as has_sso_identity,
+              s.id as session_id, s.revoked_at, s.impersonator_id,
+              i.name as impersonator_name, i.email as impersonator_email, i.role as impersonator_role
+       FROM users u
+       LEFT JOIN sessions s ON s.id = $2 AND s.user_id = u.id
+       LEFT JOIN users i ON s.impersonator_id = i.id
+       WHERE u.id = $1 AND u.deleted_at IS NULL`,
+      [decoded.userId, decoded.sessionId]
     );
 
     if (userResult.rows.length === 0) {
       return res.status(401).json({ message: 'Invalid token - user not found' });
     }
 
-    req.user = userResult.rows[0];
+    const {
+      session_id,
+      revoked_at,
+      impersonator_id,
+      impersonator_name,
+      impersonator_email,
+      impersonator_role,
+      password_changed_at,
+      has_sso_identity,
+      ...user
+    } = userResult.rows[0];
+
+    if (!session_id || revoked_at) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
+    // Impersonation tokens must match their session's actor, and stop
+    // working as soon as the actor loses the permission
+    if ((decoded.actorId || null) !== impersonator_id) {
+      return res.status(401).json({ message: 'Invalid token' });
+    }
+
+    if (impersonator_id) {
+      const actorAccess = await getRoleAccess(impersonator_role);
+      if (!actorAccess.permissions.includes('users.impersonate')) {
+        return res.status(401).json({ message: 'Session has been revoked' });
+      }
+
+      req.impersonator = {
+        id: impersonator_id,
+        name: impersonator_name,
+        email: impersonator_email
+      };
+    }
+
+    await pool.query(
+      `UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND (last_seen_at IS NULL OR last_seen_at < CURRENT_TIMESTAMP - $2 * INTERVAL '1 second')`,
+      [session_id, LAST_SEEN_INTERVAL_SECONDS]
+    );
+
+    req.user = await withRoleAccess(user);
+    // SSO users never use their local password, so it cannot expire; support
+    // staff impersonating a user are not asked to change it either
+    req.user.password_expired = !has_sso_identity && !req.impersonator &&
+      isPasswordExpired(password_changed_at);
+    req.sessionId = session_id;
+
+    if (req.impersonator) {
+      auditImpersonatedWrite(req, res);
+    }
+
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -37,14 +171,40 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Role-based authorization middleware
-const authorizeRoles = (...roles) => {
+// Users whose role requires 2FA must also have it enabled, and expired
+// passwords must be changed, before any permission is honoured. Returns the
+// 403 body to send, or null.
+const accountRestriction = (user) => {
+  if (user.requires_two_factor && !user.totp_enabled_at) {
+    return {
+      message: 'Two-factor authentication must be enabled to access this resource',
+      code: 'TWO_FACTOR_ENROLMENT_REQUIRED'
+    };
+  }
+
+  if (user.password_expired) {
+    return {
+      message: 'Your password has expired and must be changed',
+      code: 'PASSWORD_EXPIRED'
+    };
+  }
+
+  return null;
+};
+
+// Require every listed permission
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: 'Authentication required' });
     }
 
-    if (!roles.includes(req.user.role)) {
+    const restriction = accountRestriction(req.user);
+    if (restriction) {
+      return res.status(403).json(restriction);
+    }
+
+    if (!permissions.every((permission) => hasPermission(req.user, permission))) {
       return res.status(403).json({ 
         message: 'Access denied. Insufficient permissions.' 
       });
@@ -54,67 +214,136 @@ const authorizeRoles = (...roles) => {
   };
 };
 
-// Check if user is system admin
-const requireAdmin = authorizeRoles('SYSTEM_ADMIN');
+// Block account-security changes from impersonated sessions
+const rejectImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      message: 'This action is not available while impersonating a user',
+      code: 'IMPERSONATION_FORBIDDEN'
+    });
+  }
 
-// Check if user is store owner
-const requireStoreOwner = authorizeRoles('STORE_OWNER');
+  next();
+};
 
-// Check if user is normal user
-const requireNormalUser = authorizeRoles('NORMAL_USER');
+// Require an API key scope; requests authenticated with a JWT pass through
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        message: `API key is missing required scope: ${scope}`
+      });
+    }
 
-// Check if user is admin or store owner
-const requireAdminOrStoreOwner = authorizeRoles('SYSTEM_ADMIN', 'STORE_OWNER');
+    next();
+  };
+};
 
-// Check if user is admin or normal user
-const requireAdminOrNormalUser = authorizeRoles('SYSTEM_ADMIN', 'NORMAL_USER');
+// Refuse API keys on routers that are only meant for interactive users
+const rejectApiKey = (req, res, next) => {
+  if (req.headers['x-api-key']) {
+    return res.status(403).json({ message: 'API keys cannot be used for this endpoint' });
+  }
 
-// Middleware to check if store owner is accessing their own store
-const checkStoreOwnership = async (req, res, next) => {
-  try {
-    const storeId = req.params.storeId || req.body.storeId;
-    
-    if (!storeId) {
-      return res.status(400).json({ message: 'Store ID required' });
-    }
+  next();
+};
 
-    // If user is admin, allow access
-    if (req.user.role === 'SYSTEM_ADMIN') {
-      return next();
-    }
+// Require a confirmed email address
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
 
-    // If user is store owner, check if they own the store
-    if (req.user.role === 'STORE_OWNER') {
-      const storeResult = await pool.query(
-        'SELECT owner_id FROM stores WHERE id = $1',
-        [storeId]
-      );
+  if (!req.user.email_verified_at) {
+    return res.status(403).json({
+      message: 'Please verify your email address before continuing',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
 
-      if (storeResult.rows.length === 0) {
-        return res.status(404).json({ message: 'Store not found' });
+  next();
+};
+
+// Load the store named by the request (params.storeId, params.id or
+// body.storeId) with the user's staff level on it, or send the error and
+// return null
+const loadRequestedStore = async (req, res) => {
+  const storeId = req.params.storeId || req.params.id || req.body.storeId;
+  
+  if (!storeId) {
+    res.status(400).json({ message: 'Store ID required' });
+    return null;
+  }
+
+  if (!/^\d+$/.test(String(storeId))) {
+    res.status(400).json({ message: 'Invalid store ID' });
+    return null;
+  }
+
+  const storeResult = await pool.query(
+    `SELECT s.id, s.owner_id, m.level as member_level
+     FROM stores s
+     LEFT JOIN store_members m ON m.store_id = s.id AND m.user_id = $2
+     WHERE s.id = $1 AND s.deleted_at IS NULL`,
+    [storeId, req.user.id]
+  );
+
+  if (storeResult.rows.length === 0) {
+    res.status(404).json({ message: 'Store not found' });
+    return null;
+  }
+
+  return storeResult.rows[0];
+};
+
+// Middleware to check the user may use a permission on the requested store:
+// its owner or a stores.manage_all user holding it through their role, or a
+// staff member whose level grants it there (see STORE_MEMBER_LEVELS). This is
+// the only store ownership check, so store_members is always consulted;
+// owner-only actions use permissions no staff level grants, such as
+// stores.manage_staff
+const checkStoreAccess = (permission) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ message: 'Authentication required' });
+      }
+
+      const restriction = accountRestriction(req.user);
+      if (restriction) {
+        return res.status(403).json(restriction);
       }
 
-      if (storeResult.rows[0].owner_id !== req.user.id) {
+      const store = await loadRequestedStore(req, res);
+      if (!store) {
+        return;
+      }
+
+      const viaRole = hasPermission(req.user, permission) &&
+        (hasPermission(req.user, 'stores.manage_all') || store.owner_id === req.user.id);
+      const viaMembership = !!store.member_level && STORE_MEMBER_LEVELS[store.member_level].includes(permission);
+
+      if (!viaRole && !viaMembership) {
         return res.status(403).json({ 
-          message: 'Access denied. You can only access your own store.' 
+          message: 'Access denied. You do not have this access to the store.' 
         });
       }
-    }
 
-    next();
-  } catch (error) {
-    console.error('Store ownership check error:', error);
-    return res.status(500).json({ message: 'Server error during authorization' });
-  }
+      req.store = store;
+      next();
+    } catch (error) {
+      console.error('Store access check error:', error);
+      return res.status(500).json({ message: 'Server error during authorization' });
+    }
+  };
 };
 
 module.exports = {
   authenticateToken,
-  authorizeRoles,
-  requireAdmin,
-  requireStoreOwner,
-  requireNormalUser,
-  requireAdminOrStoreOwner,
-  requireAdminOrNormalUser,
-  checkStoreOwnership
-};
\ No newline at end of file
+  requirePermission,
+  requireVerifiedEmail,
+  requireScope,
+  rejectApiKey,
+  rejectImpersonation,
+  checkStoreAccess
+};
@@ -0,0 +1,85 @@
+const multer = require('multer');
+const { ALLOWED_MEDIA_TYPES, MAX_MEDIA_FILE_SIZE } = require('../utils/media');
+const {
+  ALLOWED_EVIDENCE_TYPES,
+  MAX_EVIDENCE_FILE_SIZE,
+  MAX_EVIDENCE_FILES
+} = require('../utils/store-claims');
+
+// Uploads are held in memory: every file is checked by content (and images
+// re-encoded) before anything is stored
+const createUpload = ({ types, maxFileSize, maxFiles }) => multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxFileSize,
+    files: maxFiles,
+    fields: 10
+  },
+  fileFilter: (req, file, cb) => {
+    if (!types.includes(file.mimetype)) {
+      const error = new Error(`Files must be one of: ${types.join(', ')}`);
+      error.status = 415;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Run a multer handler, answering upload problems with a 400/413/415
+// instead of the generic error handler
+const handleUpload = (handler, maxFileSize) => (req, res, next) => {
+  handler(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          message: `Files must not exceed ${maxFileSize / (1024 * 1024)} MB`
+        });
+      }
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    next(error);
+  });
+};
+
+const imageUpload = createUpload({
+  types: ALLOWED_MEDIA_TYPES,
+  maxFileSize: MAX_MEDIA_FILE_SIZE,
+  maxFiles: 1
+});
+
+const evidenceUpload = createUpload({
+  types: ALLOWED_EVIDENCE_TYPES,
+  maxFileSize: MAX_EVIDENCE_FILE_SIZE,
+  maxFiles: MAX_EVIDENCE_FILES
+});
+
+// Require a single image in the given multipart field
+const uploadImage = (field) => [
+  handleUpload(imageUpload.single(field), MAX_MEDIA_FILE_SIZE),
+  (req, res, next) => {
+    if (!req.file) {
+      return res.status(400).json({ message: `Please attach an image as "${field}"` });
+    }
+    next();
+  }
+];
+
+// Accept optional evidence files (images or PDFs) in the given field
+const uploadEvidence = (field) => handleUpload(
+  evidenceUpload.array(field, MAX_EVIDENCE_FILES),
+  MAX_EVIDENCE_FILE_SIZE
+);
+
+module.exports = {
+  uploadImage,
+  uploadEvidence
+};
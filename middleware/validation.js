@@ -1,4 +1,9 @@
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
+const { API_KEY_SCOPES } = require('../utils/api-keys');
+const { PERMISSIONS, STORE_MEMBER_LEVELS } = require('../config/permissions');
+const { roleExists } = require('../utils/permissions');
+const { checkPasswordRules, sendPasswordPolicyError } = require('../utils/password-policy');
+const { isValidTimeZone, findOverlappingDays, intervalsOverlap } = require('../utils/opening-hours');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -12,6 +17,20 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Apply the password policy rules to a body field, after the other rules.
+// Reuse of old passwords is checked by the routes once the user is known.
+const enforcePasswordPolicy = (field) => {
+  return (req, res, next) => {
+    const violations = checkPasswordRules(req.body[field]);
+
+    if (violations.length > 0) {
+      return sendPasswordPolicyError(res, violations);
+    }
+
+    next();
+  };
+};
+
 // User registration validation
 const validateUserRegistration = [
   body('name')
@@ -26,12 +45,6 @@ const validateUserRegistration = [
     .normalizeEmail()
     .toLowerCase(),
   
-  body('password')
-    .isLength({ min: 8, max: 16 })
-    .withMessage('Password must be between 8 and 16 characters')
-    .matches(/^(?=.*[A-Z])(?=.*[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?])/)
-    .withMessage('Password must contain at least one uppercase letter and one special character'),
-  
   body('address')
     .isLength({ max: 400 })
     .withMessage('Address must not exceed 400 characters')
@@ -40,7 +53,8 @@ const validateUserRegistration = [
     .trim()
     .escape(),
   
-  handleValidationErrors
+  handleValidationErrors,
+  enforcePasswordPolicy('password')
 ];
 
 // User login validation
@@ -58,6 +72,232 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+// Refresh token validation
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  
+  handleValidationErrors
+];
+
+// TOTP code validation (2FA confirm)
+const validateTwoFactorCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be a 6-digit number'),
+  
+  handleValidationErrors
+];
+
+// 2FA setup validation (re-authentication)
+const validateTwoFactorSetup = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  handleValidationErrors
+];
+
+// Second login step validation
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  
+  body('code')
+    .custom((value, { req }) => {
+      if (!value && !req.body.recoveryCode) {
+        throw new Error('Either an authentication code or a recovery code is required');
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
+// 2FA disable / recovery code regeneration validation
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  body('code')
+    .custom((value, { req }) => {
+      if (!value && !req.body.recoveryCode) {
+        throw new Error('Either an authentication code or a recovery code is required');
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
+// Account deletion validation
+const validateAccountDeletion = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  handleValidationErrors
+];
+
+// API key creation validation
+const validateApiKeyCreation = [
+  body('name')
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Name must be between 3 and 100 characters')
+    .trim()
+    .escape(),
+  
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be among: ${API_KEY_SCOPES.join(', ')}`),
+  
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Expiry must be in the future');
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
+// Shared role permission/2FA rules
+const rolePermissionRules = [
+  body('description')
+    .optional()
+    .isLength({ max: 255 })
+    .withMessage('Description must not exceed 255 characters')
+    .trim()
+    .escape(),
+  
+  body('permissions.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Unknown permission'),
+  
+  body('requiresTwoFactor')
+    .optional()
+    .isBoolean()
+    .withMessage('requiresTwoFactor must be a boolean')
+    .toBoolean()
+];
+
+// Role creation validation
+const validateRoleCreation = [
+  body('name')
+    .trim()
+    .matches(/^[A-Za-z][A-Za-z0-9_ ]{1,48}$/)
+    .withMessage('Role name must be 2-49 characters of letters, numbers, spaces or underscores')
+    .customSanitizer((value) => value.toUpperCase().replace(/\s+/g, '_')),
+  
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  
+  ...rolePermissionRules,
+  
+  handleValidationErrors
+];
+
+// Role update validation
+const validateRoleUpdate = [
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  
+  ...rolePermissionRules,
+  
+  handleValidationErrors
+];
+
+// Shared store category/tag rules
+const storeTaxonomyRules = [
+  body('categoryIds')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('categoryIds must be an array of at most 10 category IDs'),
+  
+  body('categoryIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Category IDs must be positive integers')
+    .toInt(),
+  
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('tags must be an array of at most 20 tags'),
+  
+  body('tags.*')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(/^[\p{L}\p{N}][\p{L}\p{N} _-]{0,39}$/u)
+    .withMessage('Tags must be 1-40 letters, numbers, spaces, hyphens or underscores')
+];
+
+// Shared store coordinate rules; latitude and longitude go together and
+// null clears them
+const storeLocationRules = [
+  body('latitude')
+    .optional({ values: 'undefined' })
+    .custom((value, { req }) => {
+      if (req.body.longitude === undefined || (value === null) !== (req.body.longitude === null)) {
+        throw new Error('latitude and longitude must be provided together');
+      }
+      return true;
+    }),
+  
+  body('latitude')
+    .optional({ values: 'null' })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+  
+  body('longitude')
+    .optional({ values: 'null' })
+    .custom((value, { req }) => {
+      if (req.body.latitude === undefined) {
+        throw new Error('latitude and longitude must be provided together');
+      }
+      return true;
+    })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat()
+];
+
+// Shared store time zone rule (IANA name such as Europe/London)
+const storeTimezoneRule = body('timezone')
+  .optional()
+  .isString()
+  .withMessage('Timezone must be a valid IANA time zone such as Europe/London')
+  .custom(async (value) => {
+    if (!(await isValidTimeZone(value))) {
+      throw new Error('Timezone must be a valid IANA time zone such as Europe/London');
+    }
+    return true;
+  });
+
+// Shared store brand rule; null removes the store from its brand
+const storeBrandRule = body('brandId')
+  .optional({ values: 'null' })
+  .isInt({ min: 1 })
+  .withMessage('Brand ID must be a positive integer')
+  .toInt();
+
 // Store creation validation
 const validateStoreCreation = [
   body('name')
@@ -85,6 +325,14 @@ const validateStoreCreation = [
     .isInt({ min: 1 })
     .withMessage('Owner ID must be a positive integer'),
   
+  ...storeTaxonomyRules,
+  
+  ...storeLocationRules,
+  
+  storeTimezoneRule,
+  
+  storeBrandRule,
+  
   handleValidationErrors
 ];
 
@@ -101,31 +349,116 @@ const validateRating = [
   handleValidationErrors
 ];
 
+// Confirmation rule for flows that set a new password; strength comes from the password policy
+const newPasswordRules = [
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.newPassword) {
+        throw new Error('Password confirmation does not match new password');
+      }
+      return true;
+    })
+];
+
 // Password update validation
 const validatePasswordUpdate = [
   body('currentPassword')
     .notEmpty()
     .withMessage('Current password is required'),
   
-  body('newPassword')
-    .isLength({ min: 8, max: 16 })
-    .withMessage('New password must be between 8 and 16 characters')
-    .matches(/^(?=.*[A-Z])(?=.*[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?])/)
-    .withMessage('New password must contain at least one uppercase letter and one special character'),
+  ...newPasswordRules,
   
-  body('confirmPassword')
-    .custom((value, { req }) => {
-      if (value !== req.body.newPassword) {
-        throw new Error('Password confirmation does not match new password');
+  handleValidationErrors,
+  enforcePasswordPolicy('newPassword')
+];
+
+// Forgot password validation
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+    .toLowerCase(),
+  
+  handleValidationErrors
+];
+
+// Password reset validation
+const validatePasswordReset = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  ...newPasswordRules,
+  
+  handleValidationErrors,
+  enforcePasswordPolicy('newPassword')
+];
+
+// Invitation validation
+const validateInvitation = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+    .toLowerCase(),
+  
+  body('name')
+    .optional()
+    .isLength({ min: 3, max: 60 })
+    .withMessage('Name must be between 3 and 60 characters')
+    .trim()
+    .escape(),
+  
+  body('role')
+    .trim()
+    .toUpperCase()
+    .custom(async (value) => {
+      if (!(await roleExists(value))) {
+        throw new Error('Role does not exist');
       }
       return true;
     }),
   
+  body('storeId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Store ID must be a valid integer')
+    .toInt(),
+  
   handleValidationErrors
 ];
 
-// User update validation (for admin)
-const validateUserUpdate = [
+// Invitation acceptance validation
+const validateInvitationAcceptance = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invitation token is required'),
+  
+  body('name')
+    .isLength({ min: 3, max: 60 })
+    .withMessage('Name must be between 3 and 60 characters')
+    .trim()
+    .escape(),
+  
+  body('address')
+    .isLength({ max: 400 })
+    .withMessage('Address must not exceed 400 characters')
+    .notEmpty()
+    .withMessage('Address is required')
+    .trim()
+    .escape(),
+  
+  ...newPasswordRules,
+  
+  handleValidationErrors,
+  enforcePasswordPolicy('newPassword')
+];
+
+// Fields shared by admin user edits and self-service profile edits
+const userProfileRules = [
   body('name')
     .optional()
     .isLength({ min: 3, max: 60 })
@@ -145,12 +478,40 @@ const validateUserUpdate = [
     .isLength({ max: 400 })
     .withMessage('Address must not exceed 400 characters')
     .trim()
-    .escape(),
+    .escape()
+];
+
+// User update validation (for admin)
+const validateUserUpdate = [
+  ...userProfileRules,
   
   body('role')
     .optional()
-    .isIn(['system_admin', 'normal_user', 'store_owner'])
-    .withMessage('Role must be one of: system_admin, normal_user, store_owner'),
+    .trim()
+    .toUpperCase()
+    .custom(async (value) => {
+      if (!(await roleExists(value))) {
+        throw new Error('Role does not exist');
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
+// Self-service profile update validation
+const validateProfileUpdate = [
+  ...userProfileRules,
+  
+  body('role')
+    .not()
+    .exists()
+    .withMessage('Role cannot be changed from your profile'),
+  
+  body('currentPassword')
+    .if(body('email').exists())
+    .notEmpty()
+    .withMessage('Current password is required to change your email'),
   
   handleValidationErrors
 ];
@@ -178,6 +539,318 @@ const validateStoreUpdate = [
     .trim()
     .escape(),
   
+  ...storeTaxonomyRules,
+  
+  ...storeLocationRules,
+  
+  storeTimezoneRule,
+  
+  storeBrandRule,
+  
+  handleValidationErrors
+];
+
+// HH:MM on a 24-hour clock; closing times may also be 24:00
+const OPENING_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CLOSING_TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+const isWellFormedInterval = (interval) => {
+  return OPENING_TIME_PATTERN.test(interval?.opens) && CLOSING_TIME_PATTERN.test(interval?.closes);
+};
+
+// Rules for an array of { opens, closes } intervals under the given field
+const openingIntervalRules = (field) => [
+  body(`${field}.*.opens`)
+    .matches(OPENING_TIME_PATTERN)
+    .withMessage('Opening times must be HH:MM between 00:00 and 23:59'),
+  
+  body(`${field}.*.closes`)
+    .matches(CLOSING_TIME_PATTERN)
+    .withMessage('Closing times must be HH:MM between 00:00 and 24:00'),
+  
+  body(`${field}.*`)
+    .custom((interval) => interval.opens !== interval.closes)
+    .withMessage('An interval must close at a different time than it opens')
+];
+
+// Weekly opening hours validation
+const validateStoreHours = [
+  storeTimezoneRule,
+  
+  body('weekly')
+    .isArray({ max: 70 })
+    .withMessage('weekly must be an array of at most 70 opening intervals'),
+  
+  body('weekly.*.day')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('day must be 0 (Sunday) to 6 (Saturday)')
+    .toInt(),
+  
+  ...openingIntervalRules('weekly'),
+  
+  body('weekly')
+    .custom((weekly) => {
+      // Malformed entries are reported by the rules above
+      if (!Array.isArray(weekly) || !weekly.every((interval) => isWellFormedInterval(interval) && interval.day >= 0 && interval.day <= 6)) {
+        return true;
+      }
+      
+      const days = findOverlappingDays(weekly);
+      if (days.length > 0) {
+        throw new Error(`Opening intervals overlap on day ${days.join(', ')}`);
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
+// Store-local date in the URL of an hours exception
+const hoursExceptionDateRule = param('date')
+  .matches(/^\d{4}-\d{2}-\d{2}$/)
+  .isISO8601({ strict: true })
+  .withMessage('Date must be a valid YYYY-MM-DD date');
+
+const validateHoursExceptionDate = [
+  hoursExceptionDateRule,
+  
+  handleValidationErrors
+];
+
+// Holiday closure or special hours for one date
+const validateHoursException = [
+  hoursExceptionDateRule,
+  
+  body('closed')
+    .isBoolean({ strict: true })
+    .withMessage('closed must be true or false'),
+  
+  body('intervals')
+    .if(body('closed').equals('false'))
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Provide 1 to 10 opening intervals when the store is not closed'),
+  
+  ...openingIntervalRules('intervals'),
+  
+  body('intervals')
+    .if(body('closed').equals('false'))
+    .custom((intervals) => {
+      if (Array.isArray(intervals) && intervals.every(isWellFormedInterval) && intervalsOverlap(intervals)) {
+        throw new Error('Opening intervals overlap');
+      }
+      return true;
+    }),
+  
+  body('note')
+    .optional({ values: 'null' })
+    .isLength({ max: 200 })
+    .withMessage('Note must not exceed 200 characters')
+    .trim()
+    .escape(),
+  
+  handleValidationErrors
+];
+
+// Store logo or gallery photo upload (multipart fields)
+const validateMediaUpload = [
+  body('kind')
+    .isIn(['logo', 'photo'])
+    .withMessage('kind must be either logo or photo'),
+  
+  body('caption')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Caption must not exceed 200 characters')
+    .trim()
+    .escape(),
+  
+  handleValidationErrors
+];
+
+// New gallery order: every photo id of the store, first to last
+const validateMediaOrder = [
+  body('mediaIds')
+    .isArray({ min: 1 })
+    .withMessage('mediaIds must be a non-empty array of media IDs'),
+  
+  body('mediaIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Media IDs must be positive integers')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+// Store ownership claim (multipart fields alongside the evidence files)
+const validateStoreClaim = [
+  body('storeId')
+    .isInt({ min: 1 })
+    .withMessage('Store ID must be a positive integer')
+    .toInt(),
+  
+  body('note')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Please explain your claim in 10 to 1000 characters')
+    .escape(),
+  
+  handleValidationErrors
+];
+
+// Approving a claim; the note is optional
+const validateClaimApproval = [
+  body('reviewNote')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Review note must not exceed 1000 characters')
+    .escape(),
+  
+  handleValidationErrors
+];
+
+// Rejecting a claim needs a reason for the claimant
+const validateClaimRejection = [
+  body('reviewNote')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Please give a reason of at most 1000 characters')
+    .escape(),
+  
+  handleValidationErrors
+];
+
+// Reply from a store's owner or staff to one of its ratings
+const validateRatingResponse = [
+  body('response')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Response must be between 1 and 1000 characters')
+    .escape(),
+  
+  handleValidationErrors
+];
+
+// Shared store staff level rule
+const storeMemberLevelRule = body('level')
+  .isIn(Object.keys(STORE_MEMBER_LEVELS))
+  .withMessage(`Level must be one of: ${Object.keys(STORE_MEMBER_LEVELS).join(', ')}`);
+
+// Store staff invitation validation
+const validateStoreMemberInvitation = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+    .toLowerCase(),
+  
+  storeMemberLevelRule,
+  
+  handleValidationErrors
+];
+
+// Store staff level change validation
+const validateStoreMemberUpdate = [
+  storeMemberLevelRule,
+  
+  handleValidationErrors
+];
+
+// Shared category rules
+const categoryRules = [
+  body('slug')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Slug must be lowercase letters and numbers separated by hyphens')
+    .isLength({ max: 80 })
+    .withMessage('Slug must not exceed 80 characters'),
+  
+  body('description')
+    .optional({ values: 'null' })
+    .isLength({ max: 400 })
+    .withMessage('Description must not exceed 400 characters')
+    .trim()
+    .escape(),
+  
+  body('parentId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Parent ID must be a positive integer')
+    .toInt()
+];
+
+// Category creation validation
+const validateCategoryCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 60 })
+    .withMessage('Category name must be between 2 and 60 characters')
+    .escape(),
+  
+  ...categoryRules,
+  
+  handleValidationErrors
+];
+
+// Category update validation
+const validateCategoryUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 60 })
+    .withMessage('Category name must be between 2 and 60 characters')
+    .escape(),
+  
+  ...categoryRules,
+  
+  handleValidationErrors
+];
+
+// Shared brand rules
+const brandRules = [
+  body('slug')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Slug must be lowercase letters and numbers separated by hyphens')
+    .isLength({ max: 80 })
+    .withMessage('Slug must not exceed 80 characters'),
+  
+  body('description')
+    .optional({ values: 'null' })
+    .isLength({ max: 400 })
+    .withMessage('Description must not exceed 400 characters')
+    .trim()
+    .escape()
+];
+
+// Brand creation validation
+const validateBrandCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Brand name must be between 2 and 100 characters')
+    .escape(),
+  
+  ...brandRules,
+  
+  handleValidationErrors
+];
+
+// Brand update validation
+const validateBrandUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Brand name must be between 2 and 100 characters')
+    .escape(),
+  
+  ...brandRules,
+  
   handleValidationErrors
 ];
 
@@ -201,11 +874,40 @@ const validateSearch = [
 module.exports = {
   validateUserRegistration,
   validateUserLogin,
+  validateRefreshToken,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateTwoFactorSetup,
+  validateAccountDeletion,
+  validateApiKeyCreation,
+  validateRoleCreation,
+  validateRoleUpdate,
   validateStoreCreation,
   validateRating,
   validatePasswordUpdate,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateInvitation,
+  validateInvitationAcceptance,
   validateUserUpdate,
+  validateProfileUpdate,
   validateStoreUpdate,
+  validateStoreHours,
+  validateHoursException,
+  validateHoursExceptionDate,
+  validateMediaUpload,
+  validateMediaOrder,
+  validateStoreClaim,
+  validateClaimApproval,
+  validateClaimRejection,
+  validateRatingResponse,
+  validateStoreMemberInvitation,
+  validateStoreMemberUpdate,
+  validateCategoryCreation,
+  validateCategoryUpdate,
+  validateBrandCreation,
+  validateBrandUpdate,
   validateSearch,
   handleValidationErrors
 };
\ No newline at end of file
@@ -1,11 +1,48 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { pool } = require('../config/database');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission, rejectImpersonation } = require('../middleware/auth');
+const { unlockAccount } = require('../utils/lockout');
+const {
+  createImpersonationSession,
+  getActiveSessions,
+  revokeUserSessions
+} = require('../utils/tokens');
+const { getClientInfo } = require('../utils/device');
+const { recordAudit } = require('../utils/audit');
+const { recordChanges } = require('../utils/change-history');
+const { roleExists, roleHasPermission, getRoleAccess, hasPermission, canGrantRole } = require('../utils/permissions');
+const {
+  OWNED_STORES_SUMMARY,
+  buildTaxonomyFilters,
+  getStoreFacets,
+  withStoreTaxonomy,
+  findMissingCategories,
+  setStoreTaxonomy,
+  resolveStoreLocation
+} = require('../utils/stores');
+const { brandExists } = require('../utils/brands');
+const { removeStoreStaff } = require('../utils/store-members');
+const { normalizeSearchQuery, buildStoreSearch, buildUserSearch } = require('../utils/search');
+const {
+  CLAIM_STATUSES,
+  CLAIM_SELECT,
+  withClaimEvidence,
+  getClaim,
+  notifyClaimOutcome
+} = require('../utils/store-claims');
+const {
+  SOFT_DELETE_RETENTION_DAYS,
+  restoreUser,
+  restoreStore,
+  restoreRating
+} = require('../utils/soft-delete');
 const { 
   validateUserRegistration, 
   validateStoreCreation,
-  validateUserUpdate 
+  validateUserUpdate,
+  validateClaimApproval,
+  validateClaimRejection
 } = require('../middleware/validation');
 
 const router = express.Router();
@@ -13,24 +50,25 @@ const router = express.Router();
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard statistics
 // @access  Private (Admin)
-router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/dashboard', authenticateToken, requirePermission('dashboard.view'), async (req, res) => {
   try {
     const stats = await pool.query(`
       SELECT 
-        (SELECT COUNT(*) FROM users) as total_users,
-        (SELECT COUNT(*) FROM users WHERE role = 'NORMAL_USER') as normal_users,
-        (SELECT COUNT(*) FROM users WHERE role = 'STORE_OWNER') as store_owners,
-        (SELECT COUNT(*) FROM users WHERE role = 'SYSTEM_ADMIN') as admin_users,
-        (SELECT COUNT(*) FROM stores) as total_stores,
-        (SELECT COUNT(*) FROM ratings) as total_ratings,
-        (SELECT COALESCE(AVG(rating), 0) FROM ratings) as average_rating,
-        (SELECT COUNT(*) FROM stores WHERE total_ratings > 0) as stores_with_ratings
+        (SELECT COUNT(*) FROM users WHERE deleted_at IS NULL) as total_users,
+        (SELECT COUNT(*) FROM users WHERE role = 'NORMAL_USER' AND deleted_at IS NULL) as normal_users,
+        (SELECT COUNT(*) FROM users WHERE role = 'STORE_OWNER' AND deleted_at IS NULL) as store_owners,
+        (SELECT COUNT(*) FROM users WHERE role = 'SYSTEM_ADMIN' AND deleted_at IS NULL) as admin_users,
+        (SELECT COUNT(*) FROM stores WHERE deleted_at IS NULL) as total_stores,
+        (SELECT COUNT(*) FROM ratings WHERE deleted_at IS NULL) as total_ratings,
+        (SELECT COALESCE(AVG(rating), 0) FROM ratings WHERE deleted_at IS NULL) as average_rating,
+        (SELECT COUNT(*) FROM stores WHERE total_ratings > 0 AND deleted_at IS NULL) as stores_with_ratings
     `);
 
     // Get recent activities
     const recentUsers = await pool.query(`
       SELECT id, name, email, role, created_at
       FROM users
+      WHERE deleted_at IS NULL
       ORDER BY created_at DESC
       LIMIT 5
     `);
@@ -40,6 +78,7 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
              u.name as owner_name
       FROM stores s
       LEFT JOIN users u ON s.owner_id = u.id
+      WHERE s.deleted_at IS NULL
       ORDER BY s.created_at DESC
       LIMIT 5
     `);
@@ -51,6 +90,7 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
       FROM ratings r
       JOIN users u ON r.user_id = u.id
       JOIN stores s ON r.store_id = s.id
+      WHERE r.deleted_at IS NULL
       ORDER BY r.created_at DESC
       LIMIT 10
     `);
@@ -75,16 +115,20 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
 // @route   POST /api/admin/users
 // @desc    Create new user (Admin only)
 // @access  Private (Admin)
-router.post('/users', authenticateToken, requireAdmin, validateUserRegistration, async (req, res) => {
+router.post('/users', authenticateToken, requirePermission('users.create'), validateUserRegistration, async (req, res) => {
   try {
-    const { name, email, password, address, role = 'NORMAL_USER' } = req.body;
+    const { name, email, password, address } = req.body;
+    const role = String(req.body.role || 'NORMAL_USER').trim().toUpperCase();
 
     // Validate role
-    const validRoles = ['SYSTEM_ADMIN', 'NORMAL_USER', 'STORE_OWNER'];
-    if (!validRoles.includes(role)) {
+    if (!(await roleExists(role))) {
       return res.status(400).json({ message: 'Invalid role specified' });
     }
 
+    if (!(await canGrantRole(req.user, role))) {
+      return res.status(403).json({ message: 'Access denied. You cannot grant a role with more access than your own.' });
+    }
+
     // Check if user already exists
     const existingUser = await pool.query(
       'SELECT id FROM users WHERE email = $1',
@@ -101,8 +145,8 @@ router.post('/users', authenticateToken, requireAdmin, validateUserRegistration,
 
     // Create user
     const result = await pool.query(
-      `INSERT INTO users (name, email, password, address, role) 
-       VALUES ($1, $2, $3, $4, $5) 
+      `INSERT INTO users (name, email, password, address, role, email_verified_at) 
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP) 
        RETURNING id, name, email, address, role, created_at`,
       [name, email, hashedPassword, address, role]
     );
@@ -122,9 +166,14 @@ router.post('/users', authenticateToken, requireAdmin, validateUserRegistration,
 // @route   POST /api/admin/stores
 // @desc    Create new store (Admin only)
 // @access  Private (Admin)
-router.post('/stores', authenticateToken, requireAdmin, validateStoreCreation, async (req, res) => {
+router.post('/stores', authenticateToken, requirePermission('stores.create'), validateStoreCreation, async (req, res) => {
   try {
-    const { name, email, address, ownerId } = req.body;
+    const { name, email, address, ownerId, brandId, categoryIds, tags, latitude, longitude, timezone } = req.body;
+
+    // Only brand administrators decide which brand a store belongs to
+    if (brandId && !hasPermission(req.user, 'brands.manage')) {
+      return res.status(403).json({ message: 'Access denied. Insufficient permissions to set a store\'s brand.' });
+    }
 
     // Check if store email already exists
     const existingStore = await pool.query(
@@ -139,7 +188,7 @@ router.post('/stores', authenticateToken, requireAdmin, validateStoreCreation, a
     // If ownerId provided, verify the user exists and is a store owner
     if (ownerId) {
       const ownerCheck = await pool.query(
-        'SELECT id, role FROM users WHERE id = $1',
+        'SELECT id, role FROM users WHERE id = $1 AND deleted_at IS NULL',
         [ownerId]
       );
 
@@ -147,30 +196,57 @@ router.post('/stores', authenticateToken, requireAdmin, validateStoreCreation, a
         return res.status(400).json({ message: 'Owner not found' });
       }
 
-      if (ownerCheck.rows[0].role !== 'STORE_OWNER') {
+      if (!(await roleHasPermission(ownerCheck.rows[0].role, 'stores.own'))) {
         return res.status(400).json({ message: 'User must be a store owner' });
       }
+    }
 
-      // Check if owner already has a store
-      const existingOwnerStore = await pool.query(
-        'SELECT id FROM stores WHERE owner_id = $1',
-        [ownerId]
-      );
+    if (brandId && !(await brandExists(brandId))) {
+      return res.status(400).json({ message: 'Brand not found' });
+    }
 
-      if (existingOwnerStore.rows.length > 0) {
-        return res.status(400).json({ message: 'Store owner already has a store' });
+    if (categoryIds && categoryIds.length > 0) {
+      const missing = await findMissingCategories(categoryIds);
+      if (missing.length > 0) {
+        return res.status(400).json({ message: `Category not found: ${missing.join(', ')}` });
       }
     }
 
-    // Create store
-    const result = await pool.query(
-      `INSERT INTO stores (name, email, address, owner_id) 
-       VALUES ($1, $2, $3, $4) 
-       RETURNING id, name, email, address, owner_id, average_rating, total_ratings, created_at`,
-      [name, email, address, ownerId || null]
-    );
+    const location = await resolveStoreLocation({ latitude, longitude, address });
+
+    // Create store with its categories and tags in one transaction
+    const client = await pool.connect();
+    let result;
+
+    try {
+      await client.query('BEGIN');
+      result = await client.query(
+        `INSERT INTO stores (name, email, address, owner_id, latitude, longitude, location_source, timezone, brand_id) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
+         RETURNING id, name, email, address, owner_id, latitude, longitude, location_source, timezone, brand_id,
+                   average_rating, total_ratings, created_at`,
+        [
+          name,
+          email,
+          address,
+          ownerId || null,
+          location ? location.latitude : null,
+          location ? location.longitude : null,
+          location ? location.source : null,
+          timezone || 'UTC',
+          brandId || null
+        ]
+      );
+      await setStoreTaxonomy(client, result.rows[0].id, { categoryIds, tags });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
-    const store = result.rows[0];
+    const [store] = await withStoreTaxonomy(result.rows);
 
     // Get owner details if exists
     let storeWithOwner = store;
@@ -198,13 +274,12 @@ router.post('/stores', authenticateToken, requireAdmin, validateStoreCreation, a
 // @route   GET /api/admin/users
 // @desc    Get all users with advanced filtering (Admin only)
 // @access  Private (Admin)
-router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/users', authenticateToken, requirePermission('users.read'), async (req, res) => {
   try {
     const { 
       page = 1, 
       limit = 10, 
-      sortBy = 'name', 
-      sortOrder = 'asc',
+      sortOrder = '',
       search = '',
       searchBy = 'name',
       role = '',
@@ -212,34 +287,41 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
       dateTo = ''
     } = req.query;
 
+    // Ranked search across name, email and address; best match first by default
+    const q = normalizeSearchQuery(req.query.q);
+    const sortBy = req.query.sortBy || (q ? 'relevance' : 'name');
+
     const offset = (page - 1) * limit;
     const validSortFields = ['name', 'email', 'address', 'role', 'created_at'];
     const validSortOrders = ['asc', 'desc'];
     const validSearchFields = ['name', 'email', 'address'];
 
+    if (q) {
+      validSortFields.push('relevance');
+    }
+
     // Validate parameters
     const sortField = validSortFields.includes(sortBy) ? sortBy : 'name';
-    const order = validSortOrders.includes(sortOrder.toLowerCase()) ? sortOrder.toUpperCase() : 'ASC';
+    const order = validSortOrders.includes(sortOrder.toLowerCase())
+      ? sortOrder.toUpperCase()
+      : sortField === 'relevance' ? 'DESC' : 'ASC';
     const searchField = validSearchFields.includes(searchBy) ? searchBy : 'name';
 
+    const queryParams = [];
+    const textSearch = q ? buildUserSearch(q, queryParams) : null;
+
     // Build query
     let query = `
       SELECT u.id, u.name, u.email, u.address, u.role, u.created_at,
-             CASE 
-               WHEN u.role = 'STORE_OWNER' THEN s.average_rating
-               ELSE NULL 
-             END as store_rating,
-             CASE 
-               WHEN u.role = 'STORE_OWNER' THEN s.name
-               ELSE NULL 
-             END as store_name
+             u.failed_login_count, u.locked_until,
+             owned.store_count, owned.store_rating, owned.store_names
+             ${textSearch ? `, ${textSearch.rank} as relevance, ${textSearch.snippets.join(', ')}` : ''}
       FROM users u
-      LEFT JOIN stores s ON u.id = s.owner_id AND u.role = 'STORE_OWNER'
-      WHERE 1=1
+      LEFT JOIN LATERAL (${OWNED_STORES_SUMMARY}) owned ON TRUE
+      WHERE u.deleted_at IS NULL${textSearch ? textSearch.condition : ''}
     `;
     
-    const queryParams = [];
-    let paramCount = 0;
+    let paramCount = queryParams.length;
 
     // Add search filter
     if (search) {
@@ -269,7 +351,9 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
     }
 
     // Add sorting
-    query += ` ORDER BY u.${sortField} ${order}`;
+    query += sortField === 'relevance'
+      ? ` ORDER BY relevance ${order}, u.name ASC`
+      : ` ORDER BY u.${sortField} ${order}`;
 
     // Add pagination
     paramCount++;
@@ -283,9 +367,14 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
     const result = await pool.query(query, queryParams);
 
     // Get total count
-    let countQuery = 'SELECT COUNT(*) FROM users u WHERE 1=1';
+    let countQuery = 'SELECT COUNT(*) FROM users u WHERE u.deleted_at IS NULL';
     const countParams = [];
-    let countParamCount = 0;
+
+    if (q) {
+      countQuery += buildUserSearch(q, countParams).condition;
+    }
+
+    let countParamCount = countParams.length;
 
     if (search) {
       countParamCount++;
@@ -327,6 +416,7 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
       filters: {
         search,
         searchBy,
+        q,
         role,
         dateFrom,
         dateTo,
@@ -340,45 +430,245 @@ router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Clear a brute-force lockout on a user account
+// @access  Private (Admin)
+router.post('/users/:id/unlock', authenticateToken, requirePermission('users.unlock'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await unlockAccount(userId);
+
+    res.json({ message: 'User account unlocked successfully' });
+  } catch (error) {
+    console.error('Admin unlock user error:', error);
+    res.status(500).json({ message: 'Server error unlocking user' });
+  }
+});
+
+// @route   GET /api/admin/users/:id/sessions
+// @desc    List a user's active sessions
+// @access  Private (Admin)
+router.get('/users/:id/sessions', authenticateToken, requirePermission('users.read'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const sessions = await getActiveSessions(userId);
+
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Admin get user sessions error:', error);
+    res.status(500).json({ message: 'Server error fetching sessions' });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/sessions
+// @desc    Sign a user out everywhere by revoking all their sessions
+// @access  Private (Admin)
+router.delete('/users/:id/sessions', authenticateToken, requirePermission('users.revoke_sessions'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await revokeUserSessions(userId);
+
+    res.json({ message: 'All sessions revoked successfully' });
+  } catch (error) {
+    console.error('Admin revoke user sessions error:', error);
+    res.status(500).json({ message: 'Server error revoking sessions' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/impersonate
+// @desc    Issue a short-lived token to act as a user; all writes are audited
+// @access  Private (Admin)
+router.post('/users/:id/impersonate', authenticateToken, rejectImpersonation, requirePermission('users.impersonate'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : null;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ message: 'You cannot impersonate yourself' });
+    }
+
+    const userCheck = await pool.query(
+      'SELECT id, name, email, role FROM users WHERE id = $1 AND deleted_at IS NULL',
+      [Number.isNaN(userId) ? null : userId]
+    );
+
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const subject = userCheck.rows[0];
+
+    // Impersonating another impersonator would allow chaining privileges
+    const subjectAccess = await getRoleAccess(subject.role);
+    if (subjectAccess.permissions.includes('users.impersonate')) {
+      return res.status(403).json({ message: 'This user cannot be impersonated' });
+    }
+
+    const { sessionId, token, expiresIn } = await createImpersonationSession(
+      req.user.id,
+      subject.id,
+      getClientInfo(req)
+    );
+
+    await recordAudit({
+      actorId: req.user.id,
+      subjectId: subject.id,
+      action: 'impersonation.start',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: 200,
+      ipAddress: req.ip,
+      metadata: { sessionId, reason }
+    });
+
+    res.json({
+      message: `Now impersonating ${subject.name}. Log out with this token to stop.`,
+      token,
+      expiresIn,
+      user: subject
+    });
+  } catch (error) {
+    console.error('Admin impersonate user error:', error);
+    res.status(500).json({ message: 'Server error starting impersonation' });
+  }
+});
+
+// @route   GET /api/admin/audit-logs
+// @desc    Get audit log entries, newest first
+// @access  Private (Admin)
+router.get('/audit-logs', authenticateToken, requirePermission('audit.read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, actorId = '', subjectId = '', action = '' } = req.query;
+    const offset = (page - 1) * limit;
+
+    let where = ' WHERE 1=1';
+    const queryParams = [];
+    let paramCount = 0;
+
+    if (actorId) {
+      paramCount++;
+      where += ` AND a.actor_id = $${paramCount}`;
+      queryParams.push(actorId);
+    }
+
+    if (subjectId) {
+      paramCount++;
+      where += ` AND a.subject_id = $${paramCount}`;
+      queryParams.push(subjectId);
+    }
+
+    // Prefix match so action=impersonation returns start, stop and write entries
+    if (action) {
+      paramCount++;
+      where += ` AND a.action LIKE $${paramCount}`;
+      queryParams.push(`${action}%`);
+    }
+
+    const result = await pool.query(
+      `SELECT a.id, a.action, a.method, a.path, a.status_code, a.ip_address, a.metadata, a.created_at,
+              a.actor_id, actor.name as actor_name, actor.email as actor_email,
+              a.subject_id, subject.name as subject_name, subject.email as subject_email
+       FROM audit_logs a
+       LEFT JOIN users actor ON a.actor_id = actor.id
+       LEFT JOIN users subject ON a.subject_id = subject.id
+       ${where}
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      [...queryParams, limit, offset]
+    );
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM audit_logs a${where}`, queryParams);
+    const totalEntries = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalEntries / limit);
+
+    res.json({
+      auditLogs: result.rows,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalEntries,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Admin get audit logs error:', error);
+    res.status(500).json({ message: 'Server error fetching audit logs' });
+  }
+});
+
 // @route   GET /api/admin/stores
 // @desc    Get all stores with advanced filtering (Admin only)
 // @access  Private (Admin)
-router.get('/stores', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/stores', authenticateToken, requirePermission('stores.read', 'stores.manage_all'), async (req, res) => {
   try {
     const { 
       page = 1, 
       limit = 10, 
-      sortBy = 'name', 
-      sortOrder = 'asc',
+      sortOrder = '',
       search = '',
       searchBy = 'name',
       minRating = '',
       maxRating = '',
       dateFrom = '',
-      dateTo = ''
+      dateTo = '',
+      category = '',
+      tag = ''
     } = req.query;
 
+    // Ranked search across name, categories, tags and address; best match first by default
+    const q = normalizeSearchQuery(req.query.q);
+    const sortBy = req.query.sortBy || (q ? 'relevance' : 'name');
+
     const offset = (page - 1) * limit;
     const validSortFields = ['name', 'email', 'address', 'average_rating', 'total_ratings', 'created_at'];
     const validSortOrders = ['asc', 'desc'];
     const validSearchFields = ['name', 'email', 'address'];
 
+    if (q) {
+      validSortFields.push('relevance');
+    }
+
     // Validate parameters
     const sortField = validSortFields.includes(sortBy) ? sortBy : 'name';
-    const order = validSortOrders.includes(sortOrder.toLowerCase()) ? sortOrder.toUpperCase() : 'ASC';
+    const order = validSortOrders.includes(sortOrder.toLowerCase())
+      ? sortOrder.toUpperCase()
+      : sortField === 'relevance' ? 'DESC' : 'ASC';
     const searchField = validSearchFields.includes(searchBy) ? searchBy : 'name';
 
+    const queryParams = [];
+    const textSearch = q ? buildStoreSearch(q, queryParams) : null;
+
     // Build query
     let query = `
-      SELECT s.id, s.name, s.email, s.address, s.average_rating, s.total_ratings, s.created_at,
+      SELECT s.id, s.name, s.email, s.address, s.latitude, s.longitude,
+             s.average_rating, s.total_ratings, s.created_at,
              u.name as owner_name, u.id as owner_id, u.email as owner_email
+             ${textSearch ? `, ${textSearch.rank} as relevance, ${textSearch.snippets.join(', ')}` : ''}
       FROM stores s
       LEFT JOIN users u ON s.owner_id = u.id
-      WHERE 1=1
+      WHERE s.deleted_at IS NULL${textSearch ? textSearch.condition : ''}
     `;
     
-    const queryParams = [];
-    let paramCount = 0;
+    let paramCount = queryParams.length;
 
     // Add search filter
     if (search) {
@@ -413,8 +703,14 @@ router.get('/stores', authenticateToken, requireAdmin, async (req, res) => {
       queryParams.push(dateTo + ' 23:59:59');
     }
 
+    // Add category and tag filters
+    query += buildTaxonomyFilters({ category, tag }, queryParams);
+    paramCount = queryParams.length;
+
     // Add sorting
-    query += ` ORDER BY s.${sortField} ${order}`;
+    query += sortField === 'relevance'
+      ? ` ORDER BY relevance ${order}, s.name ASC`
+      : ` ORDER BY s.${sortField} ${order}`;
 
     // Add pagination
     paramCount++;
@@ -426,16 +722,26 @@ router.get('/stores', authenticateToken, requireAdmin, async (req, res) => {
     queryParams.push(offset);
 
     const result = await pool.query(query, queryParams);
+    const storesWithTaxonomy = await withStoreTaxonomy(result.rows);
 
     // Transform the data to match frontend expectations
-    const transformedStores = result.rows.map(store => ({
+    const transformedStores = storesWithTaxonomy.map(store => ({
       id: store.id,
       name: store.name,
       email: store.email,
       address: store.address,
+      latitude: store.latitude,
+      longitude: store.longitude,
       average_rating: store.average_rating,
       total_ratings: store.total_ratings,
       created_at: store.created_at,
+      ...(textSearch && {
+        relevance: store.relevance,
+        name_highlight: store.name_highlight,
+        address_snippet: store.address_snippet
+      }),
+      categories: store.categories,
+      tags: store.tags,
       owner: {
         id: store.owner_id,
         name: store.owner_name,
@@ -444,46 +750,57 @@ router.get('/stores', authenticateToken, requireAdmin, async (req, res) => {
     }));
 
     // Get total count with same filters
-    let countQuery = 'SELECT COUNT(*) FROM stores s WHERE 1=1';
+    let countFilters = '';
     const countParams = [];
-    let countParamCount = 0;
+
+    if (q) {
+      countFilters += buildStoreSearch(q, countParams).condition;
+    }
+
+    let countParamCount = countParams.length;
 
     if (search) {
       countParamCount++;
-      countQuery += ` AND LOWER(s.${searchField}) LIKE LOWER($${countParamCount})`;
+      countFilters += ` AND LOWER(s.${searchField}) LIKE LOWER($${countParamCount})`;
       countParams.push(`%${search}%`);
     }
 
     if (minRating) {
       countParamCount++;
-      countQuery += ` AND s.average_rating >= $${countParamCount}`;
+      countFilters += ` AND s.average_rating >= $${countParamCount}`;
       countParams.push(parseFloat(minRating));
     }
 
     if (maxRating) {
       countParamCount++;
-      countQuery += ` AND s.average_rating <= $${countParamCount}`;
+      countFilters += ` AND s.average_rating <= $${countParamCount}`;
       countParams.push(parseFloat(maxRating));
     }
 
     if (dateFrom) {
       countParamCount++;
-      countQuery += ` AND s.created_at >= $${countParamCount}`;
+      countFilters += ` AND s.created_at >= $${countParamCount}`;
       countParams.push(dateFrom);
     }
 
     if (dateTo) {
       countParamCount++;
-      countQuery += ` AND s.created_at <= $${countParamCount}`;
+      countFilters += ` AND s.created_at <= $${countParamCount}`;
       countParams.push(dateTo + ' 23:59:59');
     }
 
-    const countResult = await pool.query(countQuery, countParams);
+    countFilters += buildTaxonomyFilters({ category, tag }, countParams);
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM stores s WHERE s.deleted_at IS NULL${countFilters}`, countParams);
     const totalStores = parseInt(countResult.rows[0].count);
     const totalPages = Math.ceil(totalStores / limit);
 
+    // Facet counts cover every matching store, not just this page
+    const facets = await getStoreFacets(`SELECT s.id FROM stores s WHERE s.deleted_at IS NULL${countFilters}`, countParams);
+
     res.json({
       stores: transformedStores,
+      facets,
       pagination: {
         currentPage: parseInt(page),
         totalPages,
@@ -494,10 +811,13 @@ router.get('/stores', authenticateToken, requireAdmin, async (req, res) => {
       filters: {
         search,
         searchBy,
+        q,
         minRating,
         maxRating,
         dateFrom,
         dateTo,
+        category,
+        tag,
         sortBy,
         sortOrder
       }
@@ -508,16 +828,266 @@ router.get('/stores', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/store-claims
+// @desc    Store ownership claims to review (?status=pending|approved|rejected|withdrawn|all)
+// @access  Private (stores.review_claims)
+router.get('/store-claims', authenticateToken, requirePermission('stores.review_claims'), async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (status !== 'all' && !CLAIM_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${CLAIM_STATUSES.join(', ')}, all` });
+    }
+
+    const params = [];
+    let filters = '';
+
+    if (status !== 'all') {
+      params.push(status);
+      filters += ` AND c.status = $${params.length}`;
+    }
+
+    // Claims on deleted stores or by deleted users wait until those are
+    // restored or purged
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM store_claims c
+       JOIN stores s ON s.id = c.store_id
+       JOIN users cu ON cu.id = c.claimant_id
+       WHERE s.deleted_at IS NULL AND cu.deleted_at IS NULL${filters}`,
+      params
+    );
+    const totalClaims = parseInt(countResult.rows[0].count);
+
+    // The pending queue is worked oldest first; history shows the latest first
+    params.push(limit, (page - 1) * limit);
+    const result = await pool.query(
+      `${CLAIM_SELECT}
+       WHERE s.deleted_at IS NULL AND cu.deleted_at IS NULL${filters}
+       ORDER BY c.created_at ${status === 'pending' ? 'ASC' : 'DESC'}
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    const totalPages = Math.ceil(totalClaims / limit);
+
+    res.json({
+      claims: await withClaimEvidence(result.rows),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalClaims,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get store claims error:', error);
+    res.status(500).json({ message: 'Server error fetching store claims' });
+  }
+});
+
+// @route   POST /api/admin/store-claims/:id/approve
+// @desc    Approve a claim, making the claimant owner and rejecting other pending claims
+// @access  Private (stores.review_claims)
+router.post('/store-claims/:id/approve', authenticateToken, requirePermission('stores.review_claims'), validateClaimApproval, async (req, res) => {
+  try {
+    const claimId = parseInt(req.params.id) || 0;
+    const reviewNote = req.body.reviewNote || null;
+
+    const claim = await getClaim(claimId);
+    if (!claim) {
+      return res.status(404).json({ message: 'Claim not found' });
+    }
+
+    if (claim.status !== 'pending') {
+      return res.status(400).json({ message: `This claim has already been ${claim.status}` });
+    }
+
+    const claimantResult = await pool.query(
+      'SELECT role FROM users WHERE id = $1 AND deleted_at IS NULL',
+      [claim.claimant_id]
+    );
+    if (claimantResult.rows.length === 0) {
+      return res.status(400).json({ message: 'The claimant\'s account has been deleted' });
+    }
+
+    if (!(await roleHasPermission(claimantResult.rows[0].role, 'stores.own'))) {
+      return res.status(400).json({ message: 'The claimant\'s role cannot own stores' });
+    }
+
+    // Both updates are conditional so a concurrent review or assignment wins cleanly
+    const client = await pool.connect();
+    let conflict = false;
+    let competing = [];
+    let storeEmail;
+
+    try {
+      await client.query('BEGIN');
+
+      const claimUpdate = await client.query(
+        `UPDATE store_claims
+         SET status = 'approved', review_note = $2, reviewed_by = $3,
+             reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'pending'
+         RETURNING id`,
+        [claimId, reviewNote, req.user.id]
+      );
+
+      const storeUpdate = await client.query(
+        `UPDATE stores SET owner_id = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND owner_id IS NULL AND deleted_at IS NULL
+         RETURNING email`,
+        [claim.claimant_id, claim.store_id]
+      );
+
+      if (claimUpdate.rows.length === 0 || storeUpdate.rows.length === 0) {
+        conflict = true;
+        await client.query('ROLLBACK');
+      } else {
+        storeEmail = storeUpdate.rows[0].email;
+        await removeStoreStaff(client, [claim.store_id]);
+
+        await recordChanges(client, {
+          entityType: 'store',
+          entityId: claim.store_id,
+          actorId: req.user.id,
+          action: 'claim',
+          before: { owner_id: null },
+          after: { owner_id: claim.claimant_id }
+        });
+
+        const competingUpdate = await client.query(
+          `UPDATE store_claims
+           SET status = 'rejected', review_note = 'Another claim for this store was approved',
+               reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE store_id = $1 AND status = 'pending'
+           RETURNING id`,
+          [claim.store_id, req.user.id]
+        );
+        competing = competingUpdate.rows.map((row) => row.id);
+
+        await client.query('COMMIT');
+      }
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (conflict) {
+      return res.status(409).json({ message: 'The claim was reviewed or the store was assigned or deleted in the meantime' });
+    }
+
+    await recordAudit({
+      actorId: req.user.id,
+      subjectId: claim.claimant_id,
+      action: 'store_claim.approve',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: 200,
+      ipAddress: req.ip,
+      metadata: { claimId, storeId: claim.store_id, rejectedClaimIds: competing }
+    });
+
+    await notifyClaimOutcome({ claim, storeEmail, approved: true, reviewNote });
+    for (const competingId of competing) {
+      const competingClaim = await getClaim(competingId);
+      await notifyClaimOutcome({
+        claim: competingClaim,
+        storeEmail: null,
+        approved: false,
+        reviewNote: competingClaim.review_note
+      });
+    }
+
+    res.json({
+      message: `${claim.claimant_name} is now the owner of ${claim.store_name}`,
+      claim: await getClaim(claimId)
+    });
+  } catch (error) {
+    console.error('Approve store claim error:', error);
+    res.status(500).json({ message: 'Server error approving claim' });
+  }
+});
+
+// @route   POST /api/admin/store-claims/:id/reject
+// @desc    Reject a claim with a reason for the claimant
+// @access  Private (stores.review_claims)
+router.post('/store-claims/:id/reject', authenticateToken, requirePermission('stores.review_claims'), validateClaimRejection, async (req, res) => {
+  try {
+    const claimId = parseInt(req.params.id) || 0;
+    const { reviewNote } = req.body;
+
+    const claim = await getClaim(claimId);
+    if (!claim) {
+      return res.status(404).json({ message: 'Claim not found' });
+    }
+
+    const result = await pool.query(
+      `UPDATE store_claims
+       SET status = 'rejected', review_note = $2, reviewed_by = $3,
+           reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'pending'
+       RETURNING id`,
+      [claimId, reviewNote, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: `This claim has already been ${claim.status}` });
+    }
+
+    await recordAudit({
+      actorId: req.user.id,
+      subjectId: claim.claimant_id,
+      action: 'store_claim.reject',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: 200,
+      ipAddress: req.ip,
+      metadata: { claimId, storeId: claim.store_id }
+    });
+
+    const storeResult = await pool.query('SELECT email FROM stores WHERE id = $1', [claim.store_id]);
+    await notifyClaimOutcome({
+      claim,
+      storeEmail: storeResult.rows[0].email,
+      approved: false,
+      reviewNote
+    });
+
+    res.json({
+      message: 'Claim rejected',
+      claim: await getClaim(claimId)
+    });
+  } catch (error) {
+    console.error('Reject store claim error:', error);
+    res.status(500).json({ message: 'Server error rejecting claim' });
+  }
+});
+
 // @route   GET /api/admin/store-owners
-// @desc    Get available store owners for assignment
+// @desc    Get store owners for assignment, with store counts and pending claims
 // @access  Private (Admin)
-router.get('/store-owners', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/store-owners', authenticateToken, requirePermission('users.read'), async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT u.id, u.name, u.email, u.address
+      SELECT u.id, u.name, u.email, u.address, owned.store_count,
+             claims.pending_claim_count, claims.pending_claims
       FROM users u
-      LEFT JOIN stores s ON u.id = s.owner_id
-      WHERE u.role = 'STORE_OWNER' AND s.id IS NULL
+      LEFT JOIN LATERAL (${OWNED_STORES_SUMMARY}) owned ON TRUE
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*)::int as pending_claim_count,
+               COALESCE(json_agg(json_build_object(
+                 'id', c.id, 'store_id', s.id, 'store_name', s.name, 'created_at', c.created_at
+               ) ORDER BY c.created_at), '[]') as pending_claims
+        FROM store_claims c
+        JOIN stores s ON s.id = c.store_id
+        WHERE c.claimant_id = u.id AND c.status = 'pending' AND s.deleted_at IS NULL
+      ) claims ON TRUE
+      WHERE u.role = 'STORE_OWNER' AND u.deleted_at IS NULL
       ORDER BY u.name
     `);
 
@@ -528,4 +1098,196 @@ router.get('/store-owners', authenticateToken, requireAdmin, async (req, res) =>
   }
 });
 
+// Deleted rows that can still be restored, newest first, with who deleted
+// them and until when they can be brought back
+const DELETED_ITEM_QUERIES = {
+  users: `
+    SELECT u.id, u.name, u.email, u.role, u.deleted_at, d.name as deleted_by_name,
+           u.deleted_at + make_interval(days => $1) as restorable_until
+    FROM users u
+    LEFT JOIN users d ON d.id = u.deleted_by
+    WHERE u.deleted_at > CURRENT_TIMESTAMP - make_interval(days => $1)
+  `,
+  stores: `
+    SELECT s.id, s.name, s.email, s.address, s.owner_id, o.name as owner_name,
+           o.deleted_at IS NOT NULL as owner_deleted,
+           s.deleted_at, d.name as deleted_by_name,
+           s.deleted_at + make_interval(days => $1) as restorable_until
+    FROM stores s
+    LEFT JOIN users o ON o.id = s.owner_id
+    LEFT JOIN users d ON d.id = s.deleted_by
+    WHERE s.deleted_at > CURRENT_TIMESTAMP - make_interval(days => $1)
+  `,
+  ratings: `
+    SELECT r.id, r.rating, r.comment, r.created_at,
+           u.id as user_id, u.name as user_name, u.deleted_at IS NOT NULL as user_deleted,
+           s.id as store_id, s.name as store_name, s.deleted_at IS NOT NULL as store_deleted,
+           r.deleted_at, d.name as deleted_by_name,
+           r.deleted_at + make_interval(days => $1) as restorable_until
+    FROM ratings r
+    JOIN users u ON u.id = r.user_id
+    JOIN stores s ON s.id = r.store_id
+    LEFT JOIN users d ON d.id = r.deleted_by
+    WHERE r.deleted_at > CURRENT_TIMESTAMP - make_interval(days => $1)
+  `
+};
+
+// @route   GET /api/admin/deleted/:type
+// @desc    List deleted users, stores or ratings that can still be restored
+// @access  Private (trash.manage)
+router.get('/deleted/:type', authenticateToken, requirePermission('trash.manage'), async (req, res) => {
+  try {
+    const query = DELETED_ITEM_QUERIES[req.params.type];
+    if (!query) {
+      return res.status(404).json({ message: 'Type must be one of: users, stores, ratings' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM (${query}) deleted`, [SOFT_DELETE_RETENTION_DAYS]);
+    const totalItems = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalItems / limit);
+
+    const result = await pool.query(
+      `${query} ORDER BY deleted_at DESC LIMIT $2 OFFSET $3`,
+      [SOFT_DELETE_RETENTION_DAYS, limit, (page - 1) * limit]
+    );
+
+    res.json({
+      [req.params.type]: result.rows,
+      retentionDays: SOFT_DELETE_RETENTION_DAYS,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get deleted items error:', error);
+    res.status(500).json({ message: 'Server error fetching deleted items' });
+  }
+});
+
+// @route   POST /api/admin/deleted/users/:id/restore
+// @desc    Restore a deleted user with the stores and ratings deleted with them
+// @access  Private (trash.manage)
+router.post('/deleted/users/:id/restore', authenticateToken, requirePermission('trash.manage'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id) || 0;
+
+    if (!await restoreUser(userId)) {
+      return res.status(404).json({ message: 'Deleted user not found or past the retention window' });
+    }
+
+    await recordAudit({
+      actorId: req.user.id,
+      subjectId: userId,
+      action: 'user.restore',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: 200,
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'User restored successfully' });
+  } catch (error) {
+    console.error('Restore user error:', error);
+    res.status(500).json({ message: 'Server error restoring user' });
+  }
+});
+
+// @route   POST /api/admin/deleted/stores/:id/restore
+// @desc    Restore a deleted store with the ratings deleted with it
+// @access  Private (trash.manage)
+router.post('/deleted/stores/:id/restore', authenticateToken, requirePermission('trash.manage'), async (req, res) => {
+  try {
+    const storeId = parseInt(req.params.id) || 0;
+
+    const storeCheck = await pool.query(
+      `SELECT s.id, o.deleted_at as owner_deleted_at
+       FROM stores s
+       LEFT JOIN users o ON o.id = s.owner_id
+       WHERE s.id = $1 AND s.deleted_at IS NOT NULL`,
+      [storeId]
+    );
+    if (storeCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Deleted store not found' });
+    }
+
+    if (storeCheck.rows[0].owner_deleted_at) {
+      return res.status(400).json({ message: 'The store\'s owner has been deleted; restore the owner first' });
+    }
+
+    if (!await restoreStore(storeId)) {
+      return res.status(404).json({ message: 'Deleted store not found or past the retention window' });
+    }
+
+    await recordAudit({
+      actorId: req.user.id,
+      action: 'store.restore',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: 200,
+      ipAddress: req.ip,
+      metadata: { storeId }
+    });
+
+    res.json({ message: 'Store restored successfully' });
+  } catch (error) {
+    console.error('Restore store error:', error);
+    res.status(500).json({ message: 'Server error restoring store' });
+  }
+});
+
+// @route   POST /api/admin/deleted/ratings/:id/restore
+// @desc    Restore a deleted rating
+// @access  Private (trash.manage)
+router.post('/deleted/ratings/:id/restore', authenticateToken, requirePermission('trash.manage'), async (req, res) => {
+  try {
+    const ratingId = parseInt(req.params.id) || 0;
+
+    const ratingCheck = await pool.query(
+      `SELECT r.id, r.user_id, u.deleted_at as user_deleted_at, s.deleted_at as store_deleted_at
+       FROM ratings r
+       JOIN users u ON u.id = r.user_id
+       JOIN stores s ON s.id = r.store_id
+       WHERE r.id = $1 AND r.deleted_at IS NOT NULL`,
+      [ratingId]
+    );
+    if (ratingCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Deleted rating not found' });
+    }
+
+    const rating = ratingCheck.rows[0];
+    if (rating.user_deleted_at || rating.store_deleted_at) {
+      return res.status(400).json({
+        message: `The rating's ${rating.user_deleted_at ? 'author' : 'store'} has been deleted; restore it first`
+      });
+    }
+
+    if (!await restoreRating(ratingId)) {
+      return res.status(404).json({ message: 'Deleted rating not found or past the retention window' });
+    }
+
+    await recordAudit({
+      actorId: req.user.id,
+      subjectId: rating.user_id,
+      action: 'rating.restore',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: 200,
+      ipAddress: req.ip,
+      metadata: { ratingId }
+    });
+
+    res.json({ message: 'Rating restored successfully' });
+  } catch (error) {
+    console.error('Restore rating error:', error);
+    res.status(500).json({ message: 'Server error restoring rating' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,103 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const {
+  authenticateToken,
+  requirePermission,
+  rejectImpersonation
+} = require('../middleware/auth');
+const { validateApiKeyCreation } = require('../middleware/validation');
+const { generateApiKey } = require('../utils/api-keys');
+const { hasPermission } = require('../utils/permissions');
+
+const router = express.Router();
+
+// @route   GET /api/api-keys
+// @desc    List the current user's API keys (api_keys.manage_all may pass ?all=true)
+// @access  Private (api_keys.manage)
+router.get('/', authenticateToken, requirePermission('api_keys.manage'), async (req, res) => {
+  try {
+    const listAll = hasPermission(req.user, 'api_keys.manage_all') && req.query.all === 'true';
+
+    let query = `
+      SELECT k.id, k.name, k.key_prefix, k.scopes, k.expires_at, k.last_used_at,
+             k.revoked_at, k.created_at, u.id as user_id, u.name as user_name
+      FROM api_keys k
+      JOIN users u ON k.user_id = u.id
+    `;
+    const queryParams = [];
+
+    if (!listAll) {
+      query += ' WHERE k.user_id = $1';
+      queryParams.push(req.user.id);
+    }
+
+    query += ' ORDER BY k.created_at DESC';
+
+    const result = await pool.query(query, queryParams);
+
+    res.json({ apiKeys: result.rows });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ message: 'Server error fetching API keys' });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create a scoped API key; the plaintext key is only returned here
+// @access  Private (api_keys.manage)
+router.post('/', authenticateToken, rejectImpersonation, requirePermission('api_keys.manage'), validateApiKeyCreation, async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    const { key, prefix, hash } = generateApiKey();
+
+    const result = await pool.query(
+      `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, name, key_prefix, scopes, expires_at, created_at`,
+      [req.user.id, name, prefix, hash, [...new Set(scopes)], expiresAt || null]
+    );
+
+    res.status(201).json({
+      message: 'API key created. Copy it now; it will not be shown again.',
+      key,
+      apiKey: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ message: 'Server error creating API key' });
+  }
+});
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private (key owner or api_keys.manage_all)
+router.delete('/:id', authenticateToken, requirePermission('api_keys.manage'), async (req, res) => {
+  try {
+    const keyId = req.params.id;
+
+    const keyCheck = await pool.query(
+      'SELECT id, user_id FROM api_keys WHERE id = $1 AND revoked_at IS NULL',
+      [keyId]
+    );
+
+    if (keyCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    if (!hasPermission(req.user, 'api_keys.manage_all') && keyCheck.rows[0].user_id !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await pool.query(
+      'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [keyId]
+    );
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ message: 'Server error revoking API key' });
+  }
+});
+
+module.exports = router;
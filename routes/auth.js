@@ -1,23 +1,125 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, rejectImpersonation } = require('../middleware/auth');
+const { getRoleAccess } = require('../utils/permissions');
 const { 
   validateUserRegistration, 
   validateUserLogin, 
-  validatePasswordUpdate 
+  validatePasswordUpdate,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateRefreshToken,
+  validateProfileUpdate,
+  validateAccountDeletion
 } = require('../middleware/validation');
+const { sendMail, buildClientUrl } = require('../utils/mailer');
+const {
+  checkAttemptAllowed,
+  recordAttempt,
+  releaseAttempt,
+  sendBlockedResponse
+} = require('../utils/lockout');
+const {
+  hashToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  createSession,
+  getActiveSessions,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} = require('../utils/tokens');
+const { getClientInfo } = require('../utils/device');
+const { recordAudit } = require('../utils/audit');
+const { getUserSnapshot, recordChanges } = require('../utils/change-history');
+const { collectUserData, sendUserDataArchive } = require('../utils/data-export');
+const {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  scheduleAccountDeletion,
+  cancelAccountDeletion
+} = require('../utils/account-deletion');
+const { PROTECTED_ROLE } = require('../config/permissions');
+const {
+  checkPasswordReuse,
+  isPasswordExpired,
+  sendPasswordPolicyError,
+  describePasswordPolicy
+} = require('../utils/password-policy');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+const VERIFICATION_RESEND_INTERVAL_SECONDS = parseInt(process.env.VERIFICATION_RESEND_INTERVAL_SECONDS) || 60;
+const EMAIL_CHANGE_EXPIRE_HOURS = parseInt(process.env.EMAIL_CHANGE_EXPIRE_HOURS) || 24;
+
+// Email a signed verification link and remember when it was sent
+const sendVerificationEmail = async (user) => {
+  const verifyUrl = buildClientUrl('/verify-email', {
+    token: generateEmailVerificationToken(user.id, user.email)
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hello ${user.name},\n\n` +
+      `Please confirm your email address to start rating stores:\n\n${verifyUrl}\n\n` +
+      'If you did not create an account, you can ignore this email.'
   });
+
+  await pool.query(
+    'UPDATE users SET verification_sent_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [user.id]
+  );
 };
 
+// Start an email change: the new address gets a confirmation link and the
+// old address gets a notice with a link to cancel. Replaces any pending request.
+const requestEmailChange = async (user, newEmail) => {
+  const confirmToken = crypto.randomBytes(32).toString('hex');
+  const cancelToken = crypto.randomBytes(32).toString('hex');
+
+  await pool.query(
+    `UPDATE email_change_requests SET cancelled_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND confirmed_at IS NULL AND cancelled_at IS NULL`,
+    [user.id]
+  );
+
+  await pool.query(
+    `INSERT INTO email_change_requests (user_id, new_email, confirm_token_hash, cancel_token_hash, expires_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(hours => $5))`,
+    [user.id, newEmail, hashToken(confirmToken), hashToken(cancelToken), EMAIL_CHANGE_EXPIRE_HOURS]
+  );
+
+  await sendMail({
+    to: newEmail,
+    subject: 'Confirm your new email address',
+    text: `Hello ${user.name},\n\n` +
+      `Confirm that you want to use this address for your account. The link expires in ${EMAIL_CHANGE_EXPIRE_HOURS} hours.\n\n` +
+      `${buildClientUrl('/confirm-email-change', { token: confirmToken })}\n\n` +
+      'If you did not request this change, you can ignore this email.'
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your email address is being changed',
+    text: `Hello ${user.name},\n\n` +
+      `A request was made to change your account email to ${newEmail}. ` +
+      'The change takes effect once the new address is confirmed.\n\n' +
+      `If this was not you, cancel the change and reset your password:\n\n` +
+      `${buildClientUrl('/cancel-email-change', { token: cancelToken })}`
+  });
+};
+
+// @route   GET /api/auth/password-policy
+// @desc    Describe the password rules so clients can show them up front
+// @access  Public
+router.get('/password-policy', (req, res) => {
+  res.json({ passwordPolicy: describePasswordPolicy() });
+});
+
 // @route   POST /api/auth/register
 // @desc    Register a new normal user
 // @access  Public
@@ -48,17 +150,26 @@ router.post('/register', validateUserRegistration, async (req, res) => {
     );
 
     const user = result.rows[0];
-    const token = generateToken(user.id);
+    const { token, refreshToken } = await createSession(user.id, getClientInfo(req));
+
+    // A failed email should not fail the registration; the user can resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
 
     res.status(201).json({
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your address.',
       token,
+      refreshToken,
       user: {
         id: user.id,
         name: user.name,
         email: user.email,
         address: user.address,
         role: user.role,
+        emailVerified: false,
         createdAt: user.created_at
       }
     });
@@ -75,36 +186,74 @@ router.post('/login', validateUserLogin, async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    // Reject early if this IP is throttled
+    const ipBlock = await checkAttemptAllowed({ ip: req.ip });
+    if (ipBlock) {
+      return sendBlockedResponse(res, ipBlock);
+    }
+
     // Find user
     const result = await pool.query(
-      'SELECT id, name, email, password, address, role FROM users WHERE email = $1',
+      `SELECT id, name, email, password, address, role, email_verified_at, totp_enabled_at,
+              deletion_scheduled_for, password_changed_at,
+              EXISTS (SELECT 1 FROM user_identities ui WHERE ui.user_id = users.id) as has_sso_identity
+       FROM users WHERE email = $1 AND deleted_at IS NULL`,
       [email]
     );
 
     if (result.rows.length === 0) {
+      await recordAttempt({ ip: req.ip, email, type: 'login', success: false });
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
     const user = result.rows[0];
 
+    const accountBlock = await checkAttemptAllowed({ ip: req.ip, userId: user.id });
+    if (accountBlock) {
+      return sendBlockedResponse(res, accountBlock);
+    }
+
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      await recordAttempt({ ip: req.ip, userId: user.id, email, type: 'login', success: false });
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Second step required: client must call /api/auth/2fa/verify, which
+    // counts its own attempt
+    if (user.totp_enabled_at) {
+      await releaseAttempt({ userId: user.id });
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallengeToken(user.id)
+      });
+    }
+
+    await recordAttempt({ ip: req.ip, userId: user.id, email, type: 'login', success: true });
+
+    // Start a new session
+    const { token, refreshToken } = await createSession(user.id, getClientInfo(req));
+    const { requiresTwoFactor } = await getRoleAccess(user.role);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
+      // Roles that require 2FA must enrol before protected routes will accept them
+      twoFactorEnrolmentRequired: requiresTwoFactor,
+      // Protected routes refuse the session until the password is changed
+      passwordExpired: !user.has_sso_identity && isPasswordExpired(user.password_changed_at),
+      // Lets the client offer to cancel a pending account deletion
+      deletionScheduledFor: user.deletion_scheduled_for,
       user: {
         id: user.id,
         name: user.name,
         email: user.email,
         address: user.address,
-        role: user.role
+        role: user.role,
+        emailVerified: !!user.email_verified_at
       }
     });
   } catch (error) {
@@ -113,14 +262,177 @@ router.post('/login', validateUserLogin, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from a verification link
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    const decoded = typeof token === 'string' && token ? verifyEmailVerificationToken(token) : null;
+
+    if (!decoded) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    // The link only counts for the address it was sent to
+    const result = await pool.query(
+      `UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND email = $2
+       RETURNING id`,
+      [decoded.userId, decoded.email]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ message: 'Server error during email verification' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification link
+// @access  Private
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, email, email_verified_at,
+              EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - verification_sent_at)) as seconds_since_sent
+       FROM users WHERE id = $1`,
+      [req.user.id]
+    );
+
+    const user = result.rows[0];
+
+    if (user.email_verified_at) {
+      return res.status(400).json({ message: 'Email address is already verified' });
+    }
+
+    const secondsSinceSent = user.seconds_since_sent === null ? null : parseFloat(user.seconds_since_sent);
+
+    if (secondsSinceSent !== null && secondsSinceSent < VERIFICATION_RESEND_INTERVAL_SECONDS) {
+      const retryAfter = Math.ceil(VERIFICATION_RESEND_INTERVAL_SECONDS - secondsSinceSent);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: 'Please wait before requesting another verification email',
+        retryAfter
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error sending verification email' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair
+// @access  Public
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  try {
+    const tokens = await rotateRefreshToken(req.body.refreshToken, getClientInfo(req));
+
+    if (!tokens) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session (ends impersonation when impersonating)
+// @access  Private
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId);
+
+    if (req.impersonator) {
+      await recordAudit({
+        actorId: req.impersonator.id,
+        subjectId: req.user.id,
+        action: 'impersonation.stop',
+        ipAddress: req.ip,
+        metadata: { sessionId: req.sessionId }
+      });
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error fetching sessions' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    const sessionCheck = await pool.query(
+      'SELECT id FROM sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+      [Number.isNaN(sessionId) ? null : sessionId, req.user.id]
+    );
+
+    if (sessionCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(sessionId);
+
+    res.json({ message: 'Session signed out successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error revoking session' });
+  }
+});
+
 // @route   POST /api/auth/change-password
 // @desc    Change user password
 // @access  Private
-router.post('/change-password', authenticateToken, validatePasswordUpdate, async (req, res) => {
+router.post('/change-password', authenticateToken, rejectImpersonation, validatePasswordUpdate, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
     const userId = req.user.id;
 
+    const block = await checkAttemptAllowed({ ip: req.ip, userId });
+    if (block) {
+      return sendBlockedResponse(res, block);
+    }
+
     // Get current password hash
     const result = await pool.query(
       'SELECT password FROM users WHERE id = $1',
@@ -128,6 +440,7 @@ router.post('/change-password', authenticateToken, validatePasswordUpdate, async
     );
 
     if (result.rows.length === 0) {
+      await releaseAttempt({ userId });
       return res.status(404).json({ message: 'User not found' });
     }
 
@@ -136,9 +449,17 @@ router.post('/change-password', authenticateToken, validatePasswordUpdate, async
     // Verify current password
     const isCurrentPasswordValid = await bcrypt.compare(currentPassword, user.password);
     if (!isCurrentPasswordValid) {
+      await recordAttempt({ ip: req.ip, userId, type: 'change_password', success: false });
       return res.status(400).json({ message: 'Current password is incorrect' });
     }
 
+    await recordAttempt({ ip: req.ip, userId, type: 'change_password', success: true });
+
+    const reuseViolations = await checkPasswordReuse(userId, newPassword);
+    if (reuseViolations.length > 0) {
+      return sendPasswordPolicyError(res, reuseViolations);
+    }
+
     // Hash new password
     const saltRounds = 12;
     const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
@@ -149,6 +470,9 @@ router.post('/change-password', authenticateToken, validatePasswordUpdate, async
       [hashedNewPassword, userId]
     );
 
+    // Sign out every other device
+    await revokeUserSessions(userId, req.sessionId);
+
     res.json({ message: 'Password updated successfully' });
   } catch (error) {
     console.error('Password change error:', error);
@@ -156,13 +480,135 @@ router.post('/change-password', authenticateToken, validatePasswordUpdate, async
   }
 });
 
+// Issue a fresh reset token and email the link
+const sendPasswordResetEmail = async (user) => {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  // Only the most recent link stays valid
+  await pool.query(
+    `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND used_at IS NULL`,
+    [user.id]
+  );
+
+  await pool.query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))`,
+    [user.id, hashToken(resetToken), PASSWORD_RESET_EXPIRE_MINUTES]
+  );
+
+  const resetUrl = buildClientUrl('/reset-password', { token: resetToken });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hello ${user.name},\n\n` +
+      `Use the link below to reset your password. It expires in ${PASSWORD_RESET_EXPIRE_MINUTES} minutes ` +
+      `and can only be used once.\n\n${resetUrl}\n\n` +
+      'If you did not request a password reset, you can ignore this email.'
+  });
+};
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a one-time password reset link
+// @access  Public
+router.post('/forgot-password', validateForgotPassword, async (req, res) => {
+  const genericResponse = {
+    message: 'If an account exists for this email, a password reset link has been sent'
+  };
+
+  try {
+    const { email } = req.body;
+
+    const result = await pool.query(
+      'SELECT id, name, email FROM users WHERE email = $1 AND deleted_at IS NULL',
+      [email]
+    );
+
+    // Respond identically whether or not the account exists
+    if (result.rows.length === 0) {
+      return res.json(genericResponse);
+    }
+
+    const user = result.rows[0];
+
+    // Respond before issuing the link so mail failures and timing do not
+    // reveal whether the account exists
+    res.json(genericResponse);
+
+    sendPasswordResetEmail(user).catch((error) => {
+      console.error('Password reset email error:', error);
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error during password reset request' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', validatePasswordReset, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const pendingResult = await pool.query(
+      `SELECT user_id FROM password_reset_tokens
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+      [hashToken(token)]
+    );
+
+    if (pendingResult.rows.length === 0) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    // Check reuse before consuming the token so the user can pick another password
+    const reuseViolations = await checkPasswordReuse(pendingResult.rows[0].user_id, newPassword);
+    if (reuseViolations.length > 0) {
+      return sendPasswordPolicyError(res, reuseViolations);
+    }
+
+    // Consume the token atomically so it cannot be used twice
+    const tokenResult = await pool.query(
+      `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING user_id`,
+      [hashToken(token)]
+    );
+
+    if (tokenResult.rows.length === 0) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const userId = tokenResult.rows[0].user_id;
+
+    // Hash new password
+    const saltRounds = 12;
+    const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
+
+    await pool.query(
+      'UPDATE users SET password = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [hashedNewPassword, userId]
+    );
+
+    // Whoever held the old password should not stay signed in
+    await revokeUserSessions(userId);
+
+    res.json({ message: 'Password has been reset successfully' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ message: 'Server error during password reset' });
+  }
+});
+
 // @route   GET /api/auth/profile
 // @desc    Get current user profile
 // @access  Private
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT id, name, email, address, role, created_at FROM users WHERE id = $1',
+      `SELECT id, name, email, address, role, email_verified_at, deletion_scheduled_for, created_at
+       FROM users WHERE id = $1`,
       [req.user.id]
     );
 
@@ -171,15 +617,28 @@ router.get('/profile', authenticateToken, async (req, res) => {
     }
 
     const user = result.rows[0];
+
+    const pendingResult = await pool.query(
+      `SELECT new_email FROM email_change_requests
+       WHERE user_id = $1 AND confirmed_at IS NULL AND cancelled_at IS NULL
+         AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY created_at DESC LIMIT 1`,
+      [user.id]
+    );
+
     res.json({
+      pendingEmail: pendingResult.rows.length > 0 ? pendingResult.rows[0].new_email : null,
+      deletionScheduledFor: user.deletion_scheduled_for,
       user: {
         id: user.id,
         name: user.name,
         email: user.email,
         address: user.address,
         role: user.role,
+        emailVerified: !!user.email_verified_at,
         createdAt: user.created_at
-      }
+      },
+      impersonatedBy: req.impersonator || null
     });
   } catch (error) {
     console.error('Profile fetch error:', error);
@@ -187,6 +646,316 @@ router.get('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   PATCH /api/auth/profile
+// @desc    Update own name and address; a new email must be confirmed first
+// @access  Private
+router.patch('/profile', authenticateToken, validateProfileUpdate, async (req, res) => {
+  try {
+    const { name, address, email, currentPassword } = req.body;
+    const userId = req.user.id;
+
+    const result = await pool.query(
+      'SELECT id, name, email, address, role, password FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = result.rows[0];
+    const emailChanged = email !== undefined && email !== user.email;
+
+    if (name === undefined && address === undefined && !emailChanged) {
+      return res.status(400).json({ message: 'No changes provided' });
+    }
+
+    if (emailChanged) {
+      if (req.impersonator) {
+        return res.status(403).json({
+          message: 'This action is not available while impersonating a user',
+          code: 'IMPERSONATION_FORBIDDEN'
+        });
+      }
+
+      const block = await checkAttemptAllowed({ ip: req.ip, userId });
+      if (block) {
+        return sendBlockedResponse(res, block);
+      }
+
+      const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+      if (!isPasswordValid) {
+        await recordAttempt({ ip: req.ip, userId, type: 'email_change', success: false });
+        return res.status(400).json({ message: 'Current password is incorrect' });
+      }
+
+      await recordAttempt({ ip: req.ip, userId, type: 'email_change', success: true });
+
+      const emailCheck = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+      if (emailCheck.rows.length > 0) {
+        return res.status(400).json({ message: 'Email is already taken' });
+      }
+    }
+
+    const updateResult = await pool.query(
+      `UPDATE users
+       SET name = COALESCE($1, name),
+           address = COALESCE($2, address),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING id, name, email, address, role, email_verified_at, created_at`,
+      [name === undefined ? null : name, address === undefined ? null : address, userId]
+    );
+
+    await recordChanges(pool, {
+      entityType: 'user',
+      entityId: userId,
+      actorId: userId,
+      before: user,
+      after: updateResult.rows[0]
+    });
+
+    if (emailChanged) {
+      await requestEmailChange(user, email);
+    }
+
+    const updatedUser = updateResult.rows[0];
+
+    res.json({
+      message: emailChanged
+        ? 'Profile updated. Check your new email address to confirm the change.'
+        : 'Profile updated successfully',
+      user: {
+        id: updatedUser.id,
+        name: updatedUser.name,
+        email: updatedUser.email,
+        address: updatedUser.address,
+        role: updatedUser.role,
+        emailVerified: !!updatedUser.email_verified_at,
+        createdAt: updatedUser.created_at
+      },
+      pendingEmail: emailChanged ? email : null
+    });
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({ message: 'Server error updating profile' });
+  }
+});
+
+// @route   POST /api/auth/confirm-email-change
+// @desc    Apply a pending email change with the token from the link sent to the new address
+// @access  Public
+router.post('/confirm-email-change', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ message: 'Confirmation token is required' });
+    }
+
+    const client = await pool.connect();
+    let newEmail;
+
+    try {
+      await client.query('BEGIN');
+
+      // Consume the request atomically so the link works only once
+      const requestResult = await client.query(
+        `UPDATE email_change_requests SET confirmed_at = CURRENT_TIMESTAMP
+         WHERE confirm_token_hash = $1 AND confirmed_at IS NULL AND cancelled_at IS NULL
+           AND expires_at > CURRENT_TIMESTAMP
+         RETURNING user_id, new_email`,
+        [hashToken(token)]
+      );
+
+      if (requestResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Invalid or expired confirmation link' });
+      }
+
+      const { user_id, new_email } = requestResult.rows[0];
+      const before = await getUserSnapshot(client, user_id);
+
+      await client.query(
+        `UPDATE users
+         SET email = $1, email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [new_email, user_id]
+      );
+
+      if (before) {
+        await recordChanges(client, {
+          entityType: 'user',
+          entityId: user_id,
+          actorId: user_id,
+          action: 'email_change',
+          before,
+          after: { ...before, email: new_email }
+        });
+      }
+
+      await client.query('COMMIT');
+      newEmail = new_email;
+    } catch (error) {
+      await client.query('ROLLBACK');
+
+      // Someone registered the address after the change was requested; the request stays pending
+      if (error.code === '23505') {
+        return res.status(400).json({ message: 'Email is already taken' });
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.json({ message: 'Email address updated successfully', email: newEmail });
+  } catch (error) {
+    console.error('Email change confirmation error:', error);
+    res.status(500).json({ message: 'Server error confirming email change' });
+  }
+});
+
+// @route   POST /api/auth/cancel-email-change
+// @desc    Cancel a pending email change with the token from the link sent to the old address
+// @access  Public
+router.post('/cancel-email-change', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ message: 'Cancellation token is required' });
+    }
+
+    const requestResult = await pool.query(
+      `UPDATE email_change_requests SET cancelled_at = CURRENT_TIMESTAMP
+       WHERE cancel_token_hash = $1 AND confirmed_at IS NULL AND cancelled_at IS NULL
+       RETURNING id`,
+      [hashToken(token)]
+    );
+
+    if (requestResult.rows.length === 0) {
+      return res.status(400).json({ message: 'This email change is no longer pending' });
+    }
+
+    res.json({ message: 'Email change cancelled' });
+  } catch (error) {
+    console.error('Email change cancellation error:', error);
+    res.status(500).json({ message: 'Server error cancelling email change' });
+  }
+});
+
+// @route   GET /api/auth/me/export
+// @desc    Download a zip of the user's personal data as JSON and CSV
+// @access  Private
+router.get('/me/export', authenticateToken, rejectImpersonation, async (req, res) => {
+  try {
+    const data = await collectUserData(req.user.id);
+
+    if (!data.profile) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await sendUserDataArchive(res, data);
+  } catch (error) {
+    console.error('Data export error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error exporting data' });
+    }
+  }
+});
+
+// @route   DELETE /api/auth/me
+// @desc    Schedule deletion of the user's account after a grace period
+// @access  Private
+router.delete('/me', authenticateToken, rejectImpersonation, validateAccountDeletion, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const block = await checkAttemptAllowed({ ip: req.ip, userId });
+    if (block) {
+      return sendBlockedResponse(res, block);
+    }
+
+    const result = await pool.query(
+      'SELECT id, name, email, password, role, deletion_scheduled_for FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      await releaseAttempt({ userId });
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = result.rows[0];
+
+    const isPasswordValid = await bcrypt.compare(req.body.password, user.password);
+    if (!isPasswordValid) {
+      await recordAttempt({ ip: req.ip, userId, type: 'account_deletion', success: false });
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    await recordAttempt({ ip: req.ip, userId, type: 'account_deletion', success: true });
+
+    if (user.deletion_scheduled_for) {
+      return res.status(400).json({
+        message: 'Account deletion is already scheduled',
+        deletionScheduledFor: user.deletion_scheduled_for
+      });
+    }
+
+    // Never let the last administrator remove themselves
+    if (user.role === PROTECTED_ROLE) {
+      const adminCount = await pool.query(
+        'SELECT COUNT(*) FROM users WHERE role = $1 AND deletion_scheduled_for IS NULL AND deleted_at IS NULL',
+        [PROTECTED_ROLE]
+      );
+
+      if (parseInt(adminCount.rows[0].count) <= 1) {
+        return res.status(400).json({ message: 'The last system administrator cannot delete their account' });
+      }
+    }
+
+    const deletionScheduledFor = await scheduleAccountDeletion(userId);
+
+    // Keep only this session so the user can still cancel from here
+    await revokeUserSessions(userId, req.sessionId);
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your account is scheduled for deletion',
+      text: `Hello ${user.name},\n\n` +
+        `Your account and all of its data will be permanently deleted on ${deletionScheduledFor.toUTCString()}.\n\n` +
+        'To keep your account, log in before then and cancel the deletion from your profile.'
+    });
+
+    res.json({
+      message: `Account scheduled for deletion in ${ACCOUNT_DELETION_GRACE_DAYS} days`,
+      deletionScheduledFor
+    });
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({ message: 'Server error scheduling account deletion' });
+  }
+});
+
+// @route   POST /api/auth/me/cancel-deletion
+// @desc    Cancel a scheduled account deletion during the grace period
+// @access  Private
+router.post('/me/cancel-deletion', authenticateToken, rejectImpersonation, async (req, res) => {
+  try {
+    const cancelled = await cancelAccountDeletion(req.user.id);
+
+    if (!cancelled) {
+      return res.status(400).json({ message: 'No account deletion is scheduled' });
+    }
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ message: 'Server error cancelling account deletion' });
+  }
+});
+
 // @route   POST /api/auth/verify-token
 // @desc    Verify if token is valid
 // @access  Private
@@ -197,8 +966,11 @@ router.post('/verify-token', authenticateToken, (req, res) => {
       id: req.user.id,
       name: req.user.name,
       email: req.user.email,
-      role: req.user.role
-    }
+      role: req.user.role,
+      emailVerified: !!req.user.email_verified_at,
+      twoFactorEnabled: !!req.user.totp_enabled_at
+    },
+    impersonatedBy: req.impersonator || null
   });
 });
 
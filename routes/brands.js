@@ -0,0 +1,475 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateBrandCreation, validateBrandUpdate } = require('../middleware/validation');
+const { hasPermission, roleHasPermission } = require('../utils/permissions');
+const { slugify } = require('../utils/search');
+const { recordAudit } = require('../utils/audit');
+const { recordChanges } = require('../utils/change-history');
+const { BRAND_SELECT, findBrand, isBrandManager } = require('../utils/brands');
+
+const router = express.Router();
+
+// @route   GET /api/brands
+// @desc    Get brands with their location counts and aggregate ratings
+// @access  Private
+router.get('/', authenticateToken, requirePermission('stores.read'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+
+    const params = [];
+    let filter = '';
+
+    if (search) {
+      params.push(`%${search}%`);
+      filter = ` WHERE b.name ILIKE $${params.length}`;
+    }
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM brands b${filter}`, params);
+
+    params.push(limit, (page - 1) * limit);
+    const result = await pool.query(
+      `${BRAND_SELECT}${filter}
+       ORDER BY b.name ASC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    const totalBrands = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalBrands / limit);
+
+    res.json({
+      brands: result.rows,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalBrands,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get brands error:', error);
+    res.status(500).json({ message: 'Server error fetching brands' });
+  }
+});
+
+// @route   GET /api/brands/mine
+// @desc    Get the brands the current user manages
+// @access  Private (Brand Manager)
+router.get('/mine', authenticateToken, requirePermission('brands.view_ratings'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `${BRAND_SELECT}
+       WHERE b.id IN (SELECT brand_id FROM brand_managers WHERE user_id = $1)
+       ORDER BY b.name ASC`,
+      [req.user.id]
+    );
+
+    res.json({ brands: result.rows });
+  } catch (error) {
+    console.error('Get managed brands error:', error);
+    res.status(500).json({ message: 'Server error fetching brands' });
+  }
+});
+
+// @route   GET /api/brands/:id
+// @desc    Get a brand (id or slug) with its aggregate rating and every location
+// @access  Private
+router.get('/:id', authenticateToken, requirePermission('stores.read'), async (req, res) => {
+  try {
+    const { sortBy = 'name', sortOrder = 'asc' } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const validSortFields = ['name', 'average_rating', 'total_ratings', 'created_at'];
+    const validSortOrders = ['asc', 'desc'];
+
+    const sortField = validSortFields.includes(sortBy) ? sortBy : 'name';
+    const order = validSortOrders.includes(sortOrder.toLowerCase()) ? sortOrder.toUpperCase() : 'ASC';
+
+    const brand = await findBrand(req.params.id);
+    if (!brand) {
+      return res.status(404).json({ message: 'Brand not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT s.id, s.name, s.address, s.latitude, s.longitude, s.timezone,
+              store_is_open(s.id, CURRENT_TIMESTAMP) as is_open_now,
+              s.average_rating, s.total_ratings, s.created_at
+       FROM stores s
+       WHERE s.brand_id = $1 AND s.deleted_at IS NULL
+       ORDER BY s.${sortField} ${order}, s.name ASC
+       LIMIT $2 OFFSET $3`,
+      [brand.id, limit, (page - 1) * limit]
+    );
+
+    const totalPages = Math.ceil(brand.location_count / limit);
+
+    res.json({
+      brand,
+      locations: result.rows,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalLocations: brand.location_count,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get brand error:', error);
+    res.status(500).json({ message: 'Server error fetching brand' });
+  }
+});
+
+// @route   GET /api/brands/:id/ratings
+// @desc    Ratings across every location of a brand, optionally for one storeId
+// @access  Private (Brand Manager of this brand or Admin)
+router.get('/:id/ratings', authenticateToken, requirePermission('brands.view_ratings'), async (req, res) => {
+  try {
+    const { sortBy = 'created_at', sortOrder = 'desc' } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+
+    const validSortFields = ['rating', 'created_at', 'user_name', 'user_email', 'store_name'];
+    const validSortOrders = ['asc', 'desc'];
+
+    const sortField = validSortFields.includes(sortBy) ? sortBy : 'created_at';
+    const order = validSortOrders.includes(sortOrder.toLowerCase()) ? sortOrder.toUpperCase() : 'DESC';
+    const sortColumn = {
+      rating: 'r.rating',
+      created_at: 'r.created_at',
+      user_name: 'u.name',
+      user_email: 'u.email',
+      store_name: 's.name'
+    }[sortField];
+
+    const brand = await findBrand(req.params.id);
+    if (!brand) {
+      return res.status(404).json({ message: 'Brand not found' });
+    }
+
+    // Brand managers only see the brands they manage
+    if (!hasPermission(req.user, 'brands.manage') && !(await isBrandManager(brand.id, req.user.id))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const params = [brand.id];
+    let filters = '';
+
+    if (req.query.storeId) {
+      params.push(parseInt(req.query.storeId) || 0);
+      filters += ` AND s.id = $${params.length}`;
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM ratings r
+       JOIN stores s ON s.id = r.store_id
+       WHERE s.brand_id = $1 AND s.deleted_at IS NULL AND r.deleted_at IS NULL${filters}`,
+      params
+    );
+
+    params.push(limit, (page - 1) * limit);
+    const result = await pool.query(
+      `SELECT r.id, r.rating, r.created_at, r.updated_at,
+              r.response, r.responded_at,
+              s.id as store_id, s.name as store_name,
+              u.name as user_name, u.email as user_email
+       FROM ratings r
+       JOIN stores s ON s.id = r.store_id
+       JOIN users u ON u.id = r.user_id
+       WHERE s.brand_id = $1 AND s.deleted_at IS NULL AND r.deleted_at IS NULL${filters}
+       ORDER BY ${sortColumn} ${order}, r.id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    const totalRatings = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalRatings / limit);
+
+    res.json({
+      brand: {
+        id: brand.id,
+        name: brand.name,
+        slug: brand.slug,
+        average_rating: brand.average_rating,
+        total_ratings: brand.total_ratings
+      },
+      ratings: result.rows,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalRatings,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get brand ratings error:', error);
+    res.status(500).json({ message: 'Server error fetching brand ratings' });
+  }
+});
+
+// @route   POST /api/brands
+// @desc    Create a brand
+// @access  Private (brands.manage)
+router.post('/', authenticateToken, requirePermission('brands.manage'), validateBrandCreation, async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const slug = req.body.slug || slugify(name);
+
+    if (!slug) {
+      return res.status(400).json({ message: 'Please provide a slug for this brand name' });
+    }
+
+    const existing = await pool.query('SELECT id FROM brands WHERE slug = $1', [slug]);
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ message: 'A brand with this slug already exists' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO brands (name, slug, description)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [name, slug, description || null]
+    );
+
+    res.status(201).json({
+      message: 'Brand created successfully',
+      brand: await findBrand(result.rows[0].id)
+    });
+  } catch (error) {
+    console.error('Create brand error:', error);
+    res.status(500).json({ message: 'Server error creating brand' });
+  }
+});
+
+// @route   PUT /api/brands/:id
+// @desc    Rename or describe a brand
+// @access  Private (brands.manage)
+router.put('/:id', authenticateToken, requirePermission('brands.manage'), validateBrandUpdate, async (req, res) => {
+  try {
+    const brandId = parseInt(req.params.id) || 0;
+    const { name, slug, description } = req.body;
+
+    const brandCheck = await pool.query('SELECT id FROM brands WHERE id = $1', [brandId]);
+    if (brandCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Brand not found' });
+    }
+
+    const updates = [];
+    const values = [];
+
+    if (name) {
+      values.push(name);
+      updates.push(`name = $${values.length}`);
+    }
+
+    if (slug) {
+      const existing = await pool.query(
+        'SELECT id FROM brands WHERE slug = $1 AND id != $2',
+        [slug, brandId]
+      );
+      if (existing.rows.length > 0) {
+        return res.status(400).json({ message: 'A brand with this slug already exists' });
+      }
+
+      values.push(slug);
+      updates.push(`slug = $${values.length}`);
+    }
+
+    if (description !== undefined) {
+      values.push(description || null);
+      updates.push(`description = $${values.length}`);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ message: 'No valid fields to update' });
+    }
+
+    values.push(brandId);
+    await pool.query(
+      `UPDATE brands SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${values.length}`,
+      values
+    );
+
+    res.json({
+      message: 'Brand updated successfully',
+      brand: await findBrand(brandId)
+    });
+  } catch (error) {
+    console.error('Update brand error:', error);
+    res.status(500).json({ message: 'Server error updating brand' });
+  }
+});
+
+// @route   DELETE /api/brands/:id
+// @desc    Delete a brand; its stores are kept and no longer belong to a brand
+// @access  Private (brands.manage)
+router.delete('/:id', authenticateToken, requirePermission('brands.manage'), async (req, res) => {
+  try {
+    const brandId = parseInt(req.params.id) || 0;
+
+    const client = await pool.connect();
+    let deleted;
+
+    try {
+      await client.query('BEGIN');
+
+      // Detach the locations first so each store's history shows it
+      const detachResult = await client.query(
+        `UPDATE stores SET brand_id = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE brand_id = $1
+         RETURNING id`,
+        [brandId]
+      );
+
+      for (const store of detachResult.rows) {
+        await recordChanges(client, {
+          entityType: 'store',
+          entityId: store.id,
+          actorId: req.user.id,
+          action: 'brand_deleted',
+          before: { brand_id: brandId },
+          after: { brand_id: null }
+        });
+      }
+
+      deleted = await client.query('DELETE FROM brands WHERE id = $1 RETURNING id', [brandId]);
+      await client.query(deleted.rows.length > 0 ? 'COMMIT' : 'ROLLBACK');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (deleted.rows.length === 0) {
+      return res.status(404).json({ message: 'Brand not found' });
+    }
+
+    res.json({ message: 'Brand deleted successfully' });
+  } catch (error) {
+    console.error('Delete brand error:', error);
+    res.status(500).json({ message: 'Server error deleting brand' });
+  }
+});
+
+// @route   GET /api/brands/:id/managers
+// @desc    List a brand's managers
+// @access  Private (brands.manage)
+router.get('/:id/managers', authenticateToken, requirePermission('brands.manage'), async (req, res) => {
+  try {
+    const brandId = parseInt(req.params.id) || 0;
+
+    const brandCheck = await pool.query('SELECT id FROM brands WHERE id = $1', [brandId]);
+    if (brandCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Brand not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT u.id, u.name, u.email, u.role, bm.created_at as assigned_at
+       FROM brand_managers bm
+       JOIN users u ON u.id = bm.user_id
+       WHERE bm.brand_id = $1 AND u.deleted_at IS NULL
+       ORDER BY u.name ASC`,
+      [brandId]
+    );
+
+    res.json({ managers: result.rows });
+  } catch (error) {
+    console.error('Get brand managers error:', error);
+    res.status(500).json({ message: 'Server error fetching brand managers' });
+  }
+});
+
+// @route   PUT /api/brands/:id/managers/:userId
+// @desc    Make a user a manager of a brand
+// @access  Private (brands.manage)
+router.put('/:id/managers/:userId', authenticateToken, requirePermission('brands.manage'), async (req, res) => {
+  try {
+    const brandId = parseInt(req.params.id) || 0;
+    const userId = parseInt(req.params.userId) || 0;
+
+    const brandCheck = await pool.query('SELECT id FROM brands WHERE id = $1', [brandId]);
+    if (brandCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Brand not found' });
+    }
+
+    const userCheck = await pool.query('SELECT id, role FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await roleHasPermission(userCheck.rows[0].role, 'brands.view_ratings'))) {
+      return res.status(400).json({ message: 'User must have a role that can view brand ratings' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO brand_managers (brand_id, user_id)
+       VALUES ($1, $2)
+       ON CONFLICT (brand_id, user_id) DO NOTHING
+       RETURNING user_id`,
+      [brandId, userId]
+    );
+
+    if (result.rows.length > 0) {
+      await recordAudit({
+        actorId: req.user.id,
+        subjectId: userId,
+        action: 'brand.manager_add',
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: 200,
+        ipAddress: req.ip,
+        metadata: { brandId }
+      });
+    }
+
+    res.json({ message: 'Brand manager added successfully' });
+  } catch (error) {
+    console.error('Add brand manager error:', error);
+    res.status(500).json({ message: 'Server error adding brand manager' });
+  }
+});
+
+// @route   DELETE /api/brands/:id/managers/:userId
+// @desc    Remove a user from a brand's managers
+// @access  Private (brands.manage)
+router.delete('/:id/managers/:userId', authenticateToken, requirePermission('brands.manage'), async (req, res) => {
+  try {
+    const brandId = parseInt(req.params.id) || 0;
+    const userId = parseInt(req.params.userId) || 0;
+
+    const result = await pool.query(
+      'DELETE FROM brand_managers WHERE brand_id = $1 AND user_id = $2 RETURNING user_id',
+      [brandId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Brand manager not found' });
+    }
+
+    await recordAudit({
+      actorId: req.user.id,
+      subjectId: userId,
+      action: 'brand.manager_remove',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: 200,
+      ipAddress: req.ip,
+      metadata: { brandId }
+    });
+
+    res.json({ message: 'Brand manager removed successfully' });
+  } catch (error) {
+    console.error('Remove brand manager error:', error);
+    res.status(500).json({ message: 'Server error removing brand manager' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,252 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateCategoryCreation, validateCategoryUpdate } = require('../middleware/validation');
+const { categorySubtree } = require('../utils/stores');
+const { slugify } = require('../utils/search');
+
+const router = express.Router();
+
+const CATEGORY_SELECT = `
+  SELECT c.id, c.name, c.slug, c.description, c.parent_id, c.created_at, c.updated_at,
+         (SELECT COUNT(*)::int FROM store_categories sc
+          JOIN stores s ON s.id = sc.store_id
+          WHERE sc.category_id = c.id AND s.deleted_at IS NULL) as store_count
+  FROM categories c
+`;
+
+const findCategory = async (idOrSlug) => {
+  const result = await pool.query(
+    `${CATEGORY_SELECT} WHERE c.id::text = $1 OR c.slug = $1`,
+    [String(idOrSlug)]
+  );
+  return result.rows[0] || null;
+};
+
+// Check a parent assignment: the parent must exist and must not be the
+// category itself or one of its descendants
+const checkParent = async (parentId, categoryId = null) => {
+  const parentResult = await pool.query('SELECT id FROM categories WHERE id = $1', [parentId]);
+  if (parentResult.rows.length === 0) {
+    return 'Parent category not found';
+  }
+
+  if (categoryId) {
+    const subtree = await pool.query(categorySubtree('$1'), [String(categoryId)]);
+    if (subtree.rows.some((row) => row.id === parentId)) {
+      return 'A category cannot be moved under itself or one of its subcategories';
+    }
+  }
+
+  return null;
+};
+
+// @route   GET /api/categories
+// @desc    Get the category tree with direct store counts
+// @access  Private
+router.get('/', authenticateToken, requirePermission('stores.read'), async (req, res) => {
+  try {
+    const result = await pool.query(`${CATEGORY_SELECT} ORDER BY c.name ASC`);
+
+    // Nest children under their parents
+    const byId = new Map(result.rows.map((category) => [category.id, { ...category, children: [] }]));
+    const tree = [];
+
+    for (const category of byId.values()) {
+      if (category.parent_id && byId.has(category.parent_id)) {
+        byId.get(category.parent_id).children.push(category);
+      } else {
+        tree.push(category);
+      }
+    }
+
+    res.json({ categories: tree });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ message: 'Server error fetching categories' });
+  }
+});
+
+// @route   GET /api/categories/:id/leaderboard
+// @desc    Top-rated stores in a category and its subcategories (id or slug)
+// @access  Private
+router.get('/:id/leaderboard', authenticateToken, requirePermission('stores.read'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const minRatings = Math.max(parseInt(req.query.minRatings) || 1, 1);
+
+    const category = await findCategory(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    // Ties on average are broken by number of ratings
+    const result = await pool.query(`
+      SELECT RANK() OVER (ORDER BY s.average_rating DESC, s.total_ratings DESC)::int as rank,
+             s.id, s.name, s.address, s.average_rating, s.total_ratings
+      FROM stores s
+      WHERE s.deleted_at IS NULL AND s.total_ratings >= $2
+        AND s.id IN (
+          SELECT sc.store_id FROM store_categories sc
+          WHERE sc.category_id IN (${categorySubtree('$1')})
+        )
+      ORDER BY rank ASC, s.name ASC
+      LIMIT $3
+    `, [String(category.id), minRatings, limit]);
+
+    res.json({
+      category: {
+        id: category.id,
+        name: category.name,
+        slug: category.slug
+      },
+      minRatings,
+      stores: result.rows
+    });
+  } catch (error) {
+    console.error('Get category leaderboard error:', error);
+    res.status(500).json({ message: 'Server error fetching leaderboard' });
+  }
+});
+
+// @route   POST /api/categories
+// @desc    Create a category, optionally under a parent
+// @access  Private (categories.manage)
+router.post('/', authenticateToken, requirePermission('categories.manage'), validateCategoryCreation, async (req, res) => {
+  try {
+    const { name, description, parentId } = req.body;
+    const slug = req.body.slug || slugify(name);
+
+    if (!slug) {
+      return res.status(400).json({ message: 'Please provide a slug for this category name' });
+    }
+
+    const existing = await pool.query('SELECT id FROM categories WHERE slug = $1', [slug]);
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ message: 'A category with this slug already exists' });
+    }
+
+    if (parentId) {
+      const parentError = await checkParent(parentId);
+      if (parentError) {
+        return res.status(400).json({ message: parentError });
+      }
+    }
+
+    const result = await pool.query(
+      `INSERT INTO categories (name, slug, description, parent_id)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [name, slug, description || null, parentId || null]
+    );
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category: await findCategory(result.rows[0].id)
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({ message: 'Server error creating category' });
+  }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Rename, move or describe a category
+// @access  Private (categories.manage)
+router.put('/:id', authenticateToken, requirePermission('categories.manage'), validateCategoryUpdate, async (req, res) => {
+  try {
+    const categoryId = parseInt(req.params.id);
+    const { name, slug, description, parentId } = req.body;
+
+    const categoryCheck = await pool.query('SELECT id FROM categories WHERE id = $1', [categoryId || 0]);
+    if (categoryCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const updates = [];
+    const values = [];
+
+    if (name) {
+      values.push(name);
+      updates.push(`name = $${values.length}`);
+    }
+
+    if (slug) {
+      const existing = await pool.query(
+        'SELECT id FROM categories WHERE slug = $1 AND id != $2',
+        [slug, categoryId]
+      );
+      if (existing.rows.length > 0) {
+        return res.status(400).json({ message: 'A category with this slug already exists' });
+      }
+
+      values.push(slug);
+      updates.push(`slug = $${values.length}`);
+    }
+
+    if (description !== undefined) {
+      values.push(description || null);
+      updates.push(`description = $${values.length}`);
+    }
+
+    // parentId: null moves the category to the top level
+    if (parentId !== undefined) {
+      if (parentId) {
+        const parentError = await checkParent(parentId, categoryId);
+        if (parentError) {
+          return res.status(400).json({ message: parentError });
+        }
+      }
+
+      values.push(parentId || null);
+      updates.push(`parent_id = $${values.length}`);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ message: 'No valid fields to update' });
+    }
+
+    values.push(categoryId);
+    await pool.query(
+      `UPDATE categories SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $${values.length}`,
+      values
+    );
+
+    res.json({
+      message: 'Category updated successfully',
+      category: await findCategory(categoryId)
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({ message: 'Server error updating category' });
+  }
+});
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category with no subcategories; stores lose the assignment
+// @access  Private (categories.manage)
+router.delete('/:id', authenticateToken, requirePermission('categories.manage'), async (req, res) => {
+  try {
+    const categoryId = parseInt(req.params.id) || 0;
+
+    const categoryCheck = await pool.query('SELECT id FROM categories WHERE id = $1', [categoryId]);
+    if (categoryCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const children = await pool.query('SELECT id FROM categories WHERE parent_id = $1 LIMIT 1', [categoryId]);
+    if (children.rows.length > 0) {
+      return res.status(400).json({ message: 'Move or delete this category\'s subcategories first' });
+    }
+
+    await pool.query('DELETE FROM categories WHERE id = $1', [categoryId]);
+
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ message: 'Server error deleting category' });
+  }
+});
+
+module.exports = router;
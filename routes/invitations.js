@@ -0,0 +1,347 @@
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { pool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateInvitation, validateInvitationAcceptance } = require('../middleware/validation');
+const { sendMail, buildClientUrl } = require('../utils/mailer');
+const { hashToken, createSession } = require('../utils/tokens');
+const { getClientInfo } = require('../utils/device');
+const { recordChanges } = require('../utils/change-history');
+const { removeStoreStaff } = require('../utils/store-members');
+const { getRoleAccess, roleHasPermission, canGrantRole } = require('../utils/permissions');
+
+const router = express.Router();
+
+const INVITATION_EXPIRE_DAYS = parseInt(process.env.INVITATION_EXPIRE_DAYS) || 7;
+
+// Look up a pending, unexpired invitation by its plaintext token
+const findPendingInvitation = async (token, db = pool) => {
+  const result = await db.query(
+    `SELECT i.id, i.email, i.name, i.role, i.store_id, s.name as store_name
+     FROM invitations i
+     LEFT JOIN stores s ON i.store_id = s.id
+     WHERE i.token_hash = $1 AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+       AND i.expires_at > CURRENT_TIMESTAMP`,
+    [hashToken(token)]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Email the single-use link for an invitation
+const sendInvitationEmail = async (invitation, token, inviter) => {
+  const acceptUrl = buildClientUrl('/accept-invitation', { token });
+
+  await sendMail({
+    to: invitation.email,
+    subject: 'You have been invited to Store Rating',
+    text: `Hello${invitation.name ? ` ${invitation.name}` : ''},\n\n` +
+      `${inviter.name} has invited you to join Store Rating. ` +
+      `Use the link below to set your password. It expires in ${INVITATION_EXPIRE_DAYS} days ` +
+      `and can only be used once.\n\n${acceptUrl}\n\n` +
+      'If you were not expecting this invitation, you can ignore this email.'
+  });
+};
+
+// @route   GET /api/invitations
+// @desc    List pending invitations (?status=accepted|revoked|expired|all)
+// @access  Private (Admin)
+router.get('/', authenticateToken, requirePermission('users.invite'), async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    const statusFilters = {
+      pending: 'i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP',
+      accepted: 'i.accepted_at IS NOT NULL',
+      revoked: 'i.revoked_at IS NOT NULL',
+      expired: 'i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at <= CURRENT_TIMESTAMP',
+      all: 'TRUE'
+    };
+
+    const filter = statusFilters[status] || statusFilters.pending;
+
+    const result = await pool.query(`
+      SELECT i.id, i.email, i.name, i.role, i.store_id, s.name as store_name,
+             i.expires_at, i.sent_at, i.accepted_at, i.revoked_at, i.created_at,
+             u.name as invited_by_name
+      FROM invitations i
+      LEFT JOIN stores s ON i.store_id = s.id
+      LEFT JOIN users u ON i.invited_by = u.id
+      WHERE ${filter}
+      ORDER BY i.created_at DESC
+    `);
+
+    res.json({ invitations: result.rows });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ message: 'Server error fetching invitations' });
+  }
+});
+
+// @route   POST /api/invitations
+// @desc    Invite a user by email with a role and optional store to own
+// @access  Private (Admin)
+router.post('/', authenticateToken, requirePermission('users.invite'), validateInvitation, async (req, res) => {
+  try {
+    const { email, name, role, storeId } = req.body;
+
+    if (!(await canGrantRole(req.user, role))) {
+      return res.status(403).json({ message: 'Access denied. You cannot grant a role with more access than your own.' });
+    }
+
+    const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+    if (existingUser.rows.length > 0) {
+      return res.status(400).json({ message: 'User already exists with this email' });
+    }
+
+    const pendingInvitation = await pool.query(
+      `SELECT id FROM invitations
+       WHERE email = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+      [email]
+    );
+    if (pendingInvitation.rows.length > 0) {
+      return res.status(400).json({ message: 'A pending invitation already exists for this email' });
+    }
+
+    if (storeId) {
+      if (!(await roleHasPermission(role, 'stores.own'))) {
+        return res.status(400).json({ message: 'Only roles that can own stores can be invited with a store' });
+      }
+
+      const storeCheck = await pool.query('SELECT id, owner_id FROM stores WHERE id = $1 AND deleted_at IS NULL', [storeId]);
+      if (storeCheck.rows.length === 0) {
+        return res.status(400).json({ message: 'Store not found' });
+      }
+
+      if (storeCheck.rows[0].owner_id) {
+        return res.status(400).json({ message: 'Store already has an owner' });
+      }
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const result = await pool.query(
+      `INSERT INTO invitations (email, name, role, store_id, token_hash, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP + make_interval(days => $7))
+       RETURNING id, email, name, role, store_id, expires_at, sent_at, created_at`,
+      [email, name || null, role, storeId || null, hashToken(token), req.user.id, INVITATION_EXPIRE_DAYS]
+    );
+
+    const invitation = result.rows[0];
+
+    // An unsent invitation would block re-inviting the same email
+    try {
+      await sendInvitationEmail(invitation, token, req.user);
+    } catch (error) {
+      await pool.query('DELETE FROM invitations WHERE id = $1', [invitation.id]);
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      invitation
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ message: 'Server error creating invitation' });
+  }
+});
+
+// @route   POST /api/invitations/:id/resend
+// @desc    Send a fresh link for a pending or expired invitation
+// @access  Private (Admin)
+router.post('/:id/resend', authenticateToken, requirePermission('users.invite'), async (req, res) => {
+  try {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    // A new token replaces the old one, so earlier links stop working
+    const result = await pool.query(
+      `UPDATE invitations
+       SET token_hash = $1,
+           expires_at = CURRENT_TIMESTAMP + make_interval(days => $2),
+           sent_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING id, email, name, role, store_id, expires_at, sent_at, created_at`,
+      [hashToken(token), INVITATION_EXPIRE_DAYS, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const invitation = result.rows[0];
+    await sendInvitationEmail(invitation, token, req.user);
+
+    res.json({
+      message: 'Invitation resent successfully',
+      invitation
+    });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({ message: 'Server error resending invitation' });
+  }
+});
+
+// @route   DELETE /api/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private (Admin)
+router.delete('/:id', authenticateToken, requirePermission('users.invite'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE invitations SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING id`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ message: 'Server error revoking invitation' });
+  }
+});
+
+// @route   GET /api/invitations/accept
+// @desc    Show who an invitation is for before accepting it
+// @access  Public
+router.get('/accept', async (req, res) => {
+  try {
+    const invitation = req.query.token ? await findPendingInvitation(req.query.token) : null;
+
+    if (!invitation) {
+      return res.status(400).json({ message: 'Invalid or expired invitation' });
+    }
+
+    res.json({
+      invitation: {
+        email: invitation.email,
+        name: invitation.name,
+        role: invitation.role,
+        storeName: invitation.store_name
+      }
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ message: 'Server error fetching invitation' });
+  }
+});
+
+// @route   POST /api/invitations/accept
+// @desc    Accept an invitation by choosing a password; signs the new user in
+// @access  Public
+router.post('/accept', validateInvitationAcceptance, async (req, res) => {
+  try {
+    const { token, name, address, newPassword } = req.body;
+    const client = await pool.connect();
+    let user;
+    let store = null;
+
+    try {
+      await client.query('BEGIN');
+
+      const invitation = await findPendingInvitation(token, client);
+      if (!invitation) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Invalid or expired invitation' });
+      }
+
+      // Consume atomically so the link can only be used once
+      const consumed = await client.query(
+        `UPDATE invitations SET accepted_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+         RETURNING id`,
+        [invitation.id]
+      );
+      if (consumed.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Invalid or expired invitation' });
+      }
+
+      const existingUser = await client.query('SELECT id FROM users WHERE email = $1', [invitation.email]);
+      if (existingUser.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'User already exists with this email' });
+      }
+
+      const saltRounds = 12;
+      const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+
+      // The invitation link proves ownership of the address
+      const userResult = await client.query(
+        `INSERT INTO users (name, email, password, address, role, email_verified_at)
+         VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+         RETURNING id, name, email, address, role, email_verified_at`,
+        [name, invitation.email, hashedPassword, address, invitation.role]
+      );
+
+      user = userResult.rows[0];
+
+      await client.query(
+        'UPDATE invitations SET accepted_user_id = $1 WHERE id = $2',
+        [user.id, invitation.id]
+      );
+
+      if (invitation.store_id) {
+        const storeResult = await client.query(
+          `UPDATE stores SET owner_id = $1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2 AND owner_id IS NULL AND deleted_at IS NULL
+           RETURNING id, name`,
+          [user.id, invitation.store_id]
+        );
+
+        if (storeResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ message: 'The store on this invitation has been deleted or already assigned an owner' });
+        }
+
+        store = storeResult.rows[0];
+        await removeStoreStaff(client, [store.id]);
+
+        await recordChanges(client, {
+          entityType: 'store',
+          entityId: store.id,
+          actorId: user.id,
+          action: 'invitation',
+          before: { owner_id: null },
+          after: { owner_id: user.id }
+        });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const { token: accessToken, refreshToken } = await createSession(user.id, getClientInfo(req));
+    const { requiresTwoFactor } = await getRoleAccess(user.role);
+
+    res.status(201).json({
+      message: 'Invitation accepted successfully',
+      token: accessToken,
+      refreshToken,
+      twoFactorEnrolmentRequired: requiresTwoFactor,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        address: user.address,
+        role: user.role,
+        emailVerified: true
+      },
+      store
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ message: 'Server error accepting invitation' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,261 @@
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { pool } = require('../config/database');
+const { buildClientUrl } = require('../utils/mailer');
+const { roleExists, roleExceedsPermissions, getRoleAccess } = require('../utils/permissions');
+const {
+  createSession,
+  generateTwoFactorChallengeToken,
+  revokeUserSessions,
+  hashToken
+} = require('../utils/tokens');
+const { getClientInfo } = require('../utils/device');
+const { recordChanges } = require('../utils/change-history');
+const {
+  getConfig,
+  isConfigured,
+  randomToken,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  mapRoleFromClaims
+} = require('../utils/oidc');
+
+const router = express.Router();
+
+const LOGIN_STATE_EXPIRE_MINUTES = 10;
+
+// Binds a login to the browser that started it, so a callback URL from
+// someone else's login cannot sign this browser in to their account
+const STATE_COOKIE = 'oidc_state';
+const STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth/oidc'
+};
+
+const readCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+};
+
+// Whether the state cookie holds the hash of the returned state
+const stateMatchesCookie = (req, state) => {
+  const cookieValue = readCookie(req, STATE_COOKIE);
+  if (!cookieValue) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashToken(state));
+  const actual = Buffer.from(cookieValue);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Send the browser back to the frontend with the result in the URL fragment,
+// so tokens never reach server logs or the Referer header
+const redirectToClient = (res, params) => {
+  const fragment = new URLSearchParams(params).toString();
+  res.redirect(`${buildClientUrl('/auth/callback')}#${fragment}`);
+};
+
+// Find the local user for an identity, linking or creating one if needed.
+// Returns { user }, or { error } when the matching account has been deleted
+// or cannot be linked automatically.
+const findOrProvisionUser = async (claims) => {
+  const { issuer, defaultRole } = getConfig();
+  const claimedRole = mapRoleFromClaims(claims);
+  // Ignore mappings that point at roles which have since been deleted
+  const mappedRole = claimedRole && (await roleExists(claimedRole)) ? claimedRole : null;
+  const email = claims.email ? claims.email.toLowerCase() : null;
+
+  const identityResult = await pool.query(
+    `SELECT u.id, u.role, u.deleted_at
+     FROM user_identities ui
+     JOIN users u ON ui.user_id = u.id
+     WHERE ui.issuer = $1 AND ui.subject = $2`,
+    [issuer, claims.sub]
+  );
+
+  let user = identityResult.rows[0];
+
+  if (!user && email && claims.email_verified) {
+    // Link to an existing local account with the same verified address
+    const userResult = await pool.query('SELECT id, role, deleted_at FROM users WHERE email = $1', [email]);
+    user = userResult.rows[0];
+
+    // Whoever controls the address at the IdP must not take over an account
+    // with more access than an SSO sign-up gets
+    if (user && !user.deleted_at) {
+      const { permissions } = await getRoleAccess(defaultRole);
+      if (await roleExceedsPermissions(user.role, permissions)) {
+        return { error: 'account_link_refused' };
+      }
+    }
+  }
+
+  // A deleted account keeps its email address until it is purged
+  if (user && user.deleted_at) {
+    return { error: 'account_deleted' };
+  }
+
+  if (!user) {
+    if (!email) {
+      throw new Error('Identity provider did not return an email address');
+    }
+
+    // SSO users get an unusable random password; they can set one via reset-password
+    const hashedPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+    const userResult = await pool.query(
+      `INSERT INTO users (name, email, password, address, role, email_verified_at)
+       VALUES ($1, $2, $3, '', $4, CASE WHEN $5 THEN CURRENT_TIMESTAMP ELSE NULL END)
+       RETURNING id, role`,
+      [
+        claims.name || claims.preferred_username || email,
+        email,
+        hashedPassword,
+        mappedRole || defaultRole,
+        !!claims.email_verified
+      ]
+    );
+    user = userResult.rows[0];
+  } else if (mappedRole && mappedRole !== user.role) {
+    // Claims drive the role; sessions issued under the old role are revoked
+    await pool.query(
+      'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [mappedRole, user.id]
+    );
+    await recordChanges(pool, {
+      entityType: 'user',
+      entityId: user.id,
+      action: 'sso',
+      before: { role: user.role },
+      after: { role: mappedRole }
+    });
+    await revokeUserSessions(user.id);
+  }
+
+  await pool.query(
+    `INSERT INTO user_identities (user_id, issuer, subject, email, last_login_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+     ON CONFLICT (issuer, subject)
+     DO UPDATE SET email = EXCLUDED.email, last_login_at = CURRENT_TIMESTAMP`,
+    [user.id, issuer, claims.sub, email]
+  );
+
+  return { user };
+};
+
+// @route   GET /api/auth/oidc/start
+// @desc    Redirect to the identity provider (authorization code + PKCE)
+// @access  Public
+router.get('/start', async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(404).json({ message: 'Single sign-on is not configured' });
+    }
+
+    const state = randomToken();
+    const nonce = randomToken();
+    const { codeVerifier, codeChallenge } = createPkcePair();
+
+    // Clean up abandoned attempts
+    await pool.query('DELETE FROM oidc_login_states WHERE expires_at < CURRENT_TIMESTAMP');
+
+    await pool.query(
+      `INSERT INTO oidc_login_states (state, code_verifier, nonce, expires_at)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))`,
+      [state, codeVerifier, nonce, LOGIN_STATE_EXPIRE_MINUTES]
+    );
+
+    const authorizationUrl = await buildAuthorizationUrl({ state, nonce, codeChallenge });
+
+    res.cookie(STATE_COOKIE, hashToken(state), {
+      ...STATE_COOKIE_OPTIONS,
+      maxAge: LOGIN_STATE_EXPIRE_MINUTES * 60 * 1000
+    });
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error('OIDC start error:', error);
+    res.status(500).json({ message: 'Server error starting single sign-on' });
+  }
+});
+
+// @route   GET /api/auth/oidc/callback
+// @desc    Handle the identity provider redirect and sign the user in
+// @access  Public
+router.get('/callback', async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(404).json({ message: 'Single sign-on is not configured' });
+    }
+
+    const { code, state, error } = req.query;
+    const fromThisBrowser = !!state && stateMatchesCookie(req, String(state));
+
+    // The cookie is single-use whatever the outcome
+    res.clearCookie(STATE_COOKIE, STATE_COOKIE_OPTIONS);
+
+    if (error) {
+      return redirectToClient(res, { error: String(error) });
+    }
+
+    if (!code || !state) {
+      return redirectToClient(res, { error: 'invalid_request' });
+    }
+
+    if (!fromThisBrowser) {
+      return redirectToClient(res, { error: 'invalid_state' });
+    }
+
+    // Each state can only be redeemed once
+    const stateResult = await pool.query(
+      `DELETE FROM oidc_login_states
+       WHERE state = $1 AND expires_at > CURRENT_TIMESTAMP
+       RETURNING code_verifier, nonce`,
+      [String(state)]
+    );
+
+    if (stateResult.rows.length === 0) {
+      return redirectToClient(res, { error: 'invalid_state' });
+    }
+
+    const { code_verifier, nonce } = stateResult.rows[0];
+
+    const tokenResponse = await exchangeCode({ code: String(code), codeVerifier: code_verifier });
+    const claims = await verifyIdToken(tokenResponse.id_token, nonce);
+    const { user, error: provisionError } = await findOrProvisionUser(claims);
+
+    if (provisionError) {
+      return redirectToClient(res, { error: provisionError });
+    }
+
+    const totpResult = await pool.query('SELECT totp_enabled_at FROM users WHERE id = $1', [user.id]);
+
+    // Accounts with 2FA still complete the second step through /api/auth/2fa/verify
+    if (totpResult.rows[0].totp_enabled_at) {
+      return redirectToClient(res, {
+        twoFactorRequired: 'true',
+        challengeToken: generateTwoFactorChallengeToken(user.id)
+      });
+    }
+
+    const { token, refreshToken } = await createSession(user.id, getClientInfo(req));
+
+    redirectToClient(res, { token, refreshToken });
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    redirectToClient(res, { error: 'sso_failed' });
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,10 @@ const express = require('express');
 const { pool } = require('../config/database');
 const { 
   authenticateToken, 
-  requireNormalUser,
-  requireAdmin 
+  requirePermission,
+  requireVerifiedEmail,
+  requireScope,
+  rejectApiKey
 } = require('../middleware/auth');
 const { validateRating } = require('../middleware/validation');
 
@@ -12,20 +14,20 @@ const router = express.Router();
 // @route   POST /api/ratings
 // @desc    Submit a rating for a store
 // @access  Private (Normal User)
-router.post('/', authenticateToken, requireNormalUser, validateRating, async (req, res) => {
+router.post('/', rejectApiKey, authenticateToken, requirePermission('ratings.submit'), requireVerifiedEmail, validateRating, async (req, res) => {
   try {
     const { storeId, rating, comment } = req.body;
     const userId = req.user.id;
 
     // Check if store exists
-    const storeCheck = await pool.query('SELECT id FROM stores WHERE id = $1', [storeId]);
+    const storeCheck = await pool.query('SELECT id FROM stores WHERE id = $1 AND deleted_at IS NULL', [storeId]);
     if (storeCheck.rows.length === 0) {
       return res.status(404).json({ message: 'Store not found' });
     }
 
     // Check if user has already rated this store
     const existingRating = await pool.query(
-      'SELECT id FROM ratings WHERE user_id = $1 AND store_id = $2',
+      'SELECT id FROM ratings WHERE user_id = $1 AND store_id = $2 AND deleted_at IS NULL',
       [userId, storeId]
     );
 
@@ -35,14 +37,25 @@ router.post('/', authenticateToken, requireNormalUser, validateRating, async (re
       });
     }
 
-    // Insert new rating
+    // Insert new rating, replacing one the user deleted earlier
     const result = await pool.query(
       `INSERT INTO ratings (user_id, store_id, rating, comment) 
        VALUES ($1, $2, $3, $4) 
+       ON CONFLICT (user_id, store_id) DO UPDATE
+       SET rating = EXCLUDED.rating, comment = EXCLUDED.comment, created_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP, deleted_at = NULL, deleted_by = NULL,
+           response = NULL, responded_at = NULL, responded_by = NULL
+       WHERE ratings.deleted_at IS NOT NULL
        RETURNING id, user_id, store_id, rating, comment, created_at`,
       [userId, storeId, rating, comment]
     );
 
+    if (result.rows.length === 0) {
+      return res.status(400).json({ 
+        message: 'You have already rated this store. Use PUT to update your rating.' 
+      });
+    }
+
     const newRating = result.rows[0];
 
     res.status(201).json({
@@ -58,21 +71,21 @@ router.post('/', authenticateToken, requireNormalUser, validateRating, async (re
 // @route   PUT /api/ratings/:storeId
 // @desc    Update user's rating for a store
 // @access  Private (Normal User)
-router.put('/:storeId', authenticateToken, requireNormalUser, validateRating, async (req, res) => {
+router.put('/:storeId', rejectApiKey, authenticateToken, requirePermission('ratings.submit'), requireVerifiedEmail, validateRating, async (req, res) => {
   try {
     const storeId = req.params.storeId;
     const { rating, comment } = req.body;
     const userId = req.user.id;
 
     // Check if store exists
-    const storeCheck = await pool.query('SELECT id FROM stores WHERE id = $1', [storeId]);
+    const storeCheck = await pool.query('SELECT id FROM stores WHERE id = $1 AND deleted_at IS NULL', [storeId]);
     if (storeCheck.rows.length === 0) {
       return res.status(404).json({ message: 'Store not found' });
     }
 
     // Check if user has rated this store
     const existingRating = await pool.query(
-      'SELECT id FROM ratings WHERE user_id = $1 AND store_id = $2',
+      'SELECT id FROM ratings WHERE user_id = $1 AND store_id = $2 AND deleted_at IS NULL',
       [userId, storeId]
     );
 
@@ -86,7 +99,7 @@ router.put('/:storeId', authenticateToken, requireNormalUser, validateRating, as
     const result = await pool.query(
       `UPDATE ratings 
        SET rating = $1, comment = $2, updated_at = CURRENT_TIMESTAMP 
-       WHERE user_id = $3 AND store_id = $4
+       WHERE user_id = $3 AND store_id = $4 AND deleted_at IS NULL
        RETURNING id, user_id, store_id, rating, comment, created_at, updated_at`,
       [rating, comment, userId, storeId]
     );
@@ -106,7 +119,7 @@ router.put('/:storeId', authenticateToken, requireNormalUser, validateRating, as
 // @route   GET /api/ratings/user/:userId
 // @desc    Get all ratings by a user (Admin only)
 // @access  Private (Admin)
-router.get('/user/:userId', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/user/:userId', authenticateToken, requireScope('ratings:read'), requirePermission('ratings.read_all'), async (req, res) => {
   try {
     const userId = req.params.userId;
     const { page = 1, limit = 10, sortBy = 'created_at', sortOrder = 'desc' } = req.query;
@@ -119,7 +132,7 @@ router.get('/user/:userId', authenticateToken, requireAdmin, async (req, res) =>
     const order = validSortOrders.includes(sortOrder.toLowerCase()) ? sortOrder.toUpperCase() : 'DESC';
 
     // Check if user exists
-    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
+    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
     if (userCheck.rows.length === 0) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -129,7 +142,7 @@ router.get('/user/:userId', authenticateToken, requireAdmin, async (req, res) =>
              s.name as store_name, s.id as store_id
       FROM ratings r
       JOIN stores s ON r.store_id = s.id
-      WHERE r.user_id = $1
+      WHERE r.user_id = $1 AND r.deleted_at IS NULL
       ORDER BY ${sortField === 'store_name' ? 's.name' : 'r.' + sortField} ${order}
       LIMIT $2 OFFSET $3
     `;
@@ -138,7 +151,7 @@ router.get('/user/:userId', authenticateToken, requireAdmin, async (req, res) =>
 
     // Get total count
     const countResult = await pool.query(
-      'SELECT COUNT(*) FROM ratings WHERE user_id = $1',
+      'SELECT COUNT(*) FROM ratings WHERE user_id = $1 AND deleted_at IS NULL',
       [userId]
     );
     
@@ -164,7 +177,7 @@ router.get('/user/:userId', authenticateToken, requireAdmin, async (req, res) =>
 // @route   GET /api/ratings/my-ratings
 // @desc    Get current user's ratings
 // @access  Private (Normal User)
-router.get('/my-ratings', authenticateToken, requireNormalUser, async (req, res) => {
+router.get('/my-ratings', authenticateToken, requireScope('ratings:read'), requirePermission('ratings.submit'), async (req, res) => {
   try {
     const userId = req.user.id;
     const { page = 1, limit = 10, sortBy = 'created_at', sortOrder = 'desc' } = req.query;
@@ -178,11 +191,12 @@ router.get('/my-ratings', authenticateToken, requireNormalUser, async (req, res)
 
     const query = `
       SELECT r.id, r.rating, r.comment, r.created_at, r.updated_at,
+             r.response, r.responded_at,
              s.name as store_name, s.id as store_id, s.address as store_address,
              s.average_rating as store_average_rating
       FROM ratings r
       JOIN stores s ON r.store_id = s.id
-      WHERE r.user_id = $1
+      WHERE r.user_id = $1 AND r.deleted_at IS NULL
       ORDER BY ${sortField === 'store_name' ? 's.name' : 'r.' + sortField} ${order}
       LIMIT $2 OFFSET $3
     `;
@@ -191,7 +205,7 @@ router.get('/my-ratings', authenticateToken, requireNormalUser, async (req, res)
 
     // Get total count
     const countResult = await pool.query(
-      'SELECT COUNT(*) FROM ratings WHERE user_id = $1',
+      'SELECT COUNT(*) FROM ratings WHERE user_id = $1 AND deleted_at IS NULL',
       [userId]
     );
     
@@ -217,14 +231,14 @@ router.get('/my-ratings', authenticateToken, requireNormalUser, async (req, res)
 // @route   DELETE /api/ratings/:storeId
 // @desc    Delete user's rating for a store
 // @access  Private (Normal User)
-router.delete('/:storeId', authenticateToken, requireNormalUser, async (req, res) => {
+router.delete('/:storeId', rejectApiKey, authenticateToken, requirePermission('ratings.submit'), async (req, res) => {
   try {
     const storeId = req.params.storeId;
     const userId = req.user.id;
 
     // Check if rating exists
     const ratingCheck = await pool.query(
-      'SELECT id FROM ratings WHERE user_id = $1 AND store_id = $2',
+      'SELECT id FROM ratings WHERE user_id = $1 AND store_id = $2 AND deleted_at IS NULL',
       [userId, storeId]
     );
 
@@ -232,9 +246,10 @@ router.delete('/:storeId', authenticateToken, requireNormalUser, async (req, res
       return res.status(404).json({ message: 'Rating not found' });
     }
 
-    // Delete rating
+    // Soft delete; an admin can restore it within the retention window
     await pool.query(
-      'DELETE FROM ratings WHERE user_id = $1 AND store_id = $2',
+      `UPDATE ratings SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $1
+       WHERE user_id = $1 AND store_id = $2 AND deleted_at IS NULL`,
       [userId, storeId]
     );
 
@@ -248,7 +263,7 @@ router.delete('/:storeId', authenticateToken, requireNormalUser, async (req, res
 // @route   GET /api/ratings/store/:storeId
 // @desc    Get all ratings for a specific store
 // @access  Private
-router.get('/store/:storeId', authenticateToken, async (req, res) => {
+router.get('/store/:storeId', authenticateToken, requireScope('ratings:read'), requirePermission('ratings.read'), async (req, res) => {
   try {
     const storeId = req.params.storeId;
     const { page = 1, limit = 10, sortBy = 'created_at', sortOrder = 'desc' } = req.query;
@@ -261,17 +276,18 @@ router.get('/store/:storeId', authenticateToken, async (req, res) => {
     const order = validSortOrders.includes(sortOrder.toLowerCase()) ? sortOrder.toUpperCase() : 'DESC';
 
     // Check if store exists
-    const storeCheck = await pool.query('SELECT id FROM stores WHERE id = $1', [storeId]);
+    const storeCheck = await pool.query('SELECT id FROM stores WHERE id = $1 AND deleted_at IS NULL', [storeId]);
     if (storeCheck.rows.length === 0) {
       return res.status(404).json({ message: 'Store not found' });
     }
 
     const query = `
       SELECT r.id, r.rating, r.created_at, r.updated_at,
+             r.response, r.responded_at,
              u.name as user_name
       FROM ratings r
       JOIN users u ON r.user_id = u.id
-      WHERE r.store_id = $1
+      WHERE r.store_id = $1 AND r.deleted_at IS NULL
       ORDER BY ${sortField === 'user_name' ? 'u.name' : 'r.' + sortField} ${order}
       LIMIT $2 OFFSET $3
     `;
@@ -283,7 +299,7 @@ router.get('/store/:storeId', authenticateToken, async (req, res) => {
       SELECT COUNT(*) as total_ratings, 
              COALESCE(AVG(rating), 0) as average_rating
       FROM ratings 
-      WHERE store_id = $1
+      WHERE store_id = $1 AND deleted_at IS NULL
     `, [storeId]);
     
     const stats = statsResult.rows[0];
@@ -313,7 +329,7 @@ router.get('/store/:storeId', authenticateToken, async (req, res) => {
 // @route   GET /api/ratings/stats
 // @desc    Get rating statistics (Admin only)
 // @access  Private (Admin)
-router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/stats', authenticateToken, requireScope('ratings:read'), requirePermission('ratings.read_all'), async (req, res) => {
   try {
     const stats = await pool.query(`
       SELECT 
@@ -326,17 +342,21 @@ router.get('/stats', authenticateToken, requireAdmin, async (req, res) => {
           FROM (
             SELECT rating, COUNT(*) as count 
             FROM ratings 
+            WHERE deleted_at IS NULL
             GROUP BY rating 
             ORDER BY count DESC 
             LIMIT 1
           ) most_common
         ) as most_common_rating_count
+      FROM ratings
+      WHERE deleted_at IS NULL
     `);
 
     // Get rating distribution
     const distributionResult = await pool.query(`
       SELECT rating, COUNT(*) as count
       FROM ratings
+      WHERE deleted_at IS NULL
       GROUP BY rating
       ORDER BY rating
     `);
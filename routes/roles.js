@@ -0,0 +1,172 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { PERMISSIONS, PROTECTED_ROLE } = require('../config/permissions');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateRoleCreation, validateRoleUpdate } = require('../middleware/validation');
+const { clearRoleCache } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Roles with their permission names and how many users hold them
+const ROLE_SELECT = `
+  SELECT r.id, r.name, r.description, r.is_system, r.requires_two_factor, r.created_at, r.updated_at,
+         COALESCE(array_agg(p.name ORDER BY p.name) FILTER (WHERE p.name IS NOT NULL), '{}') as permissions,
+         (SELECT COUNT(*) FROM users u WHERE u.role = r.name) as user_count
+  FROM roles r
+  LEFT JOIN role_permissions rp ON rp.role_id = r.id
+  LEFT JOIN permissions p ON p.id = rp.permission_id
+`;
+
+const getRole = async (name) => {
+  const result = await pool.query(`${ROLE_SELECT} WHERE r.name = $1 GROUP BY r.id`, [name]);
+  return result.rows[0] || null;
+};
+
+// Replace a role's permission grants in one transaction
+const setRolePermissions = async (roleId, permissions) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM role_permissions WHERE role_id = $1', [roleId]);
+    await client.query(
+      `INSERT INTO role_permissions (role_id, permission_id)
+       SELECT $1, id FROM permissions WHERE name = ANY($2)`,
+      [roleId, [...new Set(permissions)]]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// @route   GET /api/admin/roles
+// @desc    List roles with their permissions and user counts
+// @access  Private (roles.manage)
+router.get('/', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const result = await pool.query(`${ROLE_SELECT} GROUP BY r.id ORDER BY r.is_system DESC, r.name ASC`);
+
+    res.json({ roles: result.rows });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ message: 'Server error fetching roles' });
+  }
+});
+
+// @route   GET /api/admin/roles/permissions
+// @desc    List every permission that can be granted
+// @access  Private (roles.manage)
+router.get('/permissions', authenticateToken, requirePermission('roles.manage'), (req, res) => {
+  res.json({
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+// @route   POST /api/admin/roles
+// @desc    Create a custom role
+// @access  Private (roles.manage)
+router.post('/', authenticateToken, requirePermission('roles.manage'), validateRoleCreation, async (req, res) => {
+  try {
+    const { name, description, permissions, requiresTwoFactor = false } = req.body;
+
+    const existingRole = await pool.query('SELECT id FROM roles WHERE name = $1', [name]);
+    if (existingRole.rows.length > 0) {
+      return res.status(400).json({ message: 'A role with this name already exists' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO roles (name, description, requires_two_factor)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [name, description || null, requiresTwoFactor]
+    );
+
+    await setRolePermissions(result.rows[0].id, permissions);
+    clearRoleCache();
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role: await getRole(name)
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({ message: 'Server error creating role' });
+  }
+});
+
+// @route   PUT /api/admin/roles/:name
+// @desc    Update a role's description, 2FA requirement or permissions
+// @access  Private (roles.manage)
+router.put('/:name', authenticateToken, requirePermission('roles.manage'), validateRoleUpdate, async (req, res) => {
+  try {
+    const roleName = req.params.name.toUpperCase();
+    const { description, permissions, requiresTwoFactor } = req.body;
+
+    if (roleName === PROTECTED_ROLE) {
+      return res.status(403).json({ message: `The ${PROTECTED_ROLE} role cannot be modified` });
+    }
+
+    const role = await getRole(roleName);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    await pool.query(
+      `UPDATE roles
+       SET description = COALESCE($1, description),
+           requires_two_factor = COALESCE($2, requires_two_factor),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [description === undefined ? null : description, requiresTwoFactor === undefined ? null : requiresTwoFactor, role.id]
+    );
+
+    if (permissions) {
+      await setRolePermissions(role.id, permissions);
+    }
+
+    clearRoleCache();
+
+    res.json({
+      message: 'Role updated successfully',
+      role: await getRole(roleName)
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ message: 'Server error updating role' });
+  }
+});
+
+// @route   DELETE /api/admin/roles/:name
+// @desc    Delete a custom role that no users hold
+// @access  Private (roles.manage)
+router.delete('/:name', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const role = await getRole(req.params.name.toUpperCase());
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (role.is_system) {
+      return res.status(403).json({ message: 'Built-in roles cannot be deleted' });
+    }
+
+    if (parseInt(role.user_count) > 0) {
+      return res.status(400).json({ message: 'Reassign users holding this role before deleting it' });
+    }
+
+    await pool.query('DELETE FROM roles WHERE id = $1', [role.id]);
+    clearRoleCache();
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ message: 'Server error deleting role' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,218 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { uploadEvidence } = require('../middleware/upload');
+const { validateStoreClaim } = require('../middleware/validation');
+const { hasPermission } = require('../utils/permissions');
+const { getMediaStorage } = require('../utils/media-storage');
+const { normalizeSearchQuery, buildStoreSearch } = require('../utils/search');
+const {
+  CLAIM_SELECT,
+  checkEvidenceFiles,
+  storeEvidenceFiles,
+  removeEvidenceFiles,
+  withClaimEvidence,
+  getClaim
+} = require('../utils/store-claims');
+
+const router = express.Router();
+
+// @route   GET /api/store-claims/claimable
+// @desc    Search stores that have no owner yet
+// @access  Private (stores.claim)
+router.get('/claimable', authenticateToken, requirePermission('stores.claim'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const q = normalizeSearchQuery(req.query.q);
+
+    const params = [req.user.id];
+    const textSearch = q ? buildStoreSearch(q, params) : null;
+
+    params.push(limit, (page - 1) * limit);
+    const result = await pool.query(
+      `SELECT s.id, s.name, s.address, s.average_rating, s.total_ratings,
+              EXISTS (
+                SELECT 1 FROM store_claims c
+                WHERE c.store_id = s.id AND c.claimant_id = $1 AND c.status = 'pending'
+              ) as has_pending_claim
+       FROM stores s
+       WHERE s.owner_id IS NULL AND s.deleted_at IS NULL${textSearch ? textSearch.condition : ''}
+       ORDER BY ${textSearch ? `${textSearch.rank} DESC, ` : ''}s.name ASC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    // Get total count
+    const countParams = [];
+    const countSearch = q ? buildStoreSearch(q, countParams).condition : '';
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM stores s WHERE s.owner_id IS NULL AND s.deleted_at IS NULL${countSearch}`,
+      countParams
+    );
+    const totalStores = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalStores / limit);
+
+    res.json({
+      stores: result.rows,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalStores,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get claimable stores error:', error);
+    res.status(500).json({ message: 'Server error fetching claimable stores' });
+  }
+});
+
+// @route   GET /api/store-claims
+// @desc    Get your store claims and their review status
+// @access  Private (stores.claim)
+router.get('/', authenticateToken, requirePermission('stores.claim'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `${CLAIM_SELECT} WHERE c.claimant_id = $1 ORDER BY c.created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({ claims: await withClaimEvidence(result.rows) });
+  } catch (error) {
+    console.error('Get store claims error:', error);
+    res.status(500).json({ message: 'Server error fetching store claims' });
+  }
+});
+
+// @route   POST /api/store-claims
+// @desc    Claim an unowned store (multipart: storeId, note, evidence files)
+// @access  Private (stores.claim)
+router.post('/', authenticateToken, requirePermission('stores.claim'), uploadEvidence('evidence'), validateStoreClaim, async (req, res) => {
+  try {
+    const { storeId, note } = req.body;
+    const files = req.files || [];
+
+    const evidenceError = checkEvidenceFiles(files);
+    if (evidenceError) {
+      return res.status(415).json({ message: evidenceError });
+    }
+
+    const storeResult = await pool.query('SELECT id, owner_id FROM stores WHERE id = $1 AND deleted_at IS NULL', [storeId]);
+    if (storeResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    if (storeResult.rows[0].owner_id) {
+      return res.status(400).json({ message: 'This store already has an owner' });
+    }
+
+    const pendingResult = await pool.query(
+      "SELECT id FROM store_claims WHERE store_id = $1 AND claimant_id = $2 AND status = 'pending'",
+      [storeId, req.user.id]
+    );
+    if (pendingResult.rows.length > 0) {
+      return res.status(400).json({ message: 'You already have a pending claim for this store' });
+    }
+
+    const evidence = await storeEvidenceFiles(files);
+
+    // Save the claim and its evidence together; drop the files if that fails
+    const client = await pool.connect();
+    let claimId;
+
+    try {
+      await client.query('BEGIN');
+
+      const claimResult = await client.query(
+        `INSERT INTO store_claims (store_id, claimant_id, note)
+         VALUES ($1, $2, $3)
+         RETURNING id`,
+        [storeId, req.user.id, note]
+      );
+      claimId = claimResult.rows[0].id;
+
+      for (const file of evidence) {
+        await client.query(
+          `INSERT INTO store_claim_evidence (claim_id, storage_key, file_name, content_type, size_bytes)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [claimId, file.storageKey, file.fileName, file.contentType, file.sizeBytes]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      await removeEvidenceFiles(evidence.map((file) => file.storageKey));
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.status(201).json({
+      message: 'Claim submitted. An administrator will review it shortly.',
+      claim: await getClaim(claimId)
+    });
+  } catch (error) {
+    console.error('Create store claim error:', error);
+    res.status(500).json({ message: 'Server error submitting claim' });
+  }
+});
+
+// @route   DELETE /api/store-claims/:id
+// @desc    Withdraw one of your pending claims
+// @access  Private (stores.claim)
+router.delete('/:id', authenticateToken, requirePermission('stores.claim'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE store_claims SET status = 'withdrawn', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND claimant_id = $2 AND status = 'pending'
+       RETURNING id`,
+      [parseInt(req.params.id) || 0, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Pending claim not found' });
+    }
+
+    res.json({ message: 'Claim withdrawn successfully' });
+  } catch (error) {
+    console.error('Withdraw store claim error:', error);
+    res.status(500).json({ message: 'Server error withdrawing claim' });
+  }
+});
+
+// @route   GET /api/store-claims/:id/evidence/:evidenceId
+// @desc    Download a claim's evidence file
+// @access  Private (the claimant or stores.review_claims)
+router.get('/:id/evidence/:evidenceId', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT e.storage_key, e.file_name, e.content_type, c.claimant_id
+       FROM store_claim_evidence e
+       JOIN store_claims c ON c.id = e.claim_id
+       WHERE e.id = $1 AND e.claim_id = $2`,
+      [parseInt(req.params.evidenceId) || 0, parseInt(req.params.id) || 0]
+    );
+
+    const evidence = result.rows[0];
+    if (!evidence || (evidence.claimant_id !== req.user.id && !hasPermission(req.user, 'stores.review_claims'))) {
+      return res.status(404).json({ message: 'Evidence not found' });
+    }
+
+    const file = await getMediaStorage().read(evidence.storage_key);
+
+    res.set({
+      'Content-Type': evidence.content_type,
+      'Content-Disposition': `attachment; filename="${evidence.file_name}"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(file);
+  } catch (error) {
+    console.error('Download claim evidence error:', error);
+    res.status(500).json({ message: 'Server error downloading evidence' });
+  }
+});
+
+module.exports = router;
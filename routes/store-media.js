@@ -0,0 +1,193 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const {
+  authenticateToken,
+  requirePermission,
+  requireScope,
+  checkStoreAccess
+} = require('../middleware/auth');
+const { uploadImage } = require('../middleware/upload');
+const { validateMediaUpload, validateMediaOrder } = require('../middleware/validation');
+const { hasPermission } = require('../utils/permissions');
+const {
+  MAX_PHOTOS_PER_STORE,
+  processImage,
+  storeImageFiles,
+  removeMediaFiles,
+  formatMedia,
+  getStoreMedia
+} = require('../utils/media');
+const { getMemberLevel } = require('../utils/store-members');
+
+// Mounted at /api/stores/:id/media
+const router = express.Router({ mergeParams: true });
+
+// @route   GET /api/stores/:id/media
+// @desc    Get a store's logo and gallery photos with thumbnail URLs
+// @access  Private
+router.get('/', authenticateToken, requireScope('stores:read'), requirePermission('stores.read'), async (req, res) => {
+  try {
+    const storeId = parseInt(req.params.id) || 0;
+
+    const storeCheck = await pool.query('SELECT id, owner_id FROM stores WHERE id = $1 AND deleted_at IS NULL', [storeId]);
+    if (storeCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    // Store owners only see stores they own or are staff of
+    const ownStoresOnly = hasPermission(req.user, 'stores.own') && !hasPermission(req.user, 'stores.manage_all');
+    if (ownStoresOnly && storeCheck.rows[0].owner_id !== req.user.id && !await getMemberLevel(storeId, req.user.id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({ media: await getStoreMedia(storeId) });
+  } catch (error) {
+    console.error('Get store media error:', error);
+    res.status(500).json({ message: 'Server error fetching store media' });
+  }
+});
+
+// @route   POST /api/stores/:id/media
+// @desc    Upload a logo (replaces the current one) or a gallery photo
+// @access  Private (Admin, Store Owner or editor staff)
+router.post('/', authenticateToken, requireScope('stores:write'), checkStoreAccess('stores.update'), uploadImage('file'), validateMediaUpload, async (req, res) => {
+  try {
+    const storeId = req.store.id;
+    const { kind, caption } = req.body;
+
+    if (kind === 'photo') {
+      const countResult = await pool.query(
+        "SELECT COUNT(*) FROM store_media WHERE store_id = $1 AND kind = 'photo'",
+        [storeId]
+      );
+      if (parseInt(countResult.rows[0].count) >= MAX_PHOTOS_PER_STORE) {
+        return res.status(400).json({ message: `A store can have at most ${MAX_PHOTOS_PER_STORE} photos` });
+      }
+    }
+
+    const image = await processImage(req.file.buffer);
+    if (image.error) {
+      return res.status(415).json({ message: image.error });
+    }
+
+    const files = await storeImageFiles(storeId, image);
+
+    // Swap the logo or append the photo in one transaction; the replaced
+    // logo's files are removed once it has committed
+    const client = await pool.connect();
+    let result;
+    let replaced = [];
+
+    try {
+      await client.query('BEGIN');
+
+      if (kind === 'logo') {
+        const previous = await client.query(
+          "DELETE FROM store_media WHERE store_id = $1 AND kind = 'logo' RETURNING storage_key, variants",
+          [storeId]
+        );
+        replaced = previous.rows;
+      }
+
+      result = await client.query(
+        `INSERT INTO store_media
+           (store_id, kind, storage_key, content_type, width, height, size_bytes, variants, caption, position, uploaded_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9,
+           (SELECT COALESCE(MAX(position) + 1, 0) FROM store_media WHERE store_id = $1 AND kind = $2), $10)
+         RETURNING *`,
+        [
+          storeId,
+          kind,
+          files.storageKey,
+          files.contentType,
+          files.width,
+          files.height,
+          files.sizeBytes,
+          JSON.stringify(files.variants),
+          caption || null,
+          req.user.id
+        ]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      await removeMediaFiles([{ storage_key: files.storageKey, variants: files.variants }]);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await removeMediaFiles(replaced);
+
+    res.status(201).json({
+      message: kind === 'logo' ? 'Logo uploaded successfully' : 'Photo uploaded successfully',
+      media: formatMedia(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Upload store media error:', error);
+    res.status(500).json({ message: 'Server error uploading media' });
+  }
+});
+
+// @route   PUT /api/stores/:id/media/order
+// @desc    Reorder gallery photos; mediaIds must list every photo of the store
+// @access  Private (Admin, Store Owner or editor staff)
+router.put('/order', authenticateToken, requireScope('stores:write'), checkStoreAccess('stores.update'), validateMediaOrder, async (req, res) => {
+  try {
+    const storeId = req.store.id;
+    const { mediaIds } = req.body;
+
+    const photoResult = await pool.query(
+      "SELECT id FROM store_media WHERE store_id = $1 AND kind = 'photo'",
+      [storeId]
+    );
+    const photoIds = new Set(photoResult.rows.map((row) => row.id));
+
+    if (new Set(mediaIds).size !== mediaIds.length ||
+        mediaIds.length !== photoIds.size ||
+        !mediaIds.every((id) => photoIds.has(id))) {
+      return res.status(400).json({ message: 'mediaIds must list each of this store\'s photos exactly once' });
+    }
+
+    await pool.query(
+      `UPDATE store_media m SET position = o.position
+       FROM unnest($2::int[]) WITH ORDINALITY AS o(id, position)
+       WHERE m.id = o.id AND m.store_id = $1`,
+      [storeId, mediaIds]
+    );
+
+    res.json({
+      message: 'Photos reordered successfully',
+      media: await getStoreMedia(storeId)
+    });
+  } catch (error) {
+    console.error('Reorder store media error:', error);
+    res.status(500).json({ message: 'Server error reordering media' });
+  }
+});
+
+// @route   DELETE /api/stores/:id/media/:mediaId
+// @desc    Delete a logo or photo and its files
+// @access  Private (Admin, Store Owner or editor staff)
+router.delete('/:mediaId', authenticateToken, requireScope('stores:write'), checkStoreAccess('stores.update'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM store_media WHERE id = $1 AND store_id = $2 RETURNING storage_key, variants',
+      [parseInt(req.params.mediaId) || 0, req.store.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Media not found' });
+    }
+
+    await removeMediaFiles(result.rows);
+
+    res.json({ message: 'Media deleted successfully' });
+  } catch (error) {
+    console.error('Delete store media error:', error);
+    res.status(500).json({ message: 'Server error deleting media' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,318 @@
+const express = require('express');
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const {
+  authenticateToken,
+  requireVerifiedEmail,
+  rejectImpersonation,
+  checkStoreAccess
+} = require('../middleware/auth');
+const { validateStoreMemberInvitation, validateStoreMemberUpdate } = require('../middleware/validation');
+const { hashToken } = require('../utils/tokens');
+const { recordAudit } = require('../utils/audit');
+const {
+  STORE_INVITATION_EXPIRE_DAYS,
+  findPendingStoreInvitation,
+  sendStoreInvitationEmail
+} = require('../utils/store-members');
+
+// Mounted at /api/stores/:id/members
+const router = express.Router({ mergeParams: true });
+
+// @route   GET /api/stores/:id/members
+// @desc    List a store's staff and pending staff invitations
+// @access  Private (Admin or Store Owner)
+router.get('/', authenticateToken, checkStoreAccess('stores.manage_staff'), async (req, res) => {
+  try {
+    const membersResult = await pool.query(
+      `SELECT u.id, u.name, u.email, m.level, m.created_at as added_at, m.updated_at,
+              a.name as added_by_name
+       FROM store_members m
+       JOIN users u ON u.id = m.user_id
+       LEFT JOIN users a ON a.id = m.added_by
+       WHERE m.store_id = $1 AND u.deleted_at IS NULL
+       ORDER BY u.name ASC`,
+      [req.store.id]
+    );
+
+    const invitationsResult = await pool.query(
+      `SELECT i.id, i.email, i.level, i.expires_at, i.created_at, u.name as invited_by_name
+       FROM store_member_invitations i
+       LEFT JOIN users u ON u.id = i.invited_by
+       WHERE i.store_id = $1 AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+         AND i.expires_at > CURRENT_TIMESTAMP
+       ORDER BY i.created_at DESC`,
+      [req.store.id]
+    );
+
+    res.json({
+      members: membersResult.rows,
+      invitations: invitationsResult.rows
+    });
+  } catch (error) {
+    console.error('Get store members error:', error);
+    res.status(500).json({ message: 'Server error fetching store members' });
+  }
+});
+
+// @route   POST /api/stores/:id/members/invitations
+// @desc    Invite someone by email to the store's staff at a level
+// @access  Private (Admin or Store Owner)
+router.post('/invitations', authenticateToken, checkStoreAccess('stores.manage_staff'), validateStoreMemberInvitation, async (req, res) => {
+  try {
+    const storeId = req.store.id;
+    const { email, level } = req.body;
+
+    const storeResult = await pool.query(
+      `SELECT s.name, o.email as owner_email
+       FROM stores s
+       LEFT JOIN users o ON o.id = s.owner_id
+       WHERE s.id = $1`,
+      [storeId]
+    );
+    const store = storeResult.rows[0];
+
+    if (store.owner_email === email) {
+      return res.status(400).json({ message: 'The store owner already has full access' });
+    }
+
+    const memberCheck = await pool.query(
+      `SELECT 1 FROM store_members m
+       JOIN users u ON u.id = m.user_id
+       WHERE m.store_id = $1 AND u.email = $2`,
+      [storeId, email]
+    );
+    if (memberCheck.rows.length > 0) {
+      return res.status(400).json({ message: 'This user is already on the store\'s staff; change their level instead' });
+    }
+
+    const pendingInvitation = await pool.query(
+      `SELECT id FROM store_member_invitations
+       WHERE store_id = $1 AND email = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+         AND expires_at > CURRENT_TIMESTAMP`,
+      [storeId, email]
+    );
+    if (pendingInvitation.rows.length > 0) {
+      return res.status(400).json({ message: 'A pending invitation already exists for this email' });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const result = await pool.query(
+      `INSERT INTO store_member_invitations (store_id, email, level, token_hash, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(days => $6))
+       RETURNING id, store_id, email, level, expires_at, created_at`,
+      [storeId, email, level, hashToken(token), req.user.id, STORE_INVITATION_EXPIRE_DAYS]
+    );
+
+    const invitation = result.rows[0];
+
+    // An unsent invitation would block re-inviting the same email
+    try {
+      await sendStoreInvitationEmail({ invitation, token, storeName: store.name, inviter: req.user });
+    } catch (error) {
+      await pool.query('DELETE FROM store_member_invitations WHERE id = $1', [invitation.id]);
+      throw error;
+    }
+
+    await recordAudit({
+      actorId: req.user.id,
+      action: 'store_member.invite',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: 201,
+      ipAddress: req.ip,
+      metadata: { storeId, email, level, invitationId: invitation.id }
+    });
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      invitation
+    });
+  } catch (error) {
+    console.error('Invite store member error:', error);
+    res.status(500).json({ message: 'Server error inviting store member' });
+  }
+});
+
+// @route   POST /api/stores/:id/members/invitations/accept
+// @desc    Join a store's staff with the emailed token; the invitation must be for your email
+// @access  Private (verified email)
+router.post('/invitations/accept', authenticateToken, rejectImpersonation, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Invitation token is required' });
+    }
+
+    const invitation = await findPendingStoreInvitation(parseInt(req.params.id) || 0, String(token));
+    if (!invitation) {
+      return res.status(400).json({ message: 'Invalid or expired invitation' });
+    }
+
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({ message: 'This invitation was sent to a different email address' });
+    }
+
+    if (invitation.owner_id === req.user.id) {
+      return res.status(400).json({ message: 'You already own this store' });
+    }
+
+    // Consume the invitation and add the member together so the link works only once
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const consumed = await client.query(
+        `UPDATE store_member_invitations
+         SET accepted_at = CURRENT_TIMESTAMP, accepted_user_id = $2
+         WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         RETURNING id`,
+        [invitation.id, req.user.id]
+      );
+
+      if (consumed.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Invalid or expired invitation' });
+      }
+
+      await client.query(
+        `INSERT INTO store_members (store_id, user_id, level, added_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (store_id, user_id)
+         DO UPDATE SET level = EXCLUDED.level, added_by = EXCLUDED.added_by, updated_at = CURRENT_TIMESTAMP`,
+        [invitation.store_id, req.user.id, invitation.level, invitation.invited_by]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await recordAudit({
+      actorId: req.user.id,
+      action: 'store_member.join',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: 200,
+      ipAddress: req.ip,
+      metadata: { storeId: invitation.store_id, level: invitation.level, invitationId: invitation.id }
+    });
+
+    res.json({
+      message: `You have joined ${invitation.store_name} as a ${invitation.level}`,
+      membership: {
+        storeId: invitation.store_id,
+        storeName: invitation.store_name,
+        level: invitation.level
+      }
+    });
+  } catch (error) {
+    console.error('Accept store invitation error:', error);
+    res.status(500).json({ message: 'Server error accepting invitation' });
+  }
+});
+
+// @route   DELETE /api/stores/:id/members/invitations/:invitationId
+// @desc    Revoke a pending staff invitation
+// @access  Private (Admin or Store Owner)
+router.delete('/invitations/:invitationId', authenticateToken, checkStoreAccess('stores.manage_staff'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE store_member_invitations SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND store_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING id`,
+      [parseInt(req.params.invitationId) || 0, req.store.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Pending invitation not found' });
+    }
+
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    console.error('Revoke store invitation error:', error);
+    res.status(500).json({ message: 'Server error revoking invitation' });
+  }
+});
+
+// @route   PUT /api/stores/:id/members/:userId
+// @desc    Change a staff member's level
+// @access  Private (Admin or Store Owner)
+router.put('/:userId', authenticateToken, checkStoreAccess('stores.manage_staff'), validateStoreMemberUpdate, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId) || 0;
+    const { level } = req.body;
+
+    const result = await pool.query(
+      `UPDATE store_members SET level = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE store_id = $1 AND user_id = $2
+       RETURNING user_id as id, level, updated_at`,
+      [req.store.id, userId, level]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Store member not found' });
+    }
+
+    await recordAudit({
+      actorId: req.user.id,
+      subjectId: userId,
+      action: 'store_member.update',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: 200,
+      ipAddress: req.ip,
+      metadata: { storeId: req.store.id, level }
+    });
+
+    res.json({
+      message: 'Store member updated successfully',
+      member: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update store member error:', error);
+    res.status(500).json({ message: 'Server error updating store member' });
+  }
+});
+
+// @route   DELETE /api/stores/:id/members/:userId
+// @desc    Remove someone from a store's staff
+// @access  Private (Admin or Store Owner)
+router.delete('/:userId', authenticateToken, checkStoreAccess('stores.manage_staff'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId) || 0;
+
+    const result = await pool.query(
+      'DELETE FROM store_members WHERE store_id = $1 AND user_id = $2 RETURNING level',
+      [req.store.id, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Store member not found' });
+    }
+
+    await recordAudit({
+      actorId: req.user.id,
+      subjectId: userId,
+      action: 'store_member.remove',
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: 200,
+      ipAddress: req.ip,
+      metadata: { storeId: req.store.id, level: result.rows[0].level }
+    });
+
+    res.json({ message: 'Store member removed successfully' });
+  } catch (error) {
+    console.error('Remove store member error:', error);
+    res.status(500).json({ message: 'Server error removing store member' });
+  }
+});
+
+module.exports = router;
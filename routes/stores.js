@@ -2,14 +2,46 @@ const express = require('express');
 const { pool } = require('../config/database');
 const { 
   authenticateToken, 
-  requireAdmin, 
-  requireStoreOwner,
-  requireAdminOrNormalUser,
-  checkStoreOwnership 
+  requirePermission,
+  requireScope,
+  checkStoreAccess
 } = require('../middleware/auth');
+const { hasPermission, roleHasPermission } = require('../utils/permissions');
+const {
+  buildTaxonomyFilters,
+  getStoreFacets,
+  withStoreTaxonomy,
+  findMissingCategories,
+  setStoreTaxonomy,
+  parseProximity,
+  buildProximityFilter,
+  resolveStoreLocation
+} = require('../utils/stores');
+const { brandExists } = require('../utils/brands');
+const { normalizeSearchQuery, buildStoreSearch } = require('../utils/search');
+const {
+  parseOpenFilter,
+  buildOpenFilter,
+  getStoreHours,
+  setWeeklyHours,
+  setHoursException
+} = require('../utils/opening-hours');
+const { getStoreMedia } = require('../utils/media');
+const { getMemberLevel, ownedOrStaffedStores } = require('../utils/store-members');
+const { SOFT_DELETE_RETENTION_DAYS, softDeleteStore } = require('../utils/soft-delete');
+const {
+  getStoreSnapshot,
+  recordChanges,
+  getHistory,
+  getStoreValuesBefore
+} = require('../utils/change-history');
 const { 
   validateStoreCreation, 
-  validateStoreUpdate 
+  validateStoreUpdate,
+  validateStoreHours,
+  validateHoursException,
+  validateHoursExceptionDate,
+  validateRatingResponse
 } = require('../middleware/validation');
 
 const router = express.Router();
@@ -17,50 +49,109 @@ const router = express.Router();
 // @route   GET /api/stores
 // @desc    Get all stores
 // @access  Private
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requireScope('stores:read'), requirePermission('stores.read'), async (req, res) => {
   try {
     const { 
       page = 1, 
       limit = 10, 
-      sortBy = 'name', 
-      sortOrder = 'asc',
+      sortOrder = '',
       search = '',
-      searchBy = 'name'
+      searchBy = 'name',
+      minRating = '',
+      maxRating = '',
+      category = '',
+      tag = '',
+      brandId = ''
     } = req.query;
 
+    // Optional "near me" search: lat, lng and radiusKm
+    const proximity = parseProximity(req.query);
+    if (proximity && proximity.error) {
+      return res.status(400).json({ message: proximity.error });
+    }
+
+    // Optional opening hours filter: openNow=true or openAt=<ISO timestamp>
+    const openFilter = parseOpenFilter(req.query);
+    if (openFilter && openFilter.error) {
+      return res.status(400).json({ message: openFilter.error });
+    }
+
+    // Ranked search across name, categories, tags and address
+    const q = normalizeSearchQuery(req.query.q);
+
+    // Location searches sort nearest first and text searches best match
+    // first, unless asked otherwise
+    const sortBy = req.query.sortBy || (proximity ? 'distance' : q ? 'relevance' : 'name');
+
     const offset = (page - 1) * limit;
     const validSortFields = ['name', 'email', 'address', 'average_rating', 'total_ratings', 'created_at'];
     const validSortOrders = ['asc', 'desc'];
     const validSearchFields = ['name', 'address'];
 
+    if (proximity) {
+      validSortFields.push('distance');
+    }
+
+    if (q) {
+      validSortFields.push('relevance');
+    }
+
     // Validate parameters
     const sortField = validSortFields.includes(sortBy) ? sortBy : 'name';
-    const order = validSortOrders.includes(sortOrder.toLowerCase()) ? sortOrder.toUpperCase() : 'ASC';
+    const order = validSortOrders.includes(sortOrder.toLowerCase())
+      ? sortOrder.toUpperCase()
+      : sortField === 'relevance' ? 'DESC' : 'ASC';
     const searchField = validSearchFields.includes(searchBy) ? searchBy : 'name';
+    const includeUserRating = hasPermission(req.user, 'ratings.submit');
+    const ownStoresOnly = hasPermission(req.user, 'stores.own') && !hasPermission(req.user, 'stores.manage_all');
 
-    // Build query based on user role
+    const queryParams = includeUserRating ? [req.user.id] : [];
+    const proximityFilter = proximity ? buildProximityFilter(proximity, queryParams) : null;
+    const textSearch = q ? buildStoreSearch(q, queryParams) : null;
+
+    // Build query based on user permissions
     let query = `
-      SELECT s.id, s.name, s.email, s.address, s.average_rating, s.total_ratings, s.created_at,
-             u.name as owner_name
+      SELECT s.id, s.name, s.email, s.address, s.latitude, s.longitude, s.timezone,
+             store_is_open(s.id, CURRENT_TIMESTAMP) as is_open_now,
+             s.average_rating, s.total_ratings, s.created_at,
+             u.name as owner_name, s.brand_id, b.name as brand_name
     `;
     
-    // Add user's rating if normal user
-    if (req.user.role === 'NORMAL_USER') {
+    // Add user's rating if they can rate stores
+    if (includeUserRating) {
       query += `, r.rating as user_rating`;
     }
+
+    // Add distance in kilometres for location searches
+    if (proximityFilter) {
+      query += `, ROUND(${proximityFilter.distance}::numeric, 2) as distance_km`;
+    }
+
+    // Add relevance and highlighted snippets for text searches
+    if (textSearch) {
+      query += `, ${textSearch.rank} as relevance, ${textSearch.snippets.join(', ')}`;
+    }
     
     query += `
       FROM stores s
       LEFT JOIN users u ON s.owner_id = u.id
+      LEFT JOIN brands b ON s.brand_id = b.id
     `;
     
-    if (req.user.role === 'NORMAL_USER') {
-      query += ` LEFT JOIN ratings r ON s.id = r.store_id AND r.user_id = $1`;
+    if (includeUserRating) {
+      query += ` LEFT JOIN ratings r ON s.id = r.store_id AND r.user_id = $1 AND r.deleted_at IS NULL`;
     }
     
-    query += ` WHERE 1=1`;
+    query += ` WHERE s.deleted_at IS NULL`;
+
+    if (proximityFilter) {
+      query += proximityFilter.sql;
+    }
+
+    if (textSearch) {
+      query += textSearch.condition;
+    }
     
-    const queryParams = req.user.role === 'NORMAL_USER' ? [req.user.id] : [];
     let paramCount = queryParams.length;
 
     // Add search filter
@@ -70,15 +161,48 @@ router.get('/', authenticateToken, async (req, res) => {
       queryParams.push(`%${search}%`);
     }
 
-    // Filter by owner for store owners
-    if (req.user.role === 'STORE_OWNER') {
+    // Add rating filters
+    if (minRating) {
+      paramCount++;
+      query += ` AND s.average_rating >= $${paramCount}`;
+      queryParams.push(parseFloat(minRating));
+    }
+
+    if (maxRating) {
+      paramCount++;
+      query += ` AND s.average_rating <= $${paramCount}`;
+      queryParams.push(parseFloat(maxRating));
+    }
+
+    // Store owners see the stores they own or are staff of
+    if (ownStoresOnly) {
       paramCount++;
-      query += ` AND s.owner_id = $${paramCount}`;
+      query += ` AND ${ownedOrStaffedStores(`$${paramCount}`)}`;
       queryParams.push(req.user.id);
     }
 
+    // Filter by brand
+    if (brandId) {
+      paramCount++;
+      query += ` AND s.brand_id = $${paramCount}`;
+      queryParams.push(parseInt(brandId) || 0);
+    }
+
+    // Add category and tag filters
+    query += buildTaxonomyFilters({ category, tag }, queryParams);
+
+    // Add opening hours filter
+    if (openFilter) {
+      query += buildOpenFilter(openFilter, queryParams);
+    }
+    paramCount = queryParams.length;
+
     // Add sorting
-    query += ` ORDER BY s.${sortField} ${order}`;
+    if (sortField === 'distance' || sortField === 'relevance') {
+      query += ` ORDER BY ${sortField === 'distance' ? 'distance_km' : 'relevance'} ${order}, s.name ASC`;
+    } else {
+      query += ` ORDER BY s.${sortField} ${order}`;
+    }
 
     // Add pagination
     paramCount++;
@@ -92,28 +216,67 @@ router.get('/', authenticateToken, async (req, res) => {
     const result = await pool.query(query, queryParams);
 
     // Get total count
-    let countQuery = 'SELECT COUNT(*) FROM stores s WHERE 1=1';
+    let countFilters = '';
     const countParams = [];
-    let countParamCount = 0;
+
+    if (proximity) {
+      countFilters += buildProximityFilter(proximity, countParams).sql;
+    }
+
+    if (q) {
+      countFilters += buildStoreSearch(q, countParams).condition;
+    }
+
+    let countParamCount = countParams.length;
 
     if (search) {
       countParamCount++;
-      countQuery += ` AND LOWER(s.${searchField}) LIKE LOWER($${countParamCount})`;
+      countFilters += ` AND LOWER(s.${searchField}) LIKE LOWER($${countParamCount})`;
       countParams.push(`%${search}%`);
     }
 
-    if (req.user.role === 'STORE_OWNER') {
+    if (minRating) {
       countParamCount++;
-      countQuery += ` AND s.owner_id = $${countParamCount}`;
+      countFilters += ` AND s.average_rating >= $${countParamCount}`;
+      countParams.push(parseFloat(minRating));
+    }
+
+    if (maxRating) {
+      countParamCount++;
+      countFilters += ` AND s.average_rating <= $${countParamCount}`;
+      countParams.push(parseFloat(maxRating));
+    }
+
+    if (ownStoresOnly) {
+      countParamCount++;
+      countFilters += ` AND ${ownedOrStaffedStores(`$${countParamCount}`)}`;
       countParams.push(req.user.id);
     }
 
-    const countResult = await pool.query(countQuery, countParams);
+    if (brandId) {
+      countParamCount++;
+      countFilters += ` AND s.brand_id = $${countParamCount}`;
+      countParams.push(parseInt(brandId) || 0);
+    }
+
+    countFilters += buildTaxonomyFilters({ category, tag }, countParams);
+
+    if (openFilter) {
+      countFilters += buildOpenFilter(openFilter, countParams);
+    }
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM stores s WHERE s.deleted_at IS NULL${countFilters}`, countParams);
     const totalStores = parseInt(countResult.rows[0].count);
     const totalPages = Math.ceil(totalStores / limit);
 
+    // Facet counts cover every matching store, not just this page
+    const facets = await getStoreFacets(`SELECT s.id FROM stores s WHERE s.deleted_at IS NULL${countFilters}`, countParams);
+
     res.json({
-      stores: result.rows,
+      stores: await withStoreTaxonomy(result.rows),
+      facets,
+      location: proximity,
+      openAt: openFilter ? openFilter.at || new Date().toISOString() : null,
       pagination: {
         currentPage: parseInt(page),
         totalPages,
@@ -128,36 +291,224 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/stores/mine
+// @desc    Get the stores owned by the current user with per-store stats
+// @access  Private (Store Owner)
+router.get('/mine', authenticateToken, requireScope('stores:read'), requirePermission('stores.own'), async (req, res) => {
+  try {
+    const { sortBy = 'name', sortOrder = 'asc' } = req.query;
+
+    const validSortFields = ['name', 'average_rating', 'total_ratings', 'recent_ratings', 'created_at'];
+    const validSortOrders = ['asc', 'desc'];
+
+    const sortField = validSortFields.includes(sortBy) ? sortBy : 'name';
+    const order = validSortOrders.includes(sortOrder.toLowerCase()) ? sortOrder.toUpperCase() : 'ASC';
+
+    const result = await pool.query(`
+      SELECT s.id, s.name, s.email, s.address, s.latitude, s.longitude,
+             s.average_rating, s.total_ratings, s.created_at,
+             COALESCE(stats.recent_ratings, 0) as recent_ratings,
+             stats.last_rated_at,
+             json_build_object(
+               '1', COALESCE(stats.one_star, 0),
+               '2', COALESCE(stats.two_star, 0),
+               '3', COALESCE(stats.three_star, 0),
+               '4', COALESCE(stats.four_star, 0),
+               '5', COALESCE(stats.five_star, 0)
+             ) as rating_distribution
+      FROM stores s
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*) FILTER (WHERE r.created_at >= CURRENT_TIMESTAMP - INTERVAL '30 days') as recent_ratings,
+               MAX(r.created_at) as last_rated_at,
+               COUNT(*) FILTER (WHERE r.rating = 1) as one_star,
+               COUNT(*) FILTER (WHERE r.rating = 2) as two_star,
+               COUNT(*) FILTER (WHERE r.rating = 3) as three_star,
+               COUNT(*) FILTER (WHERE r.rating = 4) as four_star,
+               COUNT(*) FILTER (WHERE r.rating = 5) as five_star
+        FROM ratings r
+        WHERE r.store_id = s.id AND r.deleted_at IS NULL
+      ) stats ON TRUE
+      WHERE s.owner_id = $1 AND s.deleted_at IS NULL
+      ORDER BY ${sortField === 'recent_ratings' ? 'recent_ratings' : 's.' + sortField} ${order}, s.id ASC
+    `, [req.user.id]);
+
+    const stores = result.rows.map(store => ({
+      ...store,
+      recent_ratings: parseInt(store.recent_ratings)
+    }));
+
+    // Overall average is weighted by each store's number of ratings
+    const totalRatings = stores.reduce((sum, store) => sum + store.total_ratings, 0);
+    const weightedSum = stores.reduce(
+      (sum, store) => sum + parseFloat(store.average_rating) * store.total_ratings,
+      0
+    );
+
+    res.json({
+      stores,
+      summary: {
+        totalStores: stores.length,
+        totalRatings,
+        averageRating: totalRatings > 0 ? Math.round((weightedSum / totalRatings) * 10) / 10 : 0,
+        recentRatings: stores.reduce((sum, store) => sum + store.recent_ratings, 0)
+      }
+    });
+  } catch (error) {
+    console.error('Get my stores error:', error);
+    res.status(500).json({ message: 'Server error fetching stores' });
+  }
+});
+
+// The owner's first store, for clients built before owners could hold several
+const getPrimaryOwnedStoreId = async (ownerId) => {
+  const result = await pool.query(
+    'SELECT id FROM stores WHERE owner_id = $1 AND deleted_at IS NULL ORDER BY created_at ASC, id ASC LIMIT 1',
+    [ownerId]
+  );
+  return result.rows.length > 0 ? result.rows[0].id : null;
+};
+
+// @route   GET /api/stores/my-store
+// @desc    Get the store owner's first store (deprecated, use /mine)
+// @access  Private (Store Owner)
+router.get('/my-store', authenticateToken, requireScope('stores:read'), requirePermission('stores.own'), async (req, res) => {
+  try {
+    const storeId = await getPrimaryOwnedStoreId(req.user.id);
+
+    if (!storeId) {
+      return res.status(404).json({ message: 'No store found for this owner' });
+    }
+
+    const result = await pool.query(
+      `SELECT s.id, s.name, s.email, s.address, s.average_rating, s.total_ratings, s.created_at
+       FROM stores s
+       WHERE s.id = $1`,
+      [storeId]
+    );
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Get my store error:', error);
+    res.status(500).json({ message: 'Server error fetching store' });
+  }
+});
+
+// @route   GET /api/stores/my-store/ratings
+// @desc    Get ratings for the store owner's first store (deprecated, use /:id/ratings)
+// @access  Private (Store Owner)
+router.get('/my-store/ratings', authenticateToken, requireScope('ratings:read'), requirePermission('stores.own'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, sort_by = 'created_at', sort_order = 'desc' } = req.query;
+
+    const storeId = await getPrimaryOwnedStoreId(req.user.id);
+
+    if (!storeId) {
+      return res.status(404).json({ message: 'No store found for this owner' });
+    }
+
+    const offset = (page - 1) * limit;
+    const validSortFields = ['rating', 'created_at', 'user_name', 'user_email'];
+    const validSortOrders = ['asc', 'desc'];
+
+    const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
+    const order = validSortOrders.includes(sort_order.toLowerCase()) ? sort_order.toUpperCase() : 'DESC';
+
+    const query = `
+      SELECT r.id, r.rating, r.created_at, r.updated_at,
+             r.response, r.responded_at,
+             u.name as user_name, u.email as user_email
+      FROM ratings r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.store_id = $1 AND r.deleted_at IS NULL
+      ORDER BY ${sortField === 'user_name' || sortField === 'user_email' ? 'u.' + sortField.replace('user_', '') : 'r.' + sortField} ${order}
+      LIMIT $2 OFFSET $3
+    `;
+
+    const result = await pool.query(query, [storeId, limit, offset]);
+
+    // Get total count
+    const countResult = await pool.query(
+      'SELECT COUNT(*) as total FROM ratings WHERE store_id = $1 AND deleted_at IS NULL',
+      [storeId]
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      ratings: result.rows,
+      total,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get my store ratings error:', error);
+    res.status(500).json({ message: 'Server error fetching store ratings' });
+  }
+});
+
+// @route   GET /api/stores/memberships
+// @desc    Get the stores the current user is staff of, with their level at each
+// @access  Private
+router.get('/memberships', authenticateToken, requireScope('stores:read'), requirePermission('stores.read'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT s.id, s.name, s.email, s.address, s.average_rating, s.total_ratings,
+              m.level, m.created_at as joined_at, o.name as owner_name
+       FROM store_members m
+       JOIN stores s ON s.id = m.store_id
+       LEFT JOIN users o ON o.id = s.owner_id
+       WHERE m.user_id = $1 AND s.deleted_at IS NULL
+       ORDER BY s.name ASC`,
+      [req.user.id]
+    );
+
+    res.json({ stores: result.rows });
+  } catch (error) {
+    console.error('Get store memberships error:', error);
+    res.status(500).json({ message: 'Server error fetching store memberships' });
+  }
+});
+
 // @route   GET /api/stores/:id
 // @desc    Get store by ID
 // @access  Private
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requireScope('stores:read'), requirePermission('stores.read'), async (req, res) => {
   try {
     const storeId = req.params.id;
     
     let query = `
-      SELECT s.id, s.name, s.email, s.address, s.average_rating, s.total_ratings, s.created_at,
-             u.name as owner_name, u.id as owner_id
+      SELECT s.id, s.name, s.email, s.address, s.latitude, s.longitude, s.timezone,
+             store_is_open(s.id, CURRENT_TIMESTAMP) as is_open_now,
+             s.average_rating, s.total_ratings, s.created_at,
+             u.name as owner_name, u.id as owner_id, s.brand_id, b.name as brand_name
     `;
     
     const queryParams = [storeId];
+    const includeUserRating = hasPermission(req.user, 'ratings.submit');
     
-    // Add user's rating if normal user
-    if (req.user.role === 'NORMAL_USER') {
+    // Add user's rating if they can rate stores
+    if (includeUserRating) {
       query += `, r.rating as user_rating`;
     }
     
     query += `
       FROM stores s
       LEFT JOIN users u ON s.owner_id = u.id
+      LEFT JOIN brands b ON s.brand_id = b.id
     `;
     
-    if (req.user.role === 'NORMAL_USER') {
-      query += ` LEFT JOIN ratings r ON s.id = r.store_id AND r.user_id = $2`;
+    if (includeUserRating) {
+      query += ` LEFT JOIN ratings r ON s.id = r.store_id AND r.user_id = $2 AND r.deleted_at IS NULL`;
       queryParams.push(req.user.id);
     }
     
-    query += ` WHERE s.id = $1`;
+    query += ` WHERE s.id = $1 AND s.deleted_at IS NULL`;
 
     const result = await pool.query(query, queryParams);
 
@@ -165,12 +516,21 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Store not found' });
     }
 
-    // Check if store owner is accessing their own store
-    if (req.user.role === 'STORE_OWNER' && result.rows[0].owner_id !== req.user.id) {
+    // Store owners only see stores they own or are staff of
+    const ownStoresOnly = hasPermission(req.user, 'stores.own') && !hasPermission(req.user, 'stores.manage_all');
+    if (ownStoresOnly && result.rows[0].owner_id !== req.user.id && !await getMemberLevel(result.rows[0].id, req.user.id)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    res.json({ store: result.rows[0] });
+    const [store] = await withStoreTaxonomy(result.rows);
+
+    res.json({
+      store: {
+        ...store,
+        hours: await getStoreHours(store.id),
+        media: await getStoreMedia(store.id)
+      }
+    });
   } catch (error) {
     console.error('Get store error:', error);
     res.status(500).json({ message: 'Server error fetching store' });
@@ -180,9 +540,14 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // @route   POST /api/stores
 // @desc    Create new store (Admin only)
 // @access  Private (Admin)
-router.post('/', authenticateToken, requireAdmin, validateStoreCreation, async (req, res) => {
+router.post('/', authenticateToken, requireScope('stores:write'), requirePermission('stores.create'), validateStoreCreation, async (req, res) => {
   try {
-    const { name, email, address, ownerId } = req.body;
+    const { name, email, address, ownerId, brandId, categoryIds, tags, latitude, longitude, timezone } = req.body;
+
+    // Only brand administrators decide which brand a store belongs to
+    if (brandId && !hasPermission(req.user, 'brands.manage')) {
+      return res.status(403).json({ message: 'Access denied. Insufficient permissions to set a store\'s brand.' });
+    }
 
     // Check if store email already exists
     const existingStore = await pool.query(
@@ -197,7 +562,7 @@ router.post('/', authenticateToken, requireAdmin, validateStoreCreation, async (
     // If ownerId provided, verify the user exists and is a store owner
     if (ownerId) {
       const ownerCheck = await pool.query(
-        'SELECT id, role FROM users WHERE id = $1',
+        'SELECT id, role FROM users WHERE id = $1 AND deleted_at IS NULL',
         [ownerId]
       );
 
@@ -205,30 +570,57 @@ router.post('/', authenticateToken, requireAdmin, validateStoreCreation, async (
         return res.status(400).json({ message: 'Owner not found' });
       }
 
-      if (ownerCheck.rows[0].role !== 'STORE_OWNER') {
+      if (!(await roleHasPermission(ownerCheck.rows[0].role, 'stores.own'))) {
         return res.status(400).json({ message: 'User must be a store owner' });
       }
+    }
 
-      // Check if owner already has a store
-      const existingOwnerStore = await pool.query(
-        'SELECT id FROM stores WHERE owner_id = $1',
-        [ownerId]
-      );
+    if (brandId && !(await brandExists(brandId))) {
+      return res.status(400).json({ message: 'Brand not found' });
+    }
 
-      if (existingOwnerStore.rows.length > 0) {
-        return res.status(400).json({ message: 'Store owner already has a store' });
+    if (categoryIds && categoryIds.length > 0) {
+      const missing = await findMissingCategories(categoryIds);
+      if (missing.length > 0) {
+        return res.status(400).json({ message: `Category not found: ${missing.join(', ')}` });
       }
     }
 
-    // Create store
-    const result = await pool.query(
-      `INSERT INTO stores (name, email, address, owner_id) 
-       VALUES ($1, $2, $3, $4) 
-       RETURNING id, name, email, address, owner_id, average_rating, total_ratings, created_at`,
-      [name, email, address, ownerId || null]
-    );
+    const location = await resolveStoreLocation({ latitude, longitude, address });
+
+    // Create store with its categories and tags in one transaction
+    const client = await pool.connect();
+    let result;
+
+    try {
+      await client.query('BEGIN');
+      result = await client.query(
+        `INSERT INTO stores (name, email, address, owner_id, latitude, longitude, location_source, timezone, brand_id) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
+         RETURNING id, name, email, address, owner_id, latitude, longitude, location_source, timezone, brand_id,
+                   average_rating, total_ratings, created_at`,
+        [
+          name,
+          email,
+          address,
+          ownerId || null,
+          location ? location.latitude : null,
+          location ? location.longitude : null,
+          location ? location.source : null,
+          timezone || 'UTC',
+          brandId || null
+        ]
+      );
+      await setStoreTaxonomy(client, result.rows[0].id, { categoryIds, tags });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
-    const store = result.rows[0];
+    const [store] = await withStoreTaxonomy(result.rows);
 
     res.status(201).json({
       message: 'Store created successfully',
@@ -242,27 +634,16 @@ router.post('/', authenticateToken, requireAdmin, validateStoreCreation, async (
 
 // @route   PUT /api/stores/:id
 // @desc    Update store
-// @access  Private (Admin or Store Owner)
-router.put('/:id', authenticateToken, validateStoreUpdate, async (req, res) => {
+// @access  Private (Admin, Store Owner or editor staff)
+router.put('/:id', authenticateToken, requireScope('stores:write'), checkStoreAccess('stores.update'), validateStoreUpdate, async (req, res) => {
   try {
     const storeId = req.params.id;
-    const { name, email, address } = req.body;
+    const { name, email, address, brandId, categoryIds, tags, latitude, longitude, timezone } = req.body;
+    const store = req.store;
 
-    // Check if store exists
-    const storeCheck = await pool.query(
-      'SELECT id, owner_id FROM stores WHERE id = $1',
-      [storeId]
-    );
-    
-    if (storeCheck.rows.length === 0) {
-      return res.status(404).json({ message: 'Store not found' });
-    }
-
-    const store = storeCheck.rows[0];
-
-    // Check permissions
-    if (req.user.role === 'STORE_OWNER' && store.owner_id !== req.user.id) {
-      return res.status(403).json({ message: 'Access denied' });
+    // Only brand administrators decide which brand a store belongs to
+    if (brandId !== undefined && !hasPermission(req.user, 'brands.manage')) {
+      return res.status(403).json({ message: 'Access denied. Insufficient permissions to change a store\'s brand.' });
     }
 
     // Check if email is already taken by another store
@@ -297,10 +678,49 @@ router.put('/:id', authenticateToken, validateStoreUpdate, async (req, res) => {
       values.push(address);
     }
 
-    if (updates.length === 0) {
+    // Explicit coordinates, or a geocoded point for a new address
+    const currentLocation = await pool.query('SELECT address, location_source FROM stores WHERE id = $1', [store.id]);
+    const location = await resolveStoreLocation({ latitude, longitude, address }, currentLocation.rows[0]);
+    if (location !== undefined) {
+      paramCount++;
+      updates.push(`latitude = $${paramCount}`);
+      values.push(location.latitude);
+      paramCount++;
+      updates.push(`longitude = $${paramCount}`);
+      values.push(location.longitude);
+      paramCount++;
+      updates.push(`location_source = $${paramCount}`);
+      values.push(location.source);
+    }
+
+    if (timezone) {
+      paramCount++;
+      updates.push(`timezone = $${paramCount}`);
+      values.push(timezone);
+    }
+
+    // brandId: null removes the store from its brand
+    if (brandId !== undefined) {
+      if (brandId && !(await brandExists(brandId))) {
+        return res.status(400).json({ message: 'Brand not found' });
+      }
+
+      paramCount++;
+      updates.push(`brand_id = $${paramCount}`);
+      values.push(brandId || null);
+    }
+
+    if (updates.length === 0 && categoryIds === undefined && tags === undefined) {
       return res.status(400).json({ message: 'No valid fields to update' });
     }
 
+    if (categoryIds && categoryIds.length > 0) {
+      const missing = await findMissingCategories(categoryIds);
+      if (missing.length > 0) {
+        return res.status(400).json({ message: `Category not found: ${missing.join(', ')}` });
+      }
+    }
+
     paramCount++;
     updates.push(`updated_at = CURRENT_TIMESTAMP`);
     values.push(storeId);
@@ -309,14 +729,40 @@ router.put('/:id', authenticateToken, validateStoreUpdate, async (req, res) => {
       UPDATE stores 
       SET ${updates.join(', ')} 
       WHERE id = $${paramCount}
-      RETURNING id, name, email, address, owner_id, average_rating, total_ratings, updated_at
+      RETURNING id, name, email, address, owner_id, latitude, longitude, location_source, timezone, brand_id,
+                average_rating, total_ratings, updated_at
     `;
 
-    const result = await pool.query(query, values);
+    // Update the store and its categories and tags together, recording
+    // what changed
+    const client = await pool.connect();
+    let result;
+
+    try {
+      await client.query('BEGIN');
+      const before = await getStoreSnapshot(client, storeId);
+      result = await client.query(query, values);
+      await setStoreTaxonomy(client, storeId, { categoryIds, tags });
+      await recordChanges(client, {
+        entityType: 'store',
+        entityId: store.id,
+        actorId: req.user.id,
+        before,
+        after: await getStoreSnapshot(client, storeId)
+      });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const [updatedStore] = await withStoreTaxonomy(result.rows);
     
     res.json({
       message: 'Store updated successfully',
-      store: result.rows[0]
+      store: updatedStore
     });
   } catch (error) {
     console.error('Update store error:', error);
@@ -325,38 +771,136 @@ router.put('/:id', authenticateToken, validateStoreUpdate, async (req, res) => {
 });
 
 // @route   DELETE /api/stores/:id
-// @desc    Delete store (Admin only)
+// @desc    Soft delete a store and its ratings (Admin only)
 // @access  Private (Admin)
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requireScope('stores:write'), requirePermission('stores.delete'), async (req, res) => {
   try {
     const storeId = req.params.id;
 
     // Check if store exists
-    const storeCheck = await pool.query('SELECT id FROM stores WHERE id = $1', [storeId]);
+    const storeCheck = await pool.query('SELECT id FROM stores WHERE id = $1 AND deleted_at IS NULL', [storeId]);
     if (storeCheck.rows.length === 0) {
       return res.status(404).json({ message: 'Store not found' });
     }
 
-    // Delete store (cascade will handle ratings)
-    await pool.query('DELETE FROM stores WHERE id = $1', [storeId]);
+    // Media and claims are kept so the store can be restored; the purge job
+    // removes them after the retention window
+    if (!await softDeleteStore(storeCheck.rows[0].id, req.user.id)) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
 
-    res.json({ message: 'Store deleted successfully' });
+    res.json({
+      message: 'Store deleted successfully',
+      restorableForDays: SOFT_DELETE_RETENTION_DAYS
+    });
   } catch (error) {
     console.error('Delete store error:', error);
     res.status(500).json({ message: 'Server error deleting store' });
   }
 });
 
+// @route   GET /api/stores/:id/hours
+// @desc    Get a store's weekly hours, upcoming exceptions and open state
+// @access  Private
+router.get('/:id/hours', authenticateToken, requireScope('stores:read'), requirePermission('stores.read'), async (req, res) => {
+  try {
+    const storeId = parseInt(req.params.id) || 0;
+
+    const storeCheck = await pool.query('SELECT id, owner_id FROM stores WHERE id = $1 AND deleted_at IS NULL', [storeId]);
+    if (storeCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    // Store owners only see stores they own or are staff of
+    const ownStoresOnly = hasPermission(req.user, 'stores.own') && !hasPermission(req.user, 'stores.manage_all');
+    if (ownStoresOnly && storeCheck.rows[0].owner_id !== req.user.id && !await getMemberLevel(storeId, req.user.id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({ hours: await getStoreHours(storeId) });
+  } catch (error) {
+    console.error('Get store hours error:', error);
+    res.status(500).json({ message: 'Server error fetching store hours' });
+  }
+});
+
+// @route   PUT /api/stores/:id/hours
+// @desc    Replace a store's weekly hours and optionally its time zone
+// @access  Private (Admin, Store Owner or editor staff)
+router.put('/:id/hours', authenticateToken, requireScope('stores:write'), checkStoreAccess('stores.update'), validateStoreHours, async (req, res) => {
+  try {
+    const { weekly, timezone } = req.body;
+
+    await setWeeklyHours(req.store.id, weekly, timezone, req.user.id);
+
+    res.json({
+      message: 'Opening hours updated successfully',
+      hours: await getStoreHours(req.store.id)
+    });
+  } catch (error) {
+    console.error('Update store hours error:', error);
+    res.status(500).json({ message: 'Server error updating store hours' });
+  }
+});
+
+// @route   PUT /api/stores/:id/hours/exceptions/:date
+// @desc    Close a store for a date or set special hours (date in store's time zone)
+// @access  Private (Admin, Store Owner or editor staff)
+router.put('/:id/hours/exceptions/:date', authenticateToken, requireScope('stores:write'), checkStoreAccess('stores.update'), validateHoursException, async (req, res) => {
+  try {
+    const { closed, intervals, note } = req.body;
+
+    await setHoursException(req.store.id, {
+      date: req.params.date,
+      closed,
+      intervals,
+      note: note || null
+    });
+
+    res.json({
+      message: closed ? 'Closure saved successfully' : 'Special hours saved successfully',
+      hours: await getStoreHours(req.store.id)
+    });
+  } catch (error) {
+    console.error('Update store hours exception error:', error);
+    res.status(500).json({ message: 'Server error updating store hours' });
+  }
+});
+
+// @route   DELETE /api/stores/:id/hours/exceptions/:date
+// @desc    Remove a date's exception so the weekly hours apply again
+// @access  Private (Admin, Store Owner or editor staff)
+router.delete('/:id/hours/exceptions/:date', authenticateToken, requireScope('stores:write'), checkStoreAccess('stores.update'), validateHoursExceptionDate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM store_hour_exceptions WHERE store_id = $1 AND date = $2 RETURNING id',
+      [req.store.id, req.params.date]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'No exception found for this date' });
+    }
+
+    res.json({
+      message: 'Exception removed successfully',
+      hours: await getStoreHours(req.store.id)
+    });
+  } catch (error) {
+    console.error('Delete store hours exception error:', error);
+    res.status(500).json({ message: 'Server error updating store hours' });
+  }
+});
+
 // @route   GET /api/stores/:id/ratings
-// @desc    Get ratings for a store (Store Owner or Admin)
-// @access  Private (Store Owner or Admin)
-router.get('/:id/ratings', authenticateToken, checkStoreOwnership, async (req, res) => {
+// @desc    Get ratings for a store (Store Owner, store staff or Admin)
+// @access  Private (Store Owner, store staff or Admin)
+router.get('/:id/ratings', authenticateToken, requireScope('ratings:read'), checkStoreAccess('stores.view_ratings'), async (req, res) => {
   try {
     const storeId = req.params.id;
     const { page = 1, limit = 10, sortBy = 'created_at', sortOrder = 'desc' } = req.query;
 
     const offset = (page - 1) * limit;
-    const validSortFields = ['rating', 'created_at', 'user_name'];
+    const validSortFields = ['rating', 'created_at', 'user_name', 'user_email'];
     const validSortOrders = ['asc', 'desc'];
 
     const sortField = validSortFields.includes(sortBy) ? sortBy : 'created_at';
@@ -364,11 +908,12 @@ router.get('/:id/ratings', authenticateToken, checkStoreOwnership, async (req, r
 
     const query = `
       SELECT r.id, r.rating, r.created_at, r.updated_at,
+             r.response, r.responded_at,
              u.name as user_name, u.email as user_email
       FROM ratings r
       JOIN users u ON r.user_id = u.id
-      WHERE r.store_id = $1
-      ORDER BY ${sortField === 'user_name' ? 'u.name' : 'r.' + sortField} ${order}
+      WHERE r.store_id = $1 AND r.deleted_at IS NULL
+      ORDER BY ${sortField === 'user_name' || sortField === 'user_email' ? 'u.' + sortField.replace('user_', '') : 'r.' + sortField} ${order}
       LIMIT $2 OFFSET $3
     `;
 
@@ -376,7 +921,7 @@ router.get('/:id/ratings', authenticateToken, checkStoreOwnership, async (req, r
 
     // Get total count
     const countResult = await pool.query(
-      'SELECT COUNT(*) FROM ratings WHERE store_id = $1',
+      'SELECT COUNT(*) FROM ratings WHERE store_id = $1 AND deleted_at IS NULL',
       [storeId]
     );
     
@@ -399,90 +944,170 @@ router.get('/:id/ratings', authenticateToken, checkStoreOwnership, async (req, r
   }
 });
 
-// @route   GET /api/stores/my-store
-// @desc    Get store owner's store
-// @access  Private (Store Owner)
-router.get('/my-store', authenticateToken, requireStoreOwner, async (req, res) => {
+// @route   PUT /api/stores/:id/ratings/:ratingId/response
+// @desc    Publicly reply to a rating of the store, replacing any earlier reply
+// @access  Private (Admin, Store Owner or responder/editor staff)
+router.put('/:id/ratings/:ratingId/response', authenticateToken, requireScope('stores:write'), checkStoreAccess('ratings.respond'), validateRatingResponse, async (req, res) => {
   try {
-    const query = `
-      SELECT s.id, s.name, s.email, s.address, s.average_rating, s.total_ratings, s.created_at
-      FROM stores s
-      WHERE s.owner_id = $1
-    `;
-
-    const result = await pool.query(query, [req.user.id]);
+    const result = await pool.query(
+      `UPDATE ratings
+       SET response = $3, responded_at = CURRENT_TIMESTAMP, responded_by = $4
+       WHERE id = $1 AND store_id = $2 AND deleted_at IS NULL
+       RETURNING id, rating, response, responded_at`,
+      [parseInt(req.params.ratingId) || 0, req.store.id, req.body.response, req.user.id]
+    );
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ message: 'No store found for this owner' });
+      return res.status(404).json({ message: 'Rating not found' });
     }
 
-    res.json(result.rows[0]);
+    res.json({
+      message: 'Response saved successfully',
+      rating: result.rows[0]
+    });
   } catch (error) {
-    console.error('Get my store error:', error);
-    res.status(500).json({ message: 'Server error fetching store' });
+    console.error('Respond to rating error:', error);
+    res.status(500).json({ message: 'Server error saving response' });
   }
 });
 
-// @route   GET /api/stores/my-store/ratings
-// @desc    Get ratings for store owner's store
-// @access  Private (Store Owner)
-router.get('/my-store/ratings', authenticateToken, requireStoreOwner, async (req, res) => {
+// @route   DELETE /api/stores/:id/ratings/:ratingId/response
+// @desc    Remove the store's reply to a rating
+// @access  Private (Admin, Store Owner or responder/editor staff)
+router.delete('/:id/ratings/:ratingId/response', authenticateToken, requireScope('stores:write'), checkStoreAccess('ratings.respond'), async (req, res) => {
   try {
-    const { page = 1, limit = 10, sort_by = 'created_at', sort_order = 'desc' } = req.query;
-
-    // First get the store ID for this owner
-    const storeResult = await pool.query(
-      'SELECT id FROM stores WHERE owner_id = $1',
-      [req.user.id]
+    const result = await pool.query(
+      `UPDATE ratings
+       SET response = NULL, responded_at = NULL, responded_by = NULL
+       WHERE id = $1 AND store_id = $2 AND deleted_at IS NULL AND response IS NOT NULL
+       RETURNING id`,
+      [parseInt(req.params.ratingId) || 0, req.store.id]
     );
 
-    if (storeResult.rows.length === 0) {
-      return res.status(404).json({ message: 'No store found for this owner' });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Response not found' });
     }
 
-    const storeId = storeResult.rows[0].id;
-    const offset = (page - 1) * limit;
-    const validSortFields = ['rating', 'created_at', 'user_name', 'user_email'];
-    const validSortOrders = ['asc', 'desc'];
-
-    const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
-    const order = validSortOrders.includes(sort_order.toLowerCase()) ? sort_order.toUpperCase() : 'DESC';
-
-    const query = `
-      SELECT r.id, r.rating, r.created_at, r.updated_at,
-             u.name as user_name, u.email as user_email
-      FROM ratings r
-      JOIN users u ON r.user_id = u.id
-      WHERE r.store_id = $1
-      ORDER BY ${sortField === 'user_name' || sortField === 'user_email' ? 'u.' + sortField.replace('user_', '') : 'r.' + sortField} ${order}
-      LIMIT $2 OFFSET $3
-    `;
+    res.json({ message: 'Response removed successfully' });
+  } catch (error) {
+    console.error('Remove rating response error:', error);
+    res.status(500).json({ message: 'Server error removing response' });
+  }
+});
 
-    const result = await pool.query(query, [storeId, limit, offset]);
+// @route   GET /api/stores/:id/history
+// @desc    Get a store's change history: who changed which fields and when
+// @access  Private (Admin, Store Owner or store staff)
+router.get('/:id/history', authenticateToken, requireScope('stores:read'), checkStoreAccess('stores.read'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
 
-    // Get total count
-    const countResult = await pool.query(
-      'SELECT COUNT(*) as total FROM ratings WHERE store_id = $1',
-      [storeId]
-    );
-    
-    const total = parseInt(countResult.rows[0].total);
+    const { entries, total } = await getHistory('store', req.store.id, { page, limit });
     const totalPages = Math.ceil(total / limit);
 
     res.json({
-      ratings: result.rows,
-      total,
+      history: entries,
       pagination: {
-        currentPage: parseInt(page),
+        currentPage: page,
         totalPages,
-        total,
+        totalEntries: total,
         hasNext: page < totalPages,
         hasPrev: page > 1
       }
     });
   } catch (error) {
-    console.error('Get my store ratings error:', error);
-    res.status(500).json({ message: 'Server error fetching store ratings' });
+    console.error('Get store history error:', error);
+    res.status(500).json({ message: 'Server error fetching store history' });
+  }
+});
+
+// @route   POST /api/stores/:id/history/:historyId/revert
+// @desc    Put a store back the way it was before a change, undoing that change and every later one
+// @access  Private (Admin)
+router.post('/:id/history/:historyId/revert', authenticateToken, requireScope('stores:write'), requirePermission('stores.manage_all'), checkStoreAccess('stores.update'), async (req, res) => {
+  try {
+    const storeId = req.store.id;
+    const historyId = parseInt(req.params.historyId) || 0;
+
+    const values = await getStoreValuesBefore(storeId, historyId);
+    if (!values) {
+      return res.status(404).json({ message: 'History entry not found' });
+    }
+
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ message: 'Nothing to revert; only the store owner changed since then' });
+    }
+
+    if (values.email) {
+      const emailCheck = await pool.query(
+        'SELECT id FROM stores WHERE email = $1 AND id != $2',
+        [values.email, storeId]
+      );
+      if (emailCheck.rows.length > 0) {
+        return res.status(400).json({ message: `Cannot revert: ${values.email} is now used by another store` });
+      }
+    }
+
+    const params = [storeId];
+    const updates = ['name', 'email', 'address', 'latitude', 'longitude', 'location_source', 'timezone']
+      .filter((field) => field in values)
+      .map((field) => {
+        params.push(values[field]);
+        return `${field} = $${params.length}`;
+      });
+
+    // A brand that has since been deleted is left unset
+    if ('brand_id' in values) {
+      params.push(values.brand_id);
+      updates.push(`brand_id = (SELECT id FROM brands WHERE id = $${params.length})`);
+    }
+
+    // Categories that have since been deleted are skipped by setStoreTaxonomy
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const before = await getStoreSnapshot(client, storeId);
+
+      await client.query(
+        `UPDATE stores SET ${[...updates, 'updated_at = CURRENT_TIMESTAMP'].join(', ')} WHERE id = $1`,
+        params
+      );
+      await setStoreTaxonomy(client, storeId, { categoryIds: values.categories, tags: values.tags });
+
+      await recordChanges(client, {
+        entityType: 'store',
+        entityId: storeId,
+        actorId: req.user.id,
+        action: 'revert',
+        before,
+        after: await getStoreSnapshot(client, storeId),
+        revertedFrom: historyId
+      });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const result = await pool.query(
+      `SELECT id, name, email, address, owner_id, latitude, longitude, location_source, timezone, brand_id,
+              average_rating, total_ratings, updated_at
+       FROM stores WHERE id = $1`,
+      [storeId]
+    );
+    const [store] = await withStoreTaxonomy(result.rows);
+
+    res.json({
+      message: 'Store reverted successfully',
+      store
+    });
+  } catch (error) {
+    console.error('Revert store error:', error);
+    res.status(500).json({ message: 'Server error reverting store' });
   }
 });
 
@@ -0,0 +1,311 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { pool } = require('../config/database');
+const { authenticateToken, rejectImpersonation } = require('../middleware/auth');
+const {
+  validateTwoFactorCode,
+  validateTwoFactorSetup,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable
+} = require('../middleware/validation');
+const {
+  hashToken,
+  createSession,
+  verifyTwoFactorChallengeToken,
+  consumeTwoFactorChallenge
+} = require('../utils/tokens');
+const { getClientInfo } = require('../utils/device');
+const {
+  checkAttemptAllowed,
+  recordAttempt,
+  sendBlockedResponse
+} = require('../utils/lockout');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../utils/totp');
+
+const router = express.Router();
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Store Rating App';
+
+// Replace a user's recovery codes and return the new plaintext codes
+const replaceRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes();
+
+  await pool.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+
+  for (const code of codes) {
+    await pool.query(
+      'INSERT INTO recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+};
+
+// Check a TOTP code or consume a recovery code for a user with 2FA enabled
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  if (code) {
+    const result = await pool.query(
+      'SELECT totp_secret, totp_last_used_step FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    const { totp_secret, totp_last_used_step } = result.rows[0];
+    const step = verifyTotp(totp_secret, code, {
+      lastUsedStep: totp_last_used_step === null ? null : parseInt(totp_last_used_step)
+    });
+
+    if (step === null) {
+      return false;
+    }
+
+    // Record the step so the same code cannot be replayed
+    const updateResult = await pool.query(
+      `UPDATE users SET totp_last_used_step = $1
+       WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1)
+       RETURNING id`,
+      [step, userId]
+    );
+
+    return updateResult.rows.length > 0;
+  }
+
+  const result = await pool.query(
+    `UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashToken(normalizeRecoveryCode(recoveryCode))]
+  );
+
+  return result.rows.length > 0;
+};
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start TOTP enrolment with your password and return the secret and otpauth URI
+// @access  Private
+router.post('/setup', authenticateToken, rejectImpersonation, validateTwoFactorSetup, async (req, res) => {
+  try {
+    if (req.user.totp_enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const result = await pool.query('SELECT password FROM users WHERE id = $1', [req.user.id]);
+    const isPasswordValid = await bcrypt.compare(req.body.password, result.rows[0].password);
+    if (!isPasswordValid) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const secret = generateSecret();
+
+    // An enabled secret is only replaced by disabling 2FA first
+    const updateResult = await pool.query(
+      `UPDATE users SET totp_secret = $1, totp_last_used_step = NULL
+       WHERE id = $2 AND totp_enabled_at IS NULL
+       RETURNING id`,
+      [secret, req.user.id]
+    );
+
+    if (updateResult.rows.length === 0) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: req.user.email,
+        issuer: TOTP_ISSUER
+      })
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: 'Server error during two-factor setup' });
+  }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm TOTP enrolment with a code and receive recovery codes
+// @access  Private
+router.post('/confirm', authenticateToken, rejectImpersonation, validateTwoFactorCode, async (req, res) => {
+  try {
+    if (req.user.totp_enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const result = await pool.query(
+      'SELECT totp_secret FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const { totp_secret } = result.rows[0];
+
+    if (!totp_secret) {
+      return res.status(400).json({ message: 'Two-factor setup has not been started' });
+    }
+
+    const step = verifyTotp(totp_secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await pool.query(
+      `UPDATE users
+       SET totp_enabled_at = CURRENT_TIMESTAMP, totp_last_used_step = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [step, req.user.id]
+    );
+
+    const recoveryCodes = await replaceRecoveryCodes(req.user.id);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({ message: 'Server error confirming two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete a two-factor login with a TOTP or recovery code
+// @access  Public (requires challenge token from /login)
+router.post('/verify', validateTwoFactorLogin, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const challenge = verifyTwoFactorChallengeToken(challengeToken);
+
+    if (!challenge) {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+
+    const block = await checkAttemptAllowed({ ip: req.ip, userId: challenge.userId });
+    if (block) {
+      return sendBlockedResponse(res, block);
+    }
+
+    const isValid = await verifySecondFactor(challenge.userId, { code, recoveryCode });
+    await recordAttempt({ ip: req.ip, userId: challenge.userId, type: 'two_factor', success: isValid });
+    if (!isValid) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    // A challenge signs in once; replaying it needs the password again
+    if (!await consumeTwoFactorChallenge(challenge)) {
+      return res.status(401).json({ message: 'Invalid or expired challenge token' });
+    }
+
+    const result = await pool.query(
+      'SELECT id, name, email, address, role, email_verified_at FROM users WHERE id = $1 AND deleted_at IS NULL',
+      [challenge.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ message: 'Invalid challenge token' });
+    }
+
+    const user = result.rows[0];
+    const { token, refreshToken } = await createSession(user.id, getClientInfo(req));
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        address: user.address,
+        role: user.role,
+        emailVerified: !!user.email_verified_at
+      }
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({ message: 'Server error during two-factor verification' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes
+// @access  Private
+router.post('/recovery-codes', authenticateToken, rejectImpersonation, validateTwoFactorDisable, async (req, res) => {
+  try {
+    if (!req.user.totp_enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const result = await pool.query('SELECT password FROM users WHERE id = $1', [req.user.id]);
+    const isPasswordValid = await bcrypt.compare(req.body.password, result.rows[0].password);
+    if (!isPasswordValid) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const isValid = await verifySecondFactor(req.user.id, req.body);
+    if (!isValid) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(req.user.id);
+
+    res.json({
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ message: 'Server error regenerating recovery codes' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private (not available to roles that require 2FA)
+router.post('/disable', authenticateToken, rejectImpersonation, validateTwoFactorDisable, async (req, res) => {
+  try {
+    if (req.user.requires_two_factor) {
+      return res.status(403).json({ message: 'Two-factor authentication is mandatory for your role' });
+    }
+
+    if (!req.user.totp_enabled_at) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const result = await pool.query('SELECT password FROM users WHERE id = $1', [req.user.id]);
+    const isPasswordValid = await bcrypt.compare(req.body.password, result.rows[0].password);
+    if (!isPasswordValid) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const isValid = await verifySecondFactor(req.user.id, req.body);
+    if (!isValid) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await pool.query(
+      `UPDATE users
+       SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [req.user.id]
+    );
+    await pool.query('DELETE FROM recovery_codes WHERE user_id = $1', [req.user.id]);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ message: 'Server error disabling two-factor authentication' });
+  }
+});
+
+module.exports = router;
@@ -2,17 +2,21 @@ const express = require('express');
 const { pool } = require('../config/database');
 const { 
   authenticateToken, 
-  requireAdmin, 
-  requireAdminOrNormalUser 
+  requirePermission
 } = require('../middleware/auth');
 const { validateUserUpdate, validateSearch } = require('../middleware/validation');
+const { revokeUserSessions } = require('../utils/tokens');
+const { hasPermission, canGrantRole } = require('../utils/permissions');
+const { OWNED_STORES_SUMMARY } = require('../utils/stores');
+const { SOFT_DELETE_RETENTION_DAYS, softDeleteUser } = require('../utils/soft-delete');
+const { getUserSnapshot, recordChanges, getHistory } = require('../utils/change-history');
 
 const router = express.Router();
 
 // @route   GET /api/users
 // @desc    Get all users (Admin only)
 // @access  Private (Admin)
-router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('users.read'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -37,13 +41,10 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
     // Build query
     let query = `
       SELECT u.id, u.name, u.email, u.address, u.role, u.created_at,
-             CASE 
-               WHEN u.role = 'STORE_OWNER' THEN s.average_rating
-               ELSE NULL 
-             END as store_rating
+             owned.store_count, owned.store_rating
       FROM users u
-      LEFT JOIN stores s ON u.id = s.owner_id AND u.role = 'STORE_OWNER'
-      WHERE 1=1
+      LEFT JOIN LATERAL (${OWNED_STORES_SUMMARY}) owned ON TRUE
+      WHERE u.deleted_at IS NULL
     `;
     
     const queryParams = [];
@@ -79,7 +80,7 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
     const result = await pool.query(query, queryParams);
 
     // Get total count for pagination
-    let countQuery = 'SELECT COUNT(*) FROM users WHERE 1=1';
+    let countQuery = 'SELECT COUNT(*) FROM users WHERE deleted_at IS NULL';
     const countParams = [];
     let countParamCount = 0;
 
@@ -117,29 +118,22 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
 
 // @route   GET /api/users/:id
 // @desc    Get user by ID
-// @access  Private (Admin or own profile)
+// @access  Private (users.read or own profile)
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const userId = req.params.id;
     
-    // Check if user is admin or accessing their own profile
-    if (req.user.role !== 'SYSTEM_ADMIN' && req.user.id !== parseInt(userId)) {
+    // Check if user can read any user or is accessing their own profile
+    if (!hasPermission(req.user, 'users.read') && req.user.id !== parseInt(userId)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
     const result = await pool.query(`
       SELECT u.id, u.name, u.email, u.address, u.role, u.created_at,
-             CASE 
-               WHEN u.role = 'STORE_OWNER' THEN s.average_rating
-               ELSE NULL 
-             END as store_rating,
-             CASE 
-               WHEN u.role = 'STORE_OWNER' THEN s.id
-               ELSE NULL 
-             END as store_id
+             owned.store_count, owned.store_rating, owned.store_ids
       FROM users u
-      LEFT JOIN stores s ON u.id = s.owner_id AND u.role = 'STORE_OWNER'
-      WHERE u.id = $1
+      LEFT JOIN LATERAL (${OWNED_STORES_SUMMARY}) owned ON TRUE
+      WHERE u.id = $1 AND u.deleted_at IS NULL
     `, [userId]);
 
     if (result.rows.length === 0) {
@@ -153,20 +147,63 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/:id/history
+// @desc    Get a user's profile change history
+// @access  Private (users.read or own profile)
+router.get('/:id/history', authenticateToken, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id) || 0;
+
+    if (!hasPermission(req.user, 'users.read') && req.user.id !== userId) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { entries, total } = await getHistory('user', userId, { page, limit });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      history: entries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalEntries: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get user history error:', error);
+    res.status(500).json({ message: 'Server error fetching user history' });
+  }
+});
+
 // @route   PUT /api/users/:id
 // @desc    Update user (Admin only)
 // @access  Private (Admin)
-router.put('/:id', authenticateToken, requireAdmin, validateUserUpdate, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('users.update'), validateUserUpdate, async (req, res) => {
   try {
     const userId = req.params.id;
     const { name, email, address, role } = req.body;
 
     // Check if user exists
-    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
+    const userCheck = await pool.query('SELECT id, role FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
     if (userCheck.rows.length === 0) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Neither the user's current role nor a new one may exceed the editor's own access
+    if (!(await canGrantRole(req.user, userCheck.rows[0].role)) || (role && !(await canGrantRole(req.user, role)))) {
+      return res.status(403).json({ message: 'Access denied. You cannot grant a role with more access than your own.' });
+    }
+
     // Check if email is already taken by another user
     if (email) {
       const emailCheck = await pool.query(
@@ -219,7 +256,34 @@ router.put('/:id', authenticateToken, requireAdmin, validateUserUpdate, async (r
       RETURNING id, name, email, address, role, updated_at
     `;
 
-    const result = await pool.query(query, values);
+    // Save the update and its history entry together
+    const client = await pool.connect();
+    let result;
+
+    try {
+      await client.query('BEGIN');
+      const before = await getUserSnapshot(client, userId);
+      result = await client.query(query, values);
+
+      await recordChanges(client, {
+        entityType: 'user',
+        entityId: result.rows[0].id,
+        actorId: req.user.id,
+        before,
+        after: result.rows[0]
+      });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // A role change invalidates every session issued under the old role
+    if (role && role !== userCheck.rows[0].role) {
+      await revokeUserSessions(userId);
+    }
     
     res.json({
       message: 'User updated successfully',
@@ -232,9 +296,9 @@ router.put('/:id', authenticateToken, requireAdmin, validateUserUpdate, async (r
 });
 
 // @route   DELETE /api/users/:id
-// @desc    Delete user (Admin only)
+// @desc    Soft delete a user with their stores and ratings (Admin only)
 // @access  Private (Admin)
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('users.delete'), async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -244,15 +308,21 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
     }
 
     // Check if user exists
-    const userCheck = await pool.query('SELECT id, role FROM users WHERE id = $1', [userId]);
+    const userCheck = await pool.query('SELECT id, role FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
     if (userCheck.rows.length === 0) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Delete user (cascade will handle related records)
-    await pool.query('DELETE FROM users WHERE id = $1', [userId]);
+    // Also signs the user out; the purge job removes the account for good
+    // after the retention window
+    if (!await softDeleteUser(userCheck.rows[0].id, req.user.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
-    res.json({ message: 'User deleted successfully' });
+    res.json({
+      message: 'User deleted successfully',
+      restorableForDays: SOFT_DELETE_RETENTION_DAYS
+    });
   } catch (error) {
     console.error('Delete user error:', error);
     res.status(500).json({ message: 'Server error deleting user' });
@@ -262,16 +332,16 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
 // @route   GET /api/users/stats/dashboard
 // @desc    Get user statistics for dashboard (Admin only)
 // @access  Private (Admin)
-router.get('/stats/dashboard', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/stats/dashboard', authenticateToken, requirePermission('dashboard.view'), async (req, res) => {
   try {
     const stats = await pool.query(`
       SELECT 
-        (SELECT COUNT(*) FROM users) as total_users,
-        (SELECT COUNT(*) FROM users WHERE role = 'NORMAL_USER') as normal_users,
-        (SELECT COUNT(*) FROM users WHERE role = 'STORE_OWNER') as store_owners,
-        (SELECT COUNT(*) FROM users WHERE role = 'SYSTEM_ADMIN') as admin_users,
-        (SELECT COUNT(*) FROM stores) as total_stores,
-        (SELECT COUNT(*) FROM ratings) as total_ratings
+        (SELECT COUNT(*) FROM users WHERE deleted_at IS NULL) as total_users,
+        (SELECT COUNT(*) FROM users WHERE role = 'NORMAL_USER' AND deleted_at IS NULL) as normal_users,
+        (SELECT COUNT(*) FROM users WHERE role = 'STORE_OWNER' AND deleted_at IS NULL) as store_owners,
+        (SELECT COUNT(*) FROM users WHERE role = 'SYSTEM_ADMIN' AND deleted_at IS NULL) as admin_users,
+        (SELECT COUNT(*) FROM stores WHERE deleted_at IS NULL) as total_stores,
+        (SELECT COUNT(*) FROM ratings WHERE deleted_at IS NULL) as total_ratings
     `);
 
     res.json({ stats: stats.rows[0] });
@@ -24,8 +24,8 @@ const initDB = async () => {
       const hashedPassword = await bcrypt.hash(process.env.ADMIN_PASSWORD, saltRounds);
       
       await pool.query(
-        `INSERT INTO users (name, email, password, address, role) 
-         VALUES ($1, $2, $3, $4, 'system_admin')`,
+        `INSERT INTO users (name, email, password, address, role, email_verified_at) 
+         VALUES ($1, $2, $3, $4, 'SYSTEM_ADMIN', CURRENT_TIMESTAMP)`,
         [
           process.env.ADMIN_NAME,
           process.env.ADMIN_EMAIL,
@@ -55,7 +55,7 @@ const initDB = async () => {
 const createSampleData = async () => {
   try {
     // Check if sample data already exists
-    const userCount = await pool.query('SELECT COUNT(*) FROM users WHERE role != \'system_admin\'');
+    const userCount = await pool.query('SELECT COUNT(*) FROM users WHERE role != \'SYSTEM_ADMIN\'');
     
     if (parseInt(userCount.rows[0].count) > 0) {
       console.log('ℹ️  Sample data already exists');
@@ -86,8 +86,8 @@ const createSampleData = async () => {
     for (const owner of storeOwners) {
       const hashedPassword = await bcrypt.hash(owner.password, saltRounds);
       const result = await pool.query(
-        `INSERT INTO users (name, email, password, address, role) 
-         VALUES ($1, $2, $3, $4, 'store_owner') RETURNING id`,
+        `INSERT INTO users (name, email, password, address, role, email_verified_at) 
+         VALUES ($1, $2, $3, $4, 'STORE_OWNER', CURRENT_TIMESTAMP) RETURNING id`,
         [owner.name, owner.email, hashedPassword, owner.address]
       );
       createdOwners.push(result.rows[0].id);
@@ -151,8 +151,8 @@ const createSampleData = async () => {
     for (const user of normalUsers) {
       const hashedPassword = await bcrypt.hash(user.password, saltRounds);
       const result = await pool.query(
-        `INSERT INTO users (name, email, password, address, role) 
-         VALUES ($1, $2, $3, $4, 'normal_user') RETURNING id`,
+        `INSERT INTO users (name, email, password, address, role, email_verified_at) 
+         VALUES ($1, $2, $3, $4, 'NORMAL_USER', CURRENT_TIMESTAMP) RETURNING id`,
         [user.name, user.email, hashedPassword, user.address]
       );
       createdUsers.push(result.rows[0].id);
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+// Minimal OpenID Connect issuer for local development and tests.
+// Every authorization request is approved immediately for the configured
+// user; pass ?login_hint=<email> to sign in as someone else.
+const createMockIssuer = ({ issuer, claims = {} }) => {
+  const app = express();
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const pendingCodes = new Map();
+
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+    if (code_challenge_method !== 'S256' || !code_challenge) {
+      return res.status(400).send('PKCE with S256 is required');
+    }
+
+    const email = login_hint || claims.email;
+    const code = crypto.randomBytes(16).toString('hex');
+
+    pendingCodes.set(code, {
+      clientId: client_id,
+      redirectUri: redirect_uri,
+      nonce,
+      codeChallenge: code_challenge,
+      claims: {
+        ...claims,
+        sub: login_hint ? `mock-${email}` : claims.sub,
+        email
+      }
+    });
+
+    const url = new URL(redirect_uri);
+    url.searchParams.set('code', code);
+    url.searchParams.set('state', state);
+    res.redirect(url.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { code, code_verifier, client_id, redirect_uri } = req.body;
+    const pending = pendingCodes.get(code);
+    pendingCodes.delete(code);
+
+    if (!pending || pending.clientId !== client_id || pending.redirectUri !== redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+    if (challenge !== pending.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign(
+      { ...pending.claims, nonce: pending.nonce },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer, audience: client_id, expiresIn: '5m' }
+    );
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  return app;
+};
+
+// Run standalone: node scripts/mock-oidc-issuer.js
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_OIDC_PORT) || 5055;
+  const issuer = process.env.OIDC_ISSUER || `http://localhost:${port}`;
+
+  const app = createMockIssuer({
+    issuer,
+    claims: {
+      sub: process.env.MOCK_OIDC_SUB || 'mock-user-1',
+      email: process.env.MOCK_OIDC_EMAIL || 'sso.user@example.com',
+      email_verified: true,
+      name: process.env.MOCK_OIDC_NAME || 'Single Sign-On Test User',
+      roles: (process.env.MOCK_OIDC_ROLES || '').split(',').filter(Boolean)
+    }
+  });
+
+  app.listen(port, () => {
+    console.log(`🔐 Mock OIDC issuer running at ${issuer}`);
+  });
+}
+
+module.exports = { createMockIssuer };
@@ -5,10 +5,25 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/two-factor');
+const oidcRoutes = require('./routes/oidc');
 const userRoutes = require('./routes/users');
 const storeRoutes = require('./routes/stores');
+const storeMediaRoutes = require('./routes/store-media');
+const storeMemberRoutes = require('./routes/store-members');
+const categoryRoutes = require('./routes/categories');
+const brandRoutes = require('./routes/brands');
+const storeClaimRoutes = require('./routes/store-claims');
 const ratingRoutes = require('./routes/ratings');
 const adminRoutes = require('./routes/admin');
+const roleRoutes = require('./routes/roles');
+const invitationRoutes = require('./routes/invitations');
+const apiKeyRoutes = require('./routes/api-keys');
+const { rejectApiKey } = require('./middleware/auth');
+const { startAccountPurgeJob } = require('./utils/account-deletion');
+const { startSoftDeletePurgeJob } = require('./utils/soft-delete');
+const { getMediaStorage } = require('./utils/media-storage');
+const { getTransport } = require('./utils/mailer');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -33,12 +48,33 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/users', userRoutes);
+// Fail at startup rather than on the first email if mail is not configured
+getTransport();
+
+// Uploaded store media on local disk; images are loaded cross-origin by the client
+const mediaStorage = getMediaStorage();
+if (mediaStorage.staticRoute) {
+  app.use(mediaStorage.staticRoute.path, express.static(mediaStorage.staticRoute.dir, {
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
+// Routes (API keys are only accepted on store and rating routes)
+app.use('/api/auth/2fa', rejectApiKey, twoFactorRoutes);
+app.use('/api/auth/oidc', rejectApiKey, oidcRoutes);
+app.use('/api/auth', rejectApiKey, authRoutes);
+app.use('/api/users', rejectApiKey, userRoutes);
+app.use('/api/stores/:id/media', storeMediaRoutes);
+app.use('/api/stores/:id/members', rejectApiKey, storeMemberRoutes);
 app.use('/api/stores', storeRoutes);
+app.use('/api/categories', rejectApiKey, categoryRoutes);
+app.use('/api/brands', rejectApiKey, brandRoutes);
+app.use('/api/store-claims', rejectApiKey, storeClaimRoutes);
 app.use('/api/ratings', ratingRoutes);
-app.use('/api/admin', adminRoutes);
+app.use('/api/admin/roles', rejectApiKey, roleRoutes);
+app.use('/api/admin', rejectApiKey, adminRoutes);
+app.use('/api/api-keys', rejectApiKey, apiKeyRoutes);
+app.use('/api/invitations', rejectApiKey, invitationRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -61,6 +97,8 @@ app.use('*', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  startAccountPurgeJob();
+  startSoftDeletePurgeJob();
 });
 
 module.exports = app;
\ No newline at end of file
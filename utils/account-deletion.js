@@ -0,0 +1,105 @@
+const { pool } = require('../config/database');
+const { findEvidenceKeys, removeEvidenceFiles } = require('./store-claims');
+const { recordChanges } = require('./change-history');
+const { removeStoreStaff } = require('./store-members');
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+const ACCOUNT_PURGE_INTERVAL_MINUTES = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES) || 60;
+
+// Schedule a user's hard delete after the grace period
+const scheduleAccountDeletion = async (userId) => {
+  const result = await pool.query(
+    `UPDATE users
+     SET deletion_requested_at = CURRENT_TIMESTAMP,
+         deletion_scheduled_for = CURRENT_TIMESTAMP + make_interval(days => $2),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING deletion_scheduled_for`,
+    [userId, ACCOUNT_DELETION_GRACE_DAYS]
+  );
+
+  return result.rows[0].deletion_scheduled_for;
+};
+
+// Cancel a scheduled deletion; returns false if none was pending
+const cancelAccountDeletion = async (userId) => {
+  const result = await pool.query(
+    `UPDATE users
+     SET deletion_requested_at = NULL, deletion_scheduled_for = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND deletion_scheduled_for IS NOT NULL
+     RETURNING id`,
+    [userId]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Hard delete every account whose grace period has ended. Ratings, sessions
+// and other personal rows cascade; store averages are kept in sync by the
+// ratings trigger. Owned stores are detached first so other users' ratings
+// of them survive.
+const purgeDeletedAccounts = async () => {
+  const detachResult = await pool.query(
+    `UPDATE stores s SET owner_id = NULL, updated_at = CURRENT_TIMESTAMP
+     FROM users u
+     WHERE u.id = s.owner_id
+       AND u.deletion_scheduled_for IS NOT NULL AND u.deletion_scheduled_for <= CURRENT_TIMESTAMP
+     RETURNING s.id, u.id as previous_owner_id`
+  );
+
+  await removeStoreStaff(pool, detachResult.rows.map((store) => store.id));
+
+  for (const store of detachResult.rows) {
+    await recordChanges(pool, {
+      entityType: 'store',
+      entityId: store.id,
+      action: 'owner_removed',
+      before: { owner_id: store.previous_owner_id },
+      after: { owner_id: null }
+    });
+  }
+
+  const dueResult = await pool.query(
+    `SELECT id FROM users
+     WHERE deletion_scheduled_for IS NOT NULL AND deletion_scheduled_for <= CURRENT_TIMESTAMP`
+  );
+  const evidenceKeys = await findEvidenceKeys({ claimantIds: dueResult.rows.map((row) => row.id) });
+
+  const result = await pool.query(
+    `DELETE FROM users
+     WHERE deletion_scheduled_for IS NOT NULL AND deletion_scheduled_for <= CURRENT_TIMESTAMP
+     RETURNING id`
+  );
+
+  // Store claim evidence files are not covered by the cascade
+  await removeEvidenceFiles(evidenceKeys);
+
+  if (result.rows.length > 0) {
+    console.log(`Purged ${result.rows.length} account(s) scheduled for deletion`);
+  }
+
+  return result.rows.length;
+};
+
+// Run the purge periodically inside the API process
+const startAccountPurgeJob = () => {
+  const run = () => {
+    purgeDeletedAccounts().catch((error) => {
+      console.error('Account purge error:', error);
+    });
+  };
+
+  // Catch up straight away rather than waiting a full interval after a restart
+  run();
+  const timer = setInterval(run, ACCOUNT_PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeDeletedAccounts,
+  startAccountPurgeJob
+};
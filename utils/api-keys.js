@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+
+// Scopes an API key can be granted. Ratings are submitted by people, not
+// integrations, so there is no rating write scope.
+const API_KEY_SCOPES = ['stores:read', 'stores:write', 'ratings:read'];
+
+// Generate a new key as srk_<prefix>_<secret>. The prefix is stored in the
+// clear so keys can be told apart in listings; only the hash of the full key is kept.
+const generateApiKey = () => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `srk_${prefix}_${secret}`;
+
+  return {
+    key,
+    prefix,
+    hash: hashToken(key)
+  };
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  generateApiKey
+};
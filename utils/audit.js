@@ -0,0 +1,29 @@
+const { pool } = require('../config/database');
+
+// Record an audit entry. actorId is the person who really acted; subjectId
+// is the account acted on or as (the impersonated user, for instance).
+// Audit failures are logged but never fail the request being audited.
+const recordAudit = async ({
+  actorId,
+  subjectId = null,
+  action,
+  method = null,
+  path = null,
+  statusCode = null,
+  ipAddress = null,
+  metadata = null
+}) => {
+  try {
+    await pool.query(
+      `INSERT INTO audit_logs (actor_id, subject_id, action, method, path, status_code, ip_address, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [actorId, subjectId, action, method, path, statusCode, ipAddress, metadata ? JSON.stringify(metadata) : null]
+    );
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = {
+  recordAudit
+};
@@ -0,0 +1,49 @@
+const { pool } = require('../config/database');
+
+// A brand with its active locations and aggregate rating. The aggregate
+// averages every rating across those locations, so each store counts in
+// proportion to how many ratings it has.
+const BRAND_SELECT = `
+  SELECT b.id, b.name, b.slug, b.description, b.created_at, b.updated_at,
+         COALESCE(stats.location_count, 0) as location_count,
+         COALESCE(stats.total_ratings, 0) as total_ratings,
+         COALESCE(stats.average_rating, 0) as average_rating
+  FROM brands b
+  LEFT JOIN LATERAL (
+    SELECT COUNT(DISTINCT s.id)::int as location_count,
+           COUNT(r.id)::int as total_ratings,
+           ROUND(AVG(r.rating), 1) as average_rating
+    FROM stores s
+    LEFT JOIN ratings r ON r.store_id = s.id AND r.deleted_at IS NULL
+    WHERE s.brand_id = b.id AND s.deleted_at IS NULL
+  ) stats ON TRUE
+`;
+
+// A brand by id or slug, or null
+const findBrand = async (idOrSlug) => {
+  const result = await pool.query(
+    `${BRAND_SELECT} WHERE b.id::text = $1 OR b.slug = $1`,
+    [String(idOrSlug)]
+  );
+  return result.rows[0] || null;
+};
+
+const brandExists = async (brandId) => {
+  const result = await pool.query('SELECT id FROM brands WHERE id = $1', [brandId]);
+  return result.rows.length > 0;
+};
+
+const isBrandManager = async (brandId, userId) => {
+  const result = await pool.query(
+    'SELECT 1 FROM brand_managers WHERE brand_id = $1 AND user_id = $2',
+    [brandId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  BRAND_SELECT,
+  findBrand,
+  brandExists,
+  isBrandManager
+};
@@ -0,0 +1,132 @@
+const { pool } = require('../config/database');
+
+// Where each kind of entity keeps its history and which fields are tracked.
+// Passwords and security settings are deliberately not recorded.
+const HISTORY_TABLES = {
+  store: {
+    table: 'store_history',
+    column: 'store_id',
+    fields: ['name', 'email', 'address', 'latitude', 'longitude', 'location_source', 'timezone', 'owner_id', 'brand_id', 'categories', 'tags']
+  },
+  user: {
+    table: 'user_history',
+    column: 'user_id',
+    fields: ['name', 'email', 'address', 'role']
+  }
+};
+
+// Fields a store revert puts back; ownership only changes through claims,
+// invitations and admin assignment
+const REVERTIBLE_STORE_FIELDS = HISTORY_TABLES.store.fields.filter((field) => field !== 'owner_id');
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+// The tracked fields of a store, with category ids and tag names sorted so
+// versions compare reliably. Pass a transaction client to read inside it.
+const getStoreSnapshot = async (db, storeId) => {
+  const result = await db.query(
+    `SELECT s.name, s.email, s.address, s.latitude, s.longitude, s.location_source, s.timezone, s.owner_id, s.brand_id,
+            COALESCE((
+              SELECT array_agg(sc.category_id ORDER BY sc.category_id)
+              FROM store_categories sc WHERE sc.store_id = s.id
+            ), '{}') as categories,
+            COALESCE((
+              SELECT array_agg(t.name ORDER BY t.name)
+              FROM store_tags st JOIN tags t ON t.id = st.tag_id WHERE st.store_id = s.id
+            ), '{}') as tags
+     FROM stores s WHERE s.id = $1`,
+    [storeId]
+  );
+  return result.rows[0] || null;
+};
+
+const getUserSnapshot = async (db, userId) => {
+  const result = await db.query('SELECT name, email, address, role FROM users WHERE id = $1', [userId]);
+  return result.rows[0] || null;
+};
+
+// Record what changed between two snapshots as { field: { from, to } }.
+// Nothing is written when no tracked field changed. Pass the client running
+// the update so the entry commits (or rolls back) with it.
+const recordChanges = async (db, { entityType, entityId, actorId = null, action = 'update', before, after, revertedFrom = null }) => {
+  const { table, column, fields } = HISTORY_TABLES[entityType];
+  const changes = {};
+
+  for (const field of fields) {
+    if (!sameValue(before[field], after[field])) {
+      changes[field] = {
+        from: before[field] === undefined ? null : before[field],
+        to: after[field] === undefined ? null : after[field]
+      };
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  const result = await db.query(
+    `INSERT INTO ${table} (${column}, actor_id, action, changes, reverted_from)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [entityId, actorId, action, JSON.stringify(changes), revertedFrom]
+  );
+  return result.rows[0].id;
+};
+
+// A page of history entries, newest first, with the actor's name
+const getHistory = async (entityType, entityId, { page, limit }) => {
+  const { table, column } = HISTORY_TABLES[entityType];
+
+  const countResult = await pool.query(`SELECT COUNT(*) FROM ${table} WHERE ${column} = $1`, [entityId]);
+  const result = await pool.query(
+    `SELECT h.id, h.action, h.changes, h.reverted_from, h.created_at,
+            h.actor_id, u.name as actor_name
+     FROM ${table} h
+     LEFT JOIN users u ON u.id = h.actor_id
+     WHERE h.${column} = $1
+     ORDER BY h.id DESC
+     LIMIT $2 OFFSET $3`,
+    [entityId, limit, (page - 1) * limit]
+  );
+
+  return { entries: result.rows, total: parseInt(countResult.rows[0].count) };
+};
+
+// The values a store had just before the given history entry, for each
+// revertible field changed by that entry or any later one. Returns null if
+// the entry does not belong to the store.
+const getStoreValuesBefore = async (storeId, historyId) => {
+  const entryResult = await pool.query(
+    'SELECT id FROM store_history WHERE id = $1 AND store_id = $2',
+    [historyId, storeId]
+  );
+  if (entryResult.rows.length === 0) {
+    return null;
+  }
+
+  const result = await pool.query(
+    'SELECT changes FROM store_history WHERE store_id = $1 AND id >= $2 ORDER BY id ASC',
+    [storeId, historyId]
+  );
+
+  // The earliest change to a field after that point holds its old value
+  const values = {};
+  for (const { changes } of result.rows) {
+    for (const [field, change] of Object.entries(changes)) {
+      if (REVERTIBLE_STORE_FIELDS.includes(field) && !(field in values)) {
+        values[field] = change.from;
+      }
+    }
+  }
+
+  return values;
+};
+
+module.exports = {
+  getStoreSnapshot,
+  getUserSnapshot,
+  recordChanges,
+  getHistory,
+  getStoreValuesBefore
+};
@@ -0,0 +1,98 @@
+const archiver = require('archiver');
+const { pool } = require('../config/database');
+
+// Gather everything we hold about a user, minus secrets such as password
+// and TOTP hashes
+const collectUserData = async (userId) => {
+  const profileResult = await pool.query(
+    `SELECT id, name, email, address, role, email_verified_at, totp_enabled_at,
+            deletion_scheduled_for, created_at, updated_at
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+
+  const ratingsResult = await pool.query(
+    `SELECT r.id, r.store_id, s.name as store_name, r.rating, r.comment, r.created_at, r.updated_at
+     FROM ratings r
+     JOIN stores s ON r.store_id = s.id
+     WHERE r.user_id = $1
+     ORDER BY r.created_at ASC`,
+    [userId]
+  );
+
+  const sessionsResult = await pool.query(
+    `SELECT id, device, user_agent, ip_address, created_at, last_seen_at, revoked_at
+     FROM sessions
+     WHERE user_id = $1 AND impersonator_id IS NULL
+     ORDER BY created_at ASC`,
+    [userId]
+  );
+
+  return {
+    profile: profileResult.rows[0] || null,
+    ratings: ratingsResult.rows,
+    sessions: sessionsResult.rows
+  };
+};
+
+const formatCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Keep spreadsheets from evaluating user-supplied text such as review comments as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Render rows as CSV using the given column order
+const toCsv = (rows, columns) => {
+  const lines = [columns.join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map((column) => formatCsvValue(row[column])).join(','));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Stream a zip with the data as JSON and CSV to the response
+const sendUserDataArchive = (res, data) => {
+  const date = new Date().toISOString().slice(0, 10);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  res.attachment(`store-rating-data-${data.profile.id}-${date}.zip`);
+
+  archive.on('error', (error) => {
+    console.error('Data export archive error:', error);
+    res.destroy(error);
+  });
+
+  archive.pipe(res);
+
+  archive.append(JSON.stringify({ exportedAt: new Date().toISOString(), ...data }, null, 2), {
+    name: 'data.json'
+  });
+  archive.append(toCsv([data.profile], Object.keys(data.profile)), { name: 'profile.csv' });
+  archive.append(
+    toCsv(data.ratings, ['id', 'store_id', 'store_name', 'rating', 'comment', 'created_at', 'updated_at']),
+    { name: 'ratings.csv' }
+  );
+  archive.append(
+    toCsv(data.sessions, ['id', 'device', 'user_agent', 'ip_address', 'created_at', 'last_seen_at', 'revoked_at']),
+    { name: 'sessions.csv' }
+  );
+
+  return archive.finalize();
+};
+
+module.exports = {
+  collectUserData,
+  toCsv,
+  sendUserDataArchive
+};
@@ -0,0 +1,53 @@
+// Rough, human-readable device label from a User-Agent header,
+// e.g. "Chrome on Windows". Only used for display in session listings.
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) {
+    // API clients such as curl/8.0 or PostmanRuntime/7.0
+    return userAgent.split(/[\s/]/)[0].slice(0, 100) || 'Unknown device';
+  }
+
+  if (browser && platform) {
+    return `${browser[0]} on ${platform[0]}`;
+  }
+
+  return (browser || platform)[0];
+};
+
+// Client details recorded against a new or refreshed session
+const getClientInfo = (req) => {
+  const userAgent = (req.get('user-agent') || '').slice(0, 500) || null;
+
+  return {
+    userAgent,
+    ipAddress: req.ip || null,
+    device: describeDevice(userAgent)
+  };
+};
+
+module.exports = {
+  describeDevice,
+  getClientInfo
+};
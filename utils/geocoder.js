@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+// Offline stub: a stable point within GEOCODER_STUB_RADIUS_KM of
+// GEOCODER_STUB_CENTER, derived from the address. Good enough to try
+// "near me" search locally; never use it for real data.
+const createStubGeocoder = () => {
+  const [centerLat, centerLng] = (process.env.GEOCODER_STUB_CENTER || '51.5074,-0.1278')
+    .split(',')
+    .map((value) => parseFloat(value));
+  const radiusKm = parseFloat(process.env.GEOCODER_STUB_RADIUS_KM) || 25;
+
+  return {
+    geocode: async (address) => {
+      const digest = crypto.createHash('sha256').update(address.trim().toLowerCase()).digest();
+      const distanceKm = (digest.readUInt32BE(0) / 0xffffffff) * radiusKm;
+      const bearing = (digest.readUInt32BE(4) / 0xffffffff) * 2 * Math.PI;
+
+      const latitude = centerLat + (distanceKm / 111.32) * Math.cos(bearing);
+      const longitude = centerLng +
+        (distanceKm / (111.32 * Math.cos((centerLat * Math.PI) / 180))) * Math.sin(bearing);
+
+      return {
+        latitude: Math.round(latitude * 1e6) / 1e6,
+        longitude: Math.round(longitude * 1e6) / 1e6
+      };
+    }
+  };
+};
+
+// Nominatim (OpenStreetMap) or any server with the same search API
+const createNominatimGeocoder = () => {
+  const baseUrl = process.env.GEOCODER_URL || 'https://nominatim.openstreetmap.org';
+  const userAgent = process.env.GEOCODER_USER_AGENT || 'store-rating-app';
+
+  return {
+    geocode: async (address) => {
+      const url = new URL('/search', baseUrl);
+      url.searchParams.set('q', address);
+      url.searchParams.set('format', 'json');
+      url.searchParams.set('limit', '1');
+
+      const response = await fetch(url, {
+        headers: { 'User-Agent': userAgent, Accept: 'application/json' },
+        signal: AbortSignal.timeout(5000)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Geocoder responded with ${response.status}`);
+      }
+
+      const [match] = await response.json();
+      if (!match) {
+        return null;
+      }
+
+      return {
+        latitude: parseFloat(match.lat),
+        longitude: parseFloat(match.lon)
+      };
+    }
+  };
+};
+
+// Geocoding disabled: stores only get coordinates when they are set by hand
+const createNoopGeocoder = () => ({
+  geocode: async () => null
+});
+
+const geocoderFactories = {
+  none: createNoopGeocoder,
+  stub: createStubGeocoder,
+  nominatim: createNominatimGeocoder
+};
+
+let geocoder = null;
+
+const getGeocoder = () => {
+  if (!geocoder) {
+    const name = process.env.GEOCODER || 'none';
+    const factory = geocoderFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown geocoder: ${name}`);
+    }
+
+    geocoder = factory();
+  }
+  return geocoder;
+};
+
+// Replace the active geocoder (e.g. with a fixed lookup table in tests)
+const setGeocoder = (customGeocoder) => {
+  geocoder = customGeocoder;
+};
+
+// Addresses are HTML-escaped on the way in; geocoders want the plain text
+const unescapeAddress = (address) => {
+  return address
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#x27;/g, "'")
+    .replace(/&#x2F;/g, '/')
+    .replace(/&#x5C;/g, '\\')
+    .replace(/&#96;/g, '`')
+    .replace(/&amp;/g, '&');
+};
+
+// Look up coordinates for an address. Returns null when the address cannot
+// be placed; lookup failures are logged rather than failing the request.
+const geocodeAddress = async (address) => {
+  try {
+    return await getGeocoder().geocode(unescapeAddress(address));
+  } catch (error) {
+    console.error('Geocoding error:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  geocodeAddress,
+  setGeocoder
+};
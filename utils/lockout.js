@@ -0,0 +1,129 @@
+const { pool } = require('../config/database');
+
+// Failed attempts allowed before an account is locked
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOCKOUT_MAX_FAILED_ATTEMPTS) || 5;
+// First lock duration; doubles with every further failure
+const BASE_LOCK_SECONDS = parseInt(process.env.LOCKOUT_BASE_SECONDS) || 60;
+const MAX_LOCK_SECONDS = parseInt(process.env.LOCKOUT_MAX_SECONDS) || 60 * 60;
+// Failed attempts allowed per IP within the window
+const IP_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOCKOUT_IP_MAX_FAILED_ATTEMPTS) || 20;
+const IP_WINDOW_SECONDS = parseInt(process.env.LOCKOUT_IP_WINDOW_SECONDS) || 15 * 60;
+
+// Check whether an IP or account is currently blocked. For an account this
+// also counts the attempt as failed up front, in the same statement that
+// checks the lock, so parallel attempts cannot all slip in before the first
+// failure is recorded; recordAttempt or releaseAttempt settles it.
+// Returns null when allowed, otherwise { status, message, retryAfter }.
+const checkAttemptAllowed = async ({ ip, userId = null }) => {
+  const ipResult = await pool.query(
+    `SELECT COUNT(*) as failures,
+            EXTRACT(EPOCH FROM (MIN(created_at) + make_interval(secs => $2) - CURRENT_TIMESTAMP)) as retry_after
+     FROM login_attempts
+     WHERE ip_address = $1 AND success = false
+       AND created_at > CURRENT_TIMESTAMP - make_interval(secs => $2)`,
+    [ip, IP_WINDOW_SECONDS]
+  );
+
+  if (parseInt(ipResult.rows[0].failures) >= IP_MAX_FAILED_ATTEMPTS) {
+    return {
+      status: 429,
+      message: 'Too many failed attempts from this address. Please try again later.',
+      retryAfter: Math.max(1, Math.ceil(parseFloat(ipResult.rows[0].retry_after)))
+    };
+  }
+
+  if (userId) {
+    const claimResult = await pool.query(
+      `UPDATE users
+       SET failed_login_count = failed_login_count + 1,
+           locked_until = CASE
+             WHEN failed_login_count + 1 >= $2 THEN CURRENT_TIMESTAMP + make_interval(
+               secs => LEAST($3 * POWER(2, failed_login_count + 1 - $2), $4)
+             )
+             ELSE locked_until
+           END
+       WHERE id = $1 AND (locked_until IS NULL OR locked_until <= CURRENT_TIMESTAMP)
+       RETURNING id`,
+      [userId, MAX_FAILED_ATTEMPTS, BASE_LOCK_SECONDS, MAX_LOCK_SECONDS]
+    );
+
+    // Nothing claimed means the account is locked
+    if (claimResult.rows.length === 0) {
+      const lockResult = await pool.query(
+        `SELECT EXTRACT(EPOCH FROM (locked_until - CURRENT_TIMESTAMP)) as retry_after
+         FROM users WHERE id = $1 AND locked_until > CURRENT_TIMESTAMP`,
+        [userId]
+      );
+
+      if (lockResult.rows.length > 0) {
+        return {
+          status: 423,
+          message: 'Account is temporarily locked due to too many failed attempts',
+          retryAfter: Math.max(1, Math.ceil(parseFloat(lockResult.rows[0].retry_after)))
+        };
+      }
+    }
+  }
+
+  return null;
+};
+
+// Record how an attempt ended. A failure was already counted against the
+// account by checkAttemptAllowed; a success clears the counter and lock.
+const recordAttempt = async ({ ip, userId = null, email = null, type, success }) => {
+  await pool.query(
+    `INSERT INTO login_attempts (user_id, email, ip_address, attempt_type, success)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [userId, email, ip, type, success]
+  );
+
+  if (!userId) {
+    return;
+  }
+
+  if (success) {
+    await pool.query(
+      'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1',
+      [userId]
+    );
+    return;
+  }
+
+};
+
+// Undo the failure checkAttemptAllowed counted for an attempt that neither
+// failed nor finished, such as a correct password awaiting the 2FA step
+const releaseAttempt = async ({ userId }) => {
+  await pool.query(
+    `UPDATE users
+     SET failed_login_count = GREATEST(failed_login_count - 1, 0),
+         locked_until = CASE WHEN failed_login_count - 1 >= $2 THEN locked_until ELSE NULL END
+     WHERE id = $1`,
+    [userId, MAX_FAILED_ATTEMPTS]
+  );
+};
+
+// Clear an account lock (admin action)
+const unlockAccount = async (userId) => {
+  await pool.query(
+    'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1',
+    [userId]
+  );
+};
+
+// Send the standard 423/429 response for a blocked attempt
+const sendBlockedResponse = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+  return res.status(block.status).json({
+    message: block.message,
+    retryAfter: block.retryAfter
+  });
+};
+
+module.exports = {
+  checkAttemptAllowed,
+  recordAttempt,
+  releaseAttempt,
+  unlockAccount,
+  sendBlockedResponse
+};
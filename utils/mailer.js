@@ -0,0 +1,100 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// SMTP transport backed by nodemailer
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// File transport writes each message as JSON into MAIL_FILE_DIR
+const createFileTransport = () => {
+  const outputDir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail-outbox');
+
+  return {
+    send: async (message) => {
+      await fs.mkdir(outputDir, { recursive: true });
+      const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      await fs.writeFile(
+        path.join(outputDir, fileName),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    }
+  };
+};
+
+// Console transport prints messages for local development
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+});
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+// Falls back to the console outside production only: the messages carry live
+// reset, verification and invitation links that must not end up in logs
+const getTransport = () => {
+  if (!transport) {
+    if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+      throw new Error('MAIL_TRANSPORT must be set in production');
+    }
+
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    transport = factory();
+  }
+  return transport;
+};
+
+// Replace the active transport (e.g. with an in-memory one in tests)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send a plain text email through the configured transport
+const sendMail = async ({ to, subject, text }) => {
+  await getTransport().send({
+    from: process.env.MAIL_FROM || 'Store Rating App <no-reply@storerating.com>',
+    to,
+    subject,
+    text
+  });
+};
+
+// Build a link into the frontend app
+const buildClientUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.CLIENT_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  getTransport,
+  sendMail,
+  setTransport,
+  buildClientUrl
+};
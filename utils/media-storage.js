@@ -0,0 +1,69 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Keys under this prefix (store logos and photos) are public; anything else,
+// such as store claim evidence, is only handed out by authenticated routes
+const PUBLIC_PREFIX = 'stores';
+
+// Local disk storage under MEDIA_LOCAL_DIR. Public files are served by the
+// app itself from MEDIA_PUBLIC_PATH.
+const createLocalStorage = () => {
+  const rootDir = path.resolve(process.env.MEDIA_LOCAL_DIR || path.join(__dirname, '..', 'uploads'));
+  const publicPath = process.env.MEDIA_PUBLIC_PATH || '/uploads';
+
+  // Keys are generated by the app, but never let one escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    staticRoute: {
+      path: `${publicPath}/${PUBLIC_PREFIX}`,
+      dir: path.join(rootDir, PUBLIC_PREFIX)
+    },
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+    read: (key) => fs.readFile(resolveKey(key)),
+    remove: async (key) => {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+    url: (key) => `${publicPath}/${key}`
+  };
+};
+
+const storageFactories = {
+  local: createLocalStorage
+};
+
+let storage = null;
+
+const getMediaStorage = () => {
+  if (!storage) {
+    const name = process.env.MEDIA_STORAGE || 'local';
+    const factory = storageFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown media storage: ${name}`);
+    }
+
+    storage = factory();
+  }
+  return storage;
+};
+
+// Replace the active storage (e.g. with an in-memory one in tests)
+const setMediaStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+module.exports = {
+  getMediaStorage,
+  setMediaStorage
+};
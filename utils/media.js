@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { pool } = require('../config/database');
+const { getMediaStorage } = require('./media-storage');
+
+// Upload types we accept, by the format sharp detects in the file itself
+const MEDIA_FORMATS = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+const ALLOWED_MEDIA_TYPES = Object.values(MEDIA_FORMATS);
+
+const MAX_MEDIA_FILE_SIZE = (parseInt(process.env.MEDIA_MAX_FILE_SIZE_MB) || 5) * 1024 * 1024;
+const MAX_PHOTOS_PER_STORE = 20;
+
+// Originals are capped at this many pixels on their longest side
+const MAX_ORIGINAL_DIMENSION = 2048;
+
+// Refuse decompression bombs before decoding them
+const SHARP_OPTIONS = { limitInputPixels: 50e6 };
+
+// Thumbnail widths/heights (longest side), all encoded as WebP
+const THUMBNAIL_SIZES = {
+  small: 160,
+  medium: 480,
+  large: 1024
+};
+
+// Re-encode an upload: apply the EXIF orientation, then drop all metadata
+// (sharp strips it unless asked to keep it) and build thumbnails. Returns
+// { error } when the file is not an image in an accepted format.
+const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, SHARP_OPTIONS).metadata();
+  } catch (error) {
+    return { error: 'File is not a valid image' };
+  }
+
+  if (!MEDIA_FORMATS[metadata.format]) {
+    return { error: `Images must be one of: ${ALLOWED_MEDIA_TYPES.join(', ')}` };
+  }
+
+  const resize = (size) => ({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+
+  const original = await sharp(buffer, SHARP_OPTIONS)
+    .rotate()
+    .resize(resize(MAX_ORIGINAL_DIMENSION))
+    .toFormat(metadata.format)
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnails = {};
+  for (const [name, size] of Object.entries(THUMBNAIL_SIZES)) {
+    thumbnails[name] = await sharp(original.data)
+      .resize(resize(size))
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+  }
+
+  return {
+    contentType: MEDIA_FORMATS[metadata.format],
+    extension: metadata.format === 'jpeg' ? 'jpg' : metadata.format,
+    original,
+    thumbnails
+  };
+};
+
+// Write a processed image to storage under a fresh key. Returns the columns
+// to insert into store_media.
+const storeImageFiles = async (storeId, image) => {
+  const storage = getMediaStorage();
+  const prefix = `stores/${storeId}/${crypto.randomUUID()}`;
+
+  const storageKey = `${prefix}/original.${image.extension}`;
+  await storage.save(storageKey, image.original.data, image.contentType);
+
+  const variants = {};
+  for (const [name, { data, info }] of Object.entries(image.thumbnails)) {
+    const key = `${prefix}/${name}.webp`;
+    await storage.save(key, data, 'image/webp');
+    variants[name] = { key, width: info.width, height: info.height };
+  }
+
+  return {
+    storageKey,
+    contentType: image.contentType,
+    width: image.original.info.width,
+    height: image.original.info.height,
+    sizeBytes: image.original.info.size,
+    variants
+  };
+};
+
+// Delete the files behind store_media rows. Failures are logged rather than
+// thrown: the rows are already gone and a stray file is harmless.
+const removeMediaFiles = async (rows) => {
+  const storage = getMediaStorage();
+
+  for (const row of rows) {
+    const keys = [row.storage_key, ...Object.values(row.variants || {}).map((variant) => variant.key)];
+    for (const key of keys) {
+      try {
+        await storage.remove(key);
+      } catch (error) {
+        console.error('Remove media file error:', error.message);
+      }
+    }
+  }
+};
+
+// API shape for a store_media row, with public URLs
+const formatMedia = (row) => {
+  const storage = getMediaStorage();
+
+  return {
+    id: row.id,
+    kind: row.kind,
+    caption: row.caption,
+    position: row.position,
+    contentType: row.content_type,
+    width: row.width,
+    height: row.height,
+    size: row.size_bytes,
+    url: storage.url(row.storage_key),
+    thumbnails: Object.fromEntries(
+      Object.entries(row.variants || {}).map(([name, variant]) => [
+        name,
+        { url: storage.url(variant.key), width: variant.width, height: variant.height }
+      ])
+    ),
+    created_at: row.created_at
+  };
+};
+
+// A store's logo and its gallery photos in display order
+const getStoreMedia = async (storeId) => {
+  const result = await pool.query(
+    `SELECT * FROM store_media WHERE store_id = $1
+     ORDER BY kind ASC, position ASC, id ASC`,
+    [storeId]
+  );
+
+  const logo = result.rows.find((row) => row.kind === 'logo');
+
+  return {
+    logo: logo ? formatMedia(logo) : null,
+    photos: result.rows.filter((row) => row.kind === 'photo').map(formatMedia)
+  };
+};
+
+module.exports = {
+  ALLOWED_MEDIA_TYPES,
+  MAX_MEDIA_FILE_SIZE,
+  MAX_PHOTOS_PER_STORE,
+  processImage,
+  storeImageFiles,
+  removeMediaFiles,
+  formatMedia,
+  getStoreMedia
+};
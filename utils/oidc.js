@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const ALLOWED_ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+// Built-in roles in order of privilege; custom roles rank below them
+const ROLE_PRIORITY = ['SYSTEM_ADMIN', 'STORE_OWNER', 'BRAND_MANAGER', 'NORMAL_USER'];
+
+let discoveryCache = null;
+let jwksCache = null;
+
+// Read OIDC settings from the environment
+const getConfig = () => ({
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  roleClaim: process.env.OIDC_ROLE_CLAIM || 'roles',
+  roleMapping: process.env.OIDC_ROLE_MAPPING ? JSON.parse(process.env.OIDC_ROLE_MAPPING) : {},
+  defaultRole: process.env.OIDC_DEFAULT_ROLE || 'NORMAL_USER'
+});
+
+const isConfigured = () => {
+  const config = getConfig();
+  return !!(config.issuer && config.clientId && config.redirectUri);
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const randomToken = () => base64url(crypto.randomBytes(32));
+
+// PKCE verifier and its S256 challenge
+const createPkcePair = () => {
+  const codeVerifier = randomToken();
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed (${response.status}): ${reason}`);
+  }
+  return body;
+};
+
+// Fetch and cache the issuer's discovery document
+const discover = async () => {
+  const { issuer } = getConfig();
+
+  if (discoveryCache && discoveryCache.issuer === issuer && discoveryCache.expiresAt > Date.now()) {
+    return discoveryCache.document;
+  }
+
+  const document = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+  if (document.issuer.replace(/\/$/, '') !== issuer) {
+    throw new Error('OIDC discovery issuer does not match configured issuer');
+  }
+
+  discoveryCache = { issuer, document, expiresAt: Date.now() + DISCOVERY_CACHE_MS };
+  return document;
+};
+
+// Build the authorization endpoint URL for the browser redirect
+const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const config = getConfig();
+  const { authorization_endpoint } = await discover();
+
+  const url = new URL(authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+// Exchange an authorization code for tokens
+const exchangeCode = async ({ code, codeVerifier }) => {
+  const config = getConfig();
+  const { token_endpoint } = await discover();
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier
+  });
+
+  if (config.clientSecret) {
+    params.set('client_secret', config.clientSecret);
+  }
+
+  return fetchJson(token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: params.toString()
+  });
+};
+
+// Find the signing key for a kid, refreshing the JWKS once if it is unknown
+const getSigningKey = async (kid) => {
+  const { jwks_uri } = await discover();
+
+  const findKey = () => jwksCache && jwksCache.uri === jwks_uri &&
+    jwksCache.keys.find((key) => !kid || key.kid === kid);
+
+  let jwk = findKey();
+  if (!jwk) {
+    const { keys } = await fetchJson(jwks_uri);
+    jwksCache = { uri: jwks_uri, keys: keys.filter((key) => !key.use || key.use === 'sig') };
+    jwk = findKey();
+  }
+
+  if (!jwk) {
+    throw new Error('No matching OIDC signing key found');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Verify ID token signature and standard claims, returning the claims
+const verifyIdToken = async (idToken, nonce) => {
+  const config = getConfig();
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || !ALLOWED_ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new Error('Unsupported or malformed ID token');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ALLOWED_ID_TOKEN_ALGORITHMS,
+    issuer: [config.issuer, `${config.issuer}/`],
+    audience: config.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+// Map IdP role/group claims onto an application role.
+// Returns the most privileged mapped role, or null when no claim value is mapped.
+const mapRoleFromClaims = (claims) => {
+  const config = getConfig();
+  const rawValue = claims[config.roleClaim];
+  const values = Array.isArray(rawValue) ? rawValue : rawValue ? [rawValue] : [];
+
+  const mappedRoles = values
+    .map((value) => config.roleMapping[value])
+    .filter(Boolean);
+
+  return ROLE_PRIORITY.find((role) => mappedRoles.includes(role)) || mappedRoles[0] || null;
+};
+
+module.exports = {
+  getConfig,
+  isConfigured,
+  randomToken,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  mapRoleFromClaims
+};
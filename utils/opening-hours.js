@@ -0,0 +1,243 @@
+const { pool } = require('../config/database');
+const { getStoreSnapshot, recordChanges } = require('./change-history');
+
+// How far ahead store detail lists holiday and closure exceptions
+const UPCOMING_EXCEPTION_DAYS = 60;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Whether Postgres and Node both understand an IANA time zone name; their
+// tz databases can differ, and open-now checks run in Postgres
+const isValidTimeZone = async (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    return false;
+  }
+
+  const result = await pool.query('SELECT 1 FROM pg_timezone_names WHERE name = $1', [timeZone]);
+  return result.rows.length > 0;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map((part) => parseInt(part));
+  return hours * 60 + minutes;
+};
+
+// Split an interval into [start, end) minute ranges on its own day and,
+// for intervals that close after midnight, the following day
+const toSegments = ({ opens, closes }) => {
+  const start = toMinutes(opens);
+  const end = toMinutes(closes);
+
+  if (end > start) {
+    return { sameDay: [start, end], nextDay: null };
+  }
+
+  return { sameDay: [start, MINUTES_PER_DAY], nextDay: end > 0 ? [0, end] : null };
+};
+
+const overlaps = (ranges) => {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  return sorted.some((range, index) => index > 0 && range[0] < sorted[index - 1][1]);
+};
+
+// Day numbers (0 = Sunday) whose intervals overlap, counting intervals that
+// run past midnight into the next day
+const findOverlappingDays = (intervals) => {
+  const rangesByDay = Array.from({ length: 7 }, () => []);
+
+  for (const interval of intervals) {
+    const { sameDay, nextDay } = toSegments(interval);
+    rangesByDay[interval.day].push(sameDay);
+    if (nextDay) {
+      rangesByDay[(interval.day + 1) % 7].push(nextDay);
+    }
+  }
+
+  return rangesByDay
+    .map((ranges, day) => (overlaps(ranges) ? day : null))
+    .filter((day) => day !== null);
+};
+
+// Whether intervals on a single date overlap
+const intervalsOverlap = (intervals) => {
+  return overlaps(intervals.map((interval) => toSegments(interval).sameDay));
+};
+
+// Read openNow / openAt from a query string. Returns null when neither was
+// given, { error } for a bad timestamp, or { at } where a null at means now.
+const parseOpenFilter = ({ openNow, openAt }) => {
+  if (openAt) {
+    const at = new Date(openAt);
+    if (Number.isNaN(at.getTime())) {
+      return { error: 'openAt must be an ISO 8601 timestamp, e.g. 2026-12-24T18:00:00Z' };
+    }
+    return { at: at.toISOString() };
+  }
+
+  return openNow === 'true' ? { at: null } : null;
+};
+
+// SQL condition keeping stores (aliased as s) that are open at the parsed
+// instant. Values are appended to params.
+const buildOpenFilter = ({ at }, params) => {
+  if (!at) {
+    return ' AND store_is_open(s.id, CURRENT_TIMESTAMP)';
+  }
+
+  params.push(at);
+  return ` AND store_is_open(s.id, $${params.length}::timestamptz)`;
+};
+
+const formatTime = (time) => time.slice(0, 5);
+
+// Weekly schedule, upcoming exceptions and current state for a store
+const getStoreHours = async (storeId) => {
+  const storeResult = await pool.query(
+    'SELECT timezone, store_is_open(id, CURRENT_TIMESTAMP) as is_open_now FROM stores WHERE id = $1',
+    [storeId]
+  );
+
+  if (storeResult.rows.length === 0) {
+    return null;
+  }
+
+  const { timezone, is_open_now: isOpenNow } = storeResult.rows[0];
+
+  const weeklyResult = await pool.query(
+    `SELECT day_of_week, opens_at, closes_at FROM store_hours
+     WHERE store_id = $1
+     ORDER BY day_of_week ASC, opens_at ASC`,
+    [storeId]
+  );
+
+  // "Upcoming" starts from today in the store's time zone
+  const exceptionResult = await pool.query(
+    `SELECT to_char(e.date, 'YYYY-MM-DD') as date, e.closed, e.opens_at, e.closes_at, e.note
+     FROM store_hour_exceptions e
+     JOIN stores s ON s.id = e.store_id
+     WHERE e.store_id = $1
+       AND e.date >= (CURRENT_TIMESTAMP AT TIME ZONE s.timezone)::date
+       AND e.date < (CURRENT_TIMESTAMP AT TIME ZONE s.timezone)::date + $2::int
+     ORDER BY e.date ASC, e.opens_at ASC NULLS FIRST`,
+    [storeId, UPCOMING_EXCEPTION_DAYS]
+  );
+
+  // One entry per date, with its intervals
+  const exceptions = [];
+  for (const row of exceptionResult.rows) {
+    let exception = exceptions[exceptions.length - 1];
+    if (!exception || exception.date !== row.date) {
+      exception = { date: row.date, closed: row.closed, note: row.note, intervals: [] };
+      exceptions.push(exception);
+    }
+    if (!row.closed) {
+      exception.intervals.push({ opens: formatTime(row.opens_at), closes: formatTime(row.closes_at) });
+    }
+  }
+
+  return {
+    timezone,
+    isOpenNow,
+    weekly: weeklyResult.rows.map((row) => ({
+      day: row.day_of_week,
+      dayName: DAY_NAMES[row.day_of_week],
+      opens: formatTime(row.opens_at),
+      closes: formatTime(row.closes_at)
+    })),
+    exceptions
+  };
+};
+
+// Replace a store's weekly schedule (and optionally its time zone, which
+// is recorded in the store's history against actorId)
+const setWeeklyHours = async (storeId, intervals, timezone, actorId = null) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    if (timezone) {
+      const before = await getStoreSnapshot(client, storeId);
+      await client.query(
+        'UPDATE stores SET timezone = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [timezone, storeId]
+      );
+      await recordChanges(client, {
+        entityType: 'store',
+        entityId: storeId,
+        actorId,
+        before,
+        after: { ...before, timezone }
+      });
+    }
+
+    await client.query('DELETE FROM store_hours WHERE store_id = $1', [storeId]);
+
+    for (const { day, opens, closes } of intervals) {
+      await client.query(
+        `INSERT INTO store_hours (store_id, day_of_week, opens_at, closes_at)
+         VALUES ($1, $2, $3, $4)`,
+        [storeId, day, opens, closes]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Replace the exception for one date: closed all day, or open only for the
+// given intervals
+const setHoursException = async (storeId, { date, closed, intervals = [], note = null }) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      'DELETE FROM store_hour_exceptions WHERE store_id = $1 AND date = $2',
+      [storeId, date]
+    );
+
+    if (closed) {
+      await client.query(
+        `INSERT INTO store_hour_exceptions (store_id, date, closed, note)
+         VALUES ($1, $2, TRUE, $3)`,
+        [storeId, date, note]
+      );
+    } else {
+      for (const { opens, closes } of intervals) {
+        await client.query(
+          `INSERT INTO store_hour_exceptions (store_id, date, closed, opens_at, closes_at, note)
+           VALUES ($1, $2, FALSE, $3, $4, $5)`,
+          [storeId, date, opens, closes, note]
+        );
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  isValidTimeZone,
+  findOverlappingDays,
+  intervalsOverlap,
+  parseOpenFilter,
+  buildOpenFilter,
+  getStoreHours,
+  setWeeklyHours,
+  setHoursException
+};
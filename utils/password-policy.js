@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { pool } = require('../config/database');
+
+const parseNumber = (value, defaultValue) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? defaultValue : parsed;
+};
+
+const parseFlag = (value, defaultValue) => {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  return value === 'true';
+};
+
+// Password policy, configured from the environment. Defaults match the
+// original rules (one uppercase letter and one symbol) with a saner maximum;
+// bcrypt ignores anything past 72 bytes.
+const POLICY = {
+  minLength: parseNumber(process.env.PASSWORD_MIN_LENGTH, 8),
+  maxLength: Math.min(parseNumber(process.env.PASSWORD_MAX_LENGTH, 64), 72),
+  requireUppercase: parseFlag(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+  requireLowercase: parseFlag(process.env.PASSWORD_REQUIRE_LOWERCASE, false),
+  requireDigit: parseFlag(process.env.PASSWORD_REQUIRE_DIGIT, false),
+  requireSymbol: parseFlag(process.env.PASSWORD_REQUIRE_SYMBOL, true),
+  // Number of previous passwords (including the current one) that cannot be reused; 0 disables
+  historySize: Math.min(parseNumber(process.env.PASSWORD_HISTORY_SIZE, 5), 24),
+  // Days before a password must be changed; 0 disables
+  maxAgeDays: parseNumber(process.env.PASSWORD_MAX_AGE_DAYS, 0)
+};
+
+const CHARACTER_CLASSES = [
+  { setting: 'requireUppercase', pattern: /[A-Z]/, code: 'PASSWORD_MISSING_UPPERCASE', label: 'an uppercase letter' },
+  { setting: 'requireLowercase', pattern: /[a-z]/, code: 'PASSWORD_MISSING_LOWERCASE', label: 'a lowercase letter' },
+  { setting: 'requireDigit', pattern: /[0-9]/, code: 'PASSWORD_MISSING_DIGIT', label: 'a digit' },
+  { setting: 'requireSymbol', pattern: /[^A-Za-z0-9]/, code: 'PASSWORD_MISSING_SYMBOL', label: 'a special character' }
+];
+
+// Offline list of common and breached passwords, loaded once
+const BLOCKLIST_FILE = process.env.PASSWORD_BLOCKLIST_FILE ||
+  path.join(__dirname, '..', 'config', 'common-passwords.txt');
+
+let blocklist = null;
+
+const getBlocklist = () => {
+  if (!blocklist) {
+    try {
+      blocklist = new Set(
+        fs.readFileSync(BLOCKLIST_FILE, 'utf8')
+          .split(/\r?\n/)
+          .map((line) => line.trim().toLowerCase())
+          .filter((line) => line && !line.startsWith('#'))
+      );
+    } catch (error) {
+      console.error(`Password blocklist could not be loaded from ${BLOCKLIST_FILE}:`, error.message);
+      blocklist = new Set();
+    }
+  }
+  return blocklist;
+};
+
+// Rules that need no database access. Returns a list of { code, message }.
+const checkPasswordRules = (password) => {
+  if (typeof password !== 'string' || password.length === 0) {
+    return [{ code: 'PASSWORD_REQUIRED', message: 'Password is required' }];
+  }
+
+  const violations = [];
+
+  if (password.length < POLICY.minLength) {
+    violations.push({
+      code: 'PASSWORD_TOO_SHORT',
+      message: `Password must be at least ${POLICY.minLength} characters`
+    });
+  }
+
+  if (password.length > POLICY.maxLength) {
+    violations.push({
+      code: 'PASSWORD_TOO_LONG',
+      message: `Password must not exceed ${POLICY.maxLength} characters`
+    });
+  }
+
+  for (const characterClass of CHARACTER_CLASSES) {
+    if (POLICY[characterClass.setting] && !characterClass.pattern.test(password)) {
+      violations.push({
+        code: characterClass.code,
+        message: `Password must contain ${characterClass.label}`
+      });
+    }
+  }
+
+  if (getBlocklist().has(password.toLowerCase())) {
+    violations.push({
+      code: 'PASSWORD_TOO_COMMON',
+      message: 'Password is too common or has appeared in a data breach'
+    });
+  }
+
+  return violations;
+};
+
+// Whether the password matches one of the user's recent passwords. History
+// is written by a database trigger and its newest row is the current password.
+const isPasswordReused = async (userId, password) => {
+  if (POLICY.historySize === 0) {
+    return false;
+  }
+
+  const result = await pool.query(
+    `SELECT password_hash FROM password_history
+     WHERE user_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2`,
+    [userId, POLICY.historySize]
+  );
+
+  for (const row of result.rows) {
+    if (await bcrypt.compare(password, row.password_hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// Reuse check for an existing user. Only call it once the caller has proven
+// who they are, or it becomes a way to test guesses at the current password.
+const checkPasswordReuse = async (userId, password) => {
+  if (await isPasswordReused(userId, password)) {
+    return [{
+      code: 'PASSWORD_REUSED',
+      message: `Password must not match any of your last ${POLICY.historySize} passwords`
+    }];
+  }
+
+  return [];
+};
+
+// Whether a password set at changedAt is past the maximum age
+const isPasswordExpired = (changedAt) => {
+  if (POLICY.maxAgeDays === 0 || !changedAt) {
+    return false;
+  }
+
+  return Date.now() - new Date(changedAt).getTime() > POLICY.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+const sendPasswordPolicyError = (res, violations) => {
+  return res.status(400).json({
+    message: 'Password does not meet the password policy',
+    code: 'PASSWORD_POLICY_VIOLATION',
+    violations
+  });
+};
+
+// Public summary so clients can show the rules up front
+const describePasswordPolicy = () => ({
+  minLength: POLICY.minLength,
+  maxLength: POLICY.maxLength,
+  requireUppercase: POLICY.requireUppercase,
+  requireLowercase: POLICY.requireLowercase,
+  requireDigit: POLICY.requireDigit,
+  requireSymbol: POLICY.requireSymbol,
+  historySize: POLICY.historySize,
+  maxAgeDays: POLICY.maxAgeDays
+});
+
+module.exports = {
+  checkPasswordRules,
+  checkPasswordReuse,
+  isPasswordExpired,
+  sendPasswordPolicyError,
+  describePasswordPolicy
+};
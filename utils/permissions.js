@@ -0,0 +1,73 @@
+const { pool } = require('../config/database');
+
+// Role lookups happen on every request, so cache them briefly.
+// Role changes made through the API clear the cache immediately.
+const CACHE_TTL_MS = 60 * 1000;
+const roleCache = new Map();
+
+// Permissions and 2FA requirement for a role
+const getRoleAccess = async (roleName) => {
+  const cached = roleCache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.access;
+  }
+
+  const result = await pool.query(
+    `SELECT r.requires_two_factor,
+            COALESCE(array_agg(p.name) FILTER (WHERE p.name IS NOT NULL), '{}') as permissions
+     FROM roles r
+     LEFT JOIN role_permissions rp ON rp.role_id = r.id
+     LEFT JOIN permissions p ON p.id = rp.permission_id
+     WHERE r.name = $1
+     GROUP BY r.id`,
+    [roleName]
+  );
+
+  const access = result.rows.length > 0
+    ? { permissions: result.rows[0].permissions, requiresTwoFactor: result.rows[0].requires_two_factor }
+    : { permissions: [], requiresTwoFactor: false };
+
+  roleCache.set(roleName, { access, expiresAt: Date.now() + CACHE_TTL_MS });
+  return access;
+};
+
+const clearRoleCache = () => {
+  roleCache.clear();
+};
+
+const roleHasPermission = async (roleName, permission) => {
+  const { permissions } = await getRoleAccess(roleName);
+  return permissions.includes(permission);
+};
+
+// Whether a role holds any permission outside the given list
+const roleExceedsPermissions = async (roleName, permissions) => {
+  const access = await getRoleAccess(roleName);
+  return access.permissions.some((permission) => !permissions.includes(permission));
+};
+
+// Whether a user may give someone a role, or act on someone holding it:
+// only roles.manage holders may go beyond their own permissions
+const canGrantRole = async (user, roleName) => {
+  return hasPermission(user, 'roles.manage') || !(await roleExceedsPermissions(roleName, user.permissions));
+};
+
+// Check a permission on an authenticated request's user
+const hasPermission = (user, permission) => {
+  return !!user && Array.isArray(user.permissions) && user.permissions.includes(permission);
+};
+
+const roleExists = async (roleName) => {
+  const result = await pool.query('SELECT id FROM roles WHERE name = $1', [roleName]);
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  getRoleAccess,
+  clearRoleCache,
+  roleHasPermission,
+  roleExceedsPermissions,
+  canGrantRole,
+  hasPermission,
+  roleExists
+};
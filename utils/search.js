@@ -0,0 +1,96 @@
+// Ranked search over a table's search_vector column (kept up to date by
+// database triggers) plus pg_trgm word similarity for typos.
+const SEARCH_CONFIG = 'english';
+const MAX_QUERY_LENGTH = 200;
+
+// Below this length trigrams match almost anything, so only full-text applies
+const MIN_FUZZY_LENGTH = 3;
+
+const HIGHLIGHT_OPTIONS = 'StartSel=<mark>, StopSel=</mark>';
+
+// Trimmed search text from a query string value, or '' when there is none
+const normalizeSearchQuery = (value) => {
+  return typeof value === 'string' ? value.trim().slice(0, MAX_QUERY_LENGTH) : '';
+};
+
+// URL-friendly slug from a (validator-escaped) category or brand name
+const slugify = (value) => {
+  return value
+    .replace(/&amp;/g, ' and ')
+    .replace(/&#?\w+;/g, '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+};
+
+// Build the pieces of a ranked search for a table alias. Values are
+// appended to params.
+//   fuzzyColumns: [{ column, weight }] compared with word_similarity
+//   snippetColumns: [{ column, as, fragments }] returned with <mark> highlights
+// Returns { condition, rank, snippets } to splice into a query.
+const buildSearch = ({ q, alias, fuzzyColumns = [], snippetColumns = [] }, params) => {
+  params.push(q);
+  const term = `$${params.length}::text`;
+  const tsquery = `websearch_to_tsquery('${SEARCH_CONFIG}', ${term})`;
+
+  const fuzzy = q.length >= MIN_FUZZY_LENGTH ? fuzzyColumns : [];
+  const matches = [
+    `${alias}.search_vector @@ ${tsquery}`,
+    ...fuzzy.map(({ column }) => `${term} <% ${alias}.${column}`)
+  ];
+
+  const similarity = fuzzy.length > 0
+    ? ` + GREATEST(${fuzzy.map(({ column, weight }) => `word_similarity(${term}, ${alias}.${column}) * ${weight}`).join(', ')})`
+    : '';
+
+  const snippets = snippetColumns.map(({ column, as, fragments }) => {
+    const options = fragments
+      ? `${HIGHLIGHT_OPTIONS}, MaxFragments=${fragments}, MaxWords=20, MinWords=5`
+      : `${HIGHLIGHT_OPTIONS}, HighlightAll=true`;
+    return `ts_headline('${SEARCH_CONFIG}', ${alias}.${column}, ${tsquery}, '${options}') as ${as}`;
+  });
+
+  return {
+    condition: ` AND (${matches.join(' OR ')})`,
+    rank: `(ts_rank_cd(${alias}.search_vector, ${tsquery})${similarity})`,
+    snippets
+  };
+};
+
+// Store search: name, categories and tags, then address
+const buildStoreSearch = (q, params) => buildSearch({
+  q,
+  alias: 's',
+  fuzzyColumns: [
+    { column: 'name', weight: 1 },
+    { column: 'address', weight: 0.5 }
+  ],
+  snippetColumns: [
+    { column: 'name', as: 'name_highlight' },
+    { column: 'address', as: 'address_snippet', fragments: 2 }
+  ]
+}, params);
+
+// User search: name and email, then address
+const buildUserSearch = (q, params) => buildSearch({
+  q,
+  alias: 'u',
+  fuzzyColumns: [
+    { column: 'name', weight: 1 },
+    { column: 'email', weight: 1 }
+  ],
+  snippetColumns: [
+    { column: 'name', as: 'name_highlight' },
+    { column: 'address', as: 'address_snippet', fragments: 1 }
+  ]
+}, params);
+
+module.exports = {
+  normalizeSearchQuery,
+  slugify,
+  buildStoreSearch,
+  buildUserSearch
+};
@@ -0,0 +1,271 @@
+const { pool } = require('../config/database');
+const { removeMediaFiles } = require('./media');
+const { findEvidenceKeys, removeEvidenceFiles } = require('./store-claims');
+const { recordChanges } = require('./change-history');
+const { removeStoreStaff } = require('./store-members');
+
+const SOFT_DELETE_RETENTION_DAYS = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
+const SOFT_DELETE_PURGE_INTERVAL_MINUTES = parseInt(process.env.SOFT_DELETE_PURGE_INTERVAL_MINUTES) || 60;
+
+// Run queries in a transaction on one client
+const inTransaction = async (work) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query(result ? 'COMMIT' : 'ROLLBACK');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Everything a cascade touches shares the deleted_at of the row that started
+// it (CURRENT_TIMESTAMP is fixed for the transaction), which is how a restore
+// finds the rows to bring back with it.
+
+// Soft delete a store and its ratings; returns false if it was not active
+const softDeleteStore = (storeId, actorId) => inTransaction(async (client) => {
+  const result = await client.query(
+    `UPDATE stores SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND deleted_at IS NULL
+     RETURNING id`,
+    [storeId, actorId]
+  );
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await client.query(
+    `UPDATE ratings SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+     WHERE store_id = $1 AND deleted_at IS NULL`,
+    [storeId, actorId]
+  );
+
+  return true;
+});
+
+// Soft delete a user with the stores they own and every rating by them or of
+// those stores; returns false if the user was not active
+const softDeleteUser = (userId, actorId) => inTransaction(async (client) => {
+  const result = await client.query(
+    `UPDATE users SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND deleted_at IS NULL
+     RETURNING id`,
+    [userId, actorId]
+  );
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await client.query(
+    `UPDATE stores SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE owner_id = $1 AND deleted_at IS NULL`,
+    [userId, actorId]
+  );
+
+  await client.query(
+    `UPDATE ratings SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+     WHERE deleted_at IS NULL
+       AND (user_id = $1 OR store_id IN (SELECT id FROM stores WHERE owner_id = $1))`,
+    [userId, actorId]
+  );
+
+  // Sign them out everywhere, including sessions where they impersonate someone
+  await client.query(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+     WHERE (user_id = $1 OR impersonator_id = $1) AND revoked_at IS NULL`,
+    [userId]
+  );
+
+  return true;
+});
+
+// Bring back a store deleted within the retention window, with the ratings
+// that were deleted along with it (unless their author has since been
+// deleted). The caller checks the owner is active.
+const restoreStore = (storeId) => inTransaction(async (client) => {
+  const result = await client.query(
+    `SELECT id FROM stores
+     WHERE id = $1 AND deleted_at > CURRENT_TIMESTAMP - make_interval(days => $2)
+     FOR UPDATE`,
+    [storeId, SOFT_DELETE_RETENTION_DAYS]
+  );
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await client.query(
+    `UPDATE ratings r SET deleted_at = NULL, deleted_by = NULL
+     FROM stores s
+     WHERE s.id = $1 AND r.store_id = s.id AND r.deleted_at = s.deleted_at
+       AND NOT EXISTS (SELECT 1 FROM users u WHERE u.id = r.user_id AND u.deleted_at IS NOT NULL)`,
+    [storeId]
+  );
+
+  await client.query(
+    `UPDATE stores SET deleted_at = NULL, deleted_by = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [storeId]
+  );
+
+  return true;
+});
+
+// Bring back a user deleted within the retention window, with the stores and
+// ratings that were deleted along with them
+const restoreUser = (userId) => inTransaction(async (client) => {
+  const result = await client.query(
+    `SELECT id FROM users
+     WHERE id = $1 AND deleted_at > CURRENT_TIMESTAMP - make_interval(days => $2)
+     FOR UPDATE`,
+    [userId, SOFT_DELETE_RETENTION_DAYS]
+  );
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  // Skip ratings whose author or store has been deleted separately since
+  await client.query(
+    `UPDATE ratings r SET deleted_at = NULL, deleted_by = NULL
+     FROM users u, stores s
+     WHERE u.id = $1 AND s.id = r.store_id AND r.deleted_at = u.deleted_at
+       AND (r.user_id = u.id OR s.owner_id = u.id)
+       AND (s.deleted_at IS NULL OR (s.owner_id = u.id AND s.deleted_at = u.deleted_at))
+       AND (r.user_id = u.id OR NOT EXISTS (
+         SELECT 1 FROM users ru WHERE ru.id = r.user_id AND ru.deleted_at IS NOT NULL
+       ))`,
+    [userId]
+  );
+
+  await client.query(
+    `UPDATE stores s SET deleted_at = NULL, deleted_by = NULL, updated_at = CURRENT_TIMESTAMP
+     FROM users u
+     WHERE u.id = $1 AND s.owner_id = u.id AND s.deleted_at = u.deleted_at`,
+    [userId]
+  );
+
+  await client.query(
+    `UPDATE users SET deleted_at = NULL, deleted_by = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [userId]
+  );
+
+  return true;
+});
+
+// Bring back a rating deleted within the retention window, provided its
+// author and store are active
+const restoreRating = async (ratingId) => {
+  const result = await pool.query(
+    `UPDATE ratings r SET deleted_at = NULL, deleted_by = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE r.id = $1 AND r.deleted_at > CURRENT_TIMESTAMP - make_interval(days => $2)
+       AND EXISTS (SELECT 1 FROM users u WHERE u.id = r.user_id AND u.deleted_at IS NULL)
+       AND EXISTS (SELECT 1 FROM stores s WHERE s.id = r.store_id AND s.deleted_at IS NULL)
+     RETURNING r.id`,
+    [ratingId, SOFT_DELETE_RETENTION_DAYS]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Permanently remove rows deleted longer ago than the retention window.
+// Store media and claim evidence files are removed once the rows are gone.
+const purgeSoftDeleted = async () => {
+  const ratingResult = await pool.query(
+    `DELETE FROM ratings
+     WHERE deleted_at <= CURRENT_TIMESTAMP - make_interval(days => $1)
+     RETURNING id`,
+    [SOFT_DELETE_RETENTION_DAYS]
+  );
+
+  const userResult = await pool.query(
+    `SELECT id FROM users
+     WHERE deleted_at <= CURRENT_TIMESTAMP - make_interval(days => $1)`,
+    [SOFT_DELETE_RETENTION_DAYS]
+  );
+  const userIds = userResult.rows.map((row) => row.id);
+
+  // Active stores keep their ratings if their owner goes; the owner's other
+  // stores cascade with them
+  const detachResult = await pool.query(
+    `UPDATE stores s SET owner_id = NULL, updated_at = CURRENT_TIMESTAMP
+     FROM users u
+     WHERE u.id = s.owner_id AND u.id = ANY($1::int[]) AND s.deleted_at IS NULL
+     RETURNING s.id, u.id as previous_owner_id`,
+    [userIds]
+  );
+
+  await removeStoreStaff(pool, detachResult.rows.map((store) => store.id));
+
+  for (const store of detachResult.rows) {
+    await recordChanges(pool, {
+      entityType: 'store',
+      entityId: store.id,
+      action: 'owner_removed',
+      before: { owner_id: store.previous_owner_id },
+      after: { owner_id: null }
+    });
+  }
+
+  const storeResult = await pool.query(
+    `SELECT id FROM stores
+     WHERE deleted_at <= CURRENT_TIMESTAMP - make_interval(days => $1) OR owner_id = ANY($2::int[])`,
+    [SOFT_DELETE_RETENTION_DAYS, userIds]
+  );
+  const storeIds = storeResult.rows.map((row) => row.id);
+
+  const mediaResult = await pool.query(
+    'SELECT storage_key, variants FROM store_media WHERE store_id = ANY($1::int[])',
+    [storeIds]
+  );
+  const evidenceKeys = await findEvidenceKeys({ storeIds, claimantIds: userIds });
+
+  await pool.query('DELETE FROM stores WHERE id = ANY($1::int[])', [storeIds]);
+  await pool.query('DELETE FROM users WHERE id = ANY($1::int[])', [userIds]);
+
+  await removeMediaFiles(mediaResult.rows);
+  await removeEvidenceFiles(evidenceKeys);
+
+  const purged = {
+    users: userIds.length,
+    stores: storeIds.length,
+    ratings: ratingResult.rows.length
+  };
+
+  if (purged.users + purged.stores + purged.ratings > 0) {
+    console.log(`Purged ${purged.users} user(s), ${purged.stores} store(s) and ${purged.ratings} rating(s) past the retention window`);
+  }
+
+  return purged;
+};
+
+// Run the purge periodically inside the API process
+const startSoftDeletePurgeJob = () => {
+  const run = () => {
+    purgeSoftDeleted().catch((error) => {
+      console.error('Soft delete purge error:', error);
+    });
+  };
+
+  // Catch up straight away rather than waiting a full interval after a restart
+  run();
+  const timer = setInterval(run, SOFT_DELETE_PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  SOFT_DELETE_RETENTION_DAYS,
+  softDeleteStore,
+  softDeleteUser,
+  restoreStore,
+  restoreUser,
+  restoreRating,
+  purgeSoftDeleted,
+  startSoftDeletePurgeJob
+};
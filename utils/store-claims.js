@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const path = require('path');
+const { pool } = require('../config/database');
+const { getMediaStorage } = require('./media-storage');
+const { sendMail } = require('./mailer');
+
+const CLAIM_STATUSES = ['pending', 'approved', 'rejected', 'withdrawn'];
+
+// Evidence files (a utility bill, business licence and so on) are private:
+// they are stored outside the public media prefix and only downloaded by the
+// claimant and reviewers
+const EVIDENCE_SIGNATURES = [
+  { type: 'application/pdf', extension: 'pdf', matches: (buffer) => buffer.subarray(0, 5).toString('latin1') === '%PDF-' },
+  { type: 'image/jpeg', extension: 'jpg', matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  { type: 'image/png', extension: 'png', matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/webp', extension: 'webp', matches: (buffer) => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+const ALLOWED_EVIDENCE_TYPES = EVIDENCE_SIGNATURES.map((signature) => signature.type);
+
+const MAX_EVIDENCE_FILES = 5;
+const MAX_EVIDENCE_FILE_SIZE = 10 * 1024 * 1024;
+
+// Check that each uploaded file really is the type it claims to be. Returns
+// an error message for the first file that is not, otherwise null.
+const checkEvidenceFiles = (files) => {
+  for (const file of files) {
+    const signature = EVIDENCE_SIGNATURES.find((candidate) => candidate.type === file.mimetype);
+    if (!signature || !signature.matches(file.buffer)) {
+      return `${file.originalname} does not look like a valid ${file.mimetype} file`;
+    }
+  }
+  return null;
+};
+
+// Keep just enough of the uploaded name to recognise the file
+const cleanFileName = (name) => {
+  const cleaned = path.basename(name).replace(/[^\w.\- ]+/g, '_').trim();
+  return cleaned.slice(-100) || 'evidence';
+};
+
+// Write evidence files to storage. Returns the rows to insert into
+// store_claim_evidence (without claim_id).
+const storeEvidenceFiles = async (files) => {
+  const storage = getMediaStorage();
+  const stored = [];
+
+  for (const file of files) {
+    const { extension } = EVIDENCE_SIGNATURES.find((signature) => signature.type === file.mimetype);
+    const storageKey = `claims/${crypto.randomUUID()}.${extension}`;
+
+    await storage.save(storageKey, file.buffer, file.mimetype);
+    stored.push({
+      storageKey,
+      fileName: cleanFileName(file.originalname),
+      contentType: file.mimetype,
+      sizeBytes: file.size
+    });
+  }
+
+  return stored;
+};
+
+// Delete evidence files; failures are logged like other media clean-up
+const removeEvidenceFiles = async (storageKeys) => {
+  const storage = getMediaStorage();
+
+  for (const key of storageKeys) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error('Remove claim evidence error:', error.message);
+    }
+  }
+};
+
+// Storage keys of evidence attached to claims on some stores or by some
+// users, read before the rows cascade away so the files can follow
+const findEvidenceKeys = async ({ storeIds = null, claimantIds = null }) => {
+  const result = await pool.query(
+    `SELECT e.storage_key FROM store_claim_evidence e
+     JOIN store_claims c ON c.id = e.claim_id
+     WHERE c.store_id = ANY($1::int[]) OR c.claimant_id = ANY($2::int[])`,
+    [storeIds || [], claimantIds || []]
+  );
+  return result.rows.map((row) => row.storage_key);
+};
+
+const CLAIM_SELECT = `
+  SELECT c.id, c.status, c.note, c.review_note, c.reviewed_at, c.created_at, c.updated_at,
+         s.id as store_id, s.name as store_name, s.address as store_address,
+         cu.id as claimant_id, cu.name as claimant_name, cu.email as claimant_email,
+         ru.name as reviewer_name
+  FROM store_claims c
+  JOIN stores s ON s.id = c.store_id
+  JOIN users cu ON cu.id = c.claimant_id
+  LEFT JOIN users ru ON ru.id = c.reviewed_by
+`;
+
+// Add each claim's evidence list, with authenticated download URLs
+const withClaimEvidence = async (claims) => {
+  const claimIds = claims.map((claim) => claim.id);
+  const evidence = new Map(claimIds.map((id) => [id, []]));
+
+  if (claimIds.length > 0) {
+    const result = await pool.query(
+      `SELECT id, claim_id, file_name, content_type, size_bytes, created_at
+       FROM store_claim_evidence WHERE claim_id = ANY($1)
+       ORDER BY id ASC`,
+      [claimIds]
+    );
+
+    for (const { claim_id: claimId, ...file } of result.rows) {
+      evidence.get(claimId).push({
+        ...file,
+        url: `/api/store-claims/${claimId}/evidence/${file.id}`
+      });
+    }
+  }
+
+  return claims.map((claim) => ({ ...claim, evidence: evidence.get(claim.id) }));
+};
+
+// A single claim with its evidence, or null
+const getClaim = async (claimId) => {
+  const result = await pool.query(`${CLAIM_SELECT} WHERE c.id = $1`, [claimId]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const [claim] = await withClaimEvidence(result.rows);
+  return claim;
+};
+
+// Tell the claimant and, when storeEmail is given, the store's contact
+// address how a review went. Mail failures are logged; the review itself
+// has already been saved.
+const notifyClaimOutcome = async ({ claim, storeEmail, approved, reviewNote }) => {
+  const reason = reviewNote ? `\n\nNote from the reviewer: ${reviewNote}` : '';
+
+  const messages = [
+    {
+      to: claim.claimant_email,
+      subject: approved
+        ? `Your claim for ${claim.store_name} was approved`
+        : `Your claim for ${claim.store_name} was not approved`,
+      text: `Hello ${claim.claimant_name},\n\n` +
+        (approved
+          ? `You are now the owner of ${claim.store_name} and can manage it from your dashboard.`
+          : `We could not confirm that you own ${claim.store_name}, so your claim was declined. ` +
+            'You are welcome to submit a new claim with further evidence.') +
+        reason
+    },
+    {
+      to: storeEmail,
+      subject: approved
+        ? `${claim.store_name} now has an owner on Store Rating`
+        : `A claim for ${claim.store_name} was declined`,
+      text: approved
+        ? `${claim.claimant_name} (${claim.claimant_email}) has been confirmed as the owner of ` +
+          `${claim.store_name} on Store Rating.\n\nIf this is not right, please contact the Store Rating team.`
+        : `${claim.claimant_name} asked to manage ${claim.store_name} on Store Rating. ` +
+          'The request was reviewed and declined, and nothing about the store has changed.'
+    }
+  ];
+
+  for (const message of messages.filter((candidate) => candidate.to)) {
+    try {
+      await sendMail(message);
+    } catch (error) {
+      console.error('Claim outcome email error:', error);
+    }
+  }
+};
+
+module.exports = {
+  CLAIM_STATUSES,
+  ALLOWED_EVIDENCE_TYPES,
+  MAX_EVIDENCE_FILES,
+  MAX_EVIDENCE_FILE_SIZE,
+  CLAIM_SELECT,
+  checkEvidenceFiles,
+  storeEvidenceFiles,
+  removeEvidenceFiles,
+  findEvidenceKeys,
+  withClaimEvidence,
+  getClaim,
+  notifyClaimOutcome
+};
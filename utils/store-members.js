@@ -0,0 +1,72 @@
+const { pool } = require('../config/database');
+const { hashToken } = require('./tokens');
+const { sendMail, buildClientUrl } = require('./mailer');
+
+const STORE_INVITATION_EXPIRE_DAYS = parseInt(process.env.INVITATION_EXPIRE_DAYS) || 7;
+
+// The user's staff level on a store, or null if they are not staff there
+const getMemberLevel = async (storeId, userId) => {
+  const result = await pool.query(
+    'SELECT level FROM store_members WHERE store_id = $1 AND user_id = $2',
+    [storeId, userId]
+  );
+  return result.rows.length > 0 ? result.rows[0].level : null;
+};
+
+// SQL condition limiting a stores table aliased as s to the stores a user
+// owns or is staff of; userParam is the placeholder holding their id
+const ownedOrStaffedStores = (userParam) => `
+  (s.owner_id = ${userParam} OR s.id IN (SELECT store_id FROM store_members WHERE user_id = ${userParam}))
+`;
+
+// Drop the staff and revoke pending staff invitations of stores that are
+// changing hands; they were chosen by the previous owner
+const removeStoreStaff = async (db, storeIds) => {
+  if (storeIds.length === 0) {
+    return;
+  }
+
+  await db.query('DELETE FROM store_members WHERE store_id = ANY($1::int[])', [storeIds]);
+  await db.query(
+    `UPDATE store_member_invitations SET revoked_at = CURRENT_TIMESTAMP
+     WHERE store_id = ANY($1::int[]) AND accepted_at IS NULL AND revoked_at IS NULL`,
+    [storeIds]
+  );
+};
+
+// A pending, unexpired invitation to a store's staff by its plaintext token
+const findPendingStoreInvitation = async (storeId, token, db = pool) => {
+  const result = await db.query(
+    `SELECT i.id, i.store_id, i.email, i.level, i.invited_by, s.name as store_name, s.owner_id
+     FROM store_member_invitations i
+     JOIN stores s ON s.id = i.store_id
+     WHERE i.store_id = $1 AND i.token_hash = $2 AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+       AND i.expires_at > CURRENT_TIMESTAMP AND s.deleted_at IS NULL`,
+    [storeId, hashToken(token)]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Email the single-use link for joining a store's staff
+const sendStoreInvitationEmail = async ({ invitation, token, storeName, inviter }) => {
+  const acceptUrl = buildClientUrl(`/stores/${invitation.store_id}/accept-invitation`, { token });
+
+  await sendMail({
+    to: invitation.email,
+    subject: `You have been invited to help manage ${storeName}`,
+    text: `Hello,\n\n${inviter.name} has invited you to join the staff of ${storeName} on Store Rating ` +
+      `as a ${invitation.level}. Sign in (or register) with this email address and open the link below ` +
+      `to accept. It expires in ${STORE_INVITATION_EXPIRE_DAYS} days and can only be used once.\n\n` +
+      `${acceptUrl}\n\nIf you were not expecting this invitation, you can ignore this email.`
+  });
+};
+
+module.exports = {
+  STORE_INVITATION_EXPIRE_DAYS,
+  getMemberLevel,
+  ownedOrStaffedStores,
+  removeStoreStaff,
+  findPendingStoreInvitation,
+  sendStoreInvitationEmail
+};
@@ -0,0 +1,292 @@
+const { pool } = require('../config/database');
+const { geocodeAddress } = require('./geocoder');
+
+// Per-user summary of owned stores, for use as a LATERAL subquery against a
+// users table aliased as u. The rating is weighted by each store's number of
+// ratings so a new location with one review does not skew it.
+const OWNED_STORES_SUMMARY = `
+  SELECT COUNT(*)::int as store_count,
+         ROUND(SUM(s.average_rating * s.total_ratings) / NULLIF(SUM(s.total_ratings), 0), 1) as store_rating,
+         COALESCE(array_agg(s.id ORDER BY s.id), '{}') as store_ids,
+         COALESCE(array_agg(s.name ORDER BY s.name), '{}') as store_names
+  FROM stores s
+  WHERE s.owner_id = u.id AND s.deleted_at IS NULL
+`;
+
+// A category (by id or slug) and every category below it. Takes the
+// category as the given placeholder, e.g. categorySubtree('$3').
+const categorySubtree = (placeholder) => `
+  WITH RECURSIVE subtree AS (
+    SELECT id FROM categories WHERE id::text = ${placeholder}::text OR slug = ${placeholder}::text
+    UNION
+    SELECT c.id FROM categories c JOIN subtree t ON c.parent_id = t.id
+  )
+  SELECT id FROM subtree
+`;
+
+// Lower-cased, de-duplicated tags from a comma-separated query value
+const parseTagFilter = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  const tags = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(tags.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+// SQL conditions for the category and tag filters on a stores table aliased
+// as s. Values are appended to params. A category matches its subcategories
+// too; several tags must all be present.
+const buildTaxonomyFilters = ({ category, tag }, params) => {
+  let sql = '';
+
+  if (category) {
+    params.push(String(category));
+    sql += ` AND s.id IN (
+      SELECT sc.store_id FROM store_categories sc
+      WHERE sc.category_id IN (${categorySubtree(`$${params.length}`)})
+    )`;
+  }
+
+  const tags = parseTagFilter(tag);
+  if (tags.length > 0) {
+    params.push(tags);
+    sql += ` AND s.id IN (
+      SELECT st.store_id FROM store_tags st
+      JOIN tags t ON st.tag_id = t.id
+      WHERE t.name = ANY($${params.length}::text[])
+      GROUP BY st.store_id
+      HAVING COUNT(*) = cardinality($${params.length}::text[])
+    )`;
+  }
+
+  return sql;
+};
+
+// Category and tag counts for the stores matched by storeIdsQuery (which
+// must select s.id). Category counts include stores in subcategories.
+const getStoreFacets = async (storeIdsQuery, params) => {
+  const categoryResult = await pool.query(`
+    WITH RECURSIVE ancestry AS (
+      SELECT id as category_id, id as ancestor_id FROM categories
+      UNION
+      SELECT a.category_id, c.parent_id
+      FROM ancestry a
+      JOIN categories c ON c.id = a.ancestor_id
+      WHERE c.parent_id IS NOT NULL
+    )
+    SELECT c.id, c.name, c.slug, c.parent_id, COUNT(DISTINCT sc.store_id)::int as count
+    FROM store_categories sc
+    JOIN ancestry a ON a.category_id = sc.category_id
+    JOIN categories c ON c.id = a.ancestor_id
+    WHERE sc.store_id IN (${storeIdsQuery})
+    GROUP BY c.id
+    ORDER BY c.name ASC
+  `, params);
+
+  const tagResult = await pool.query(`
+    SELECT t.name, COUNT(*)::int as count
+    FROM store_tags st
+    JOIN tags t ON st.tag_id = t.id
+    WHERE st.store_id IN (${storeIdsQuery})
+    GROUP BY t.name
+    ORDER BY count DESC, t.name ASC
+    LIMIT 50
+  `, params);
+
+  return {
+    categories: categoryResult.rows,
+    tags: tagResult.rows
+  };
+};
+
+// Categories and tags for a set of stores, keyed by store id
+const getStoreTaxonomy = async (storeIds) => {
+  const taxonomy = new Map(storeIds.map((id) => [id, { categories: [], tags: [] }]));
+
+  if (storeIds.length === 0) {
+    return taxonomy;
+  }
+
+  const categoryResult = await pool.query(
+    `SELECT sc.store_id, c.id, c.name, c.slug
+     FROM store_categories sc
+     JOIN categories c ON sc.category_id = c.id
+     WHERE sc.store_id = ANY($1)
+     ORDER BY c.name ASC`,
+    [storeIds]
+  );
+
+  for (const { store_id: storeId, ...category } of categoryResult.rows) {
+    taxonomy.get(storeId).categories.push(category);
+  }
+
+  const tagResult = await pool.query(
+    `SELECT st.store_id, t.name
+     FROM store_tags st
+     JOIN tags t ON st.tag_id = t.id
+     WHERE st.store_id = ANY($1)
+     ORDER BY t.name ASC`,
+    [storeIds]
+  );
+
+  for (const row of tagResult.rows) {
+    taxonomy.get(row.store_id).tags.push(row.name);
+  }
+
+  return taxonomy;
+};
+
+// Add categories and tags to each store row
+const withStoreTaxonomy = async (stores) => {
+  const taxonomy = await getStoreTaxonomy(stores.map((store) => store.id));
+  return stores.map((store) => ({ ...store, ...taxonomy.get(store.id) }));
+};
+
+// Ids from the list that are not existing categories
+const findMissingCategories = async (categoryIds) => {
+  const result = await pool.query('SELECT id FROM categories WHERE id = ANY($1)', [categoryIds]);
+  const found = new Set(result.rows.map((row) => row.id));
+  return categoryIds.filter((id) => !found.has(id));
+};
+
+// Replace a store's categories and/or tags. Fields left undefined are kept.
+// Runs on the caller's client so it can share their transaction.
+const setStoreTaxonomy = async (db, storeId, { categoryIds, tags }) => {
+  if (categoryIds !== undefined) {
+    await db.query('DELETE FROM store_categories WHERE store_id = $1', [storeId]);
+    await db.query(
+      `INSERT INTO store_categories (store_id, category_id)
+       SELECT $1, id FROM categories WHERE id = ANY($2)`,
+      [storeId, [...new Set(categoryIds)]]
+    );
+  }
+
+  if (tags !== undefined) {
+    const names = parseTagFilter(tags);
+
+    await db.query('DELETE FROM store_tags WHERE store_id = $1', [storeId]);
+    await db.query(
+      'INSERT INTO tags (name) SELECT unnest($1::text[]) ON CONFLICT (name) DO NOTHING',
+      [names]
+    );
+    await db.query(
+      `INSERT INTO store_tags (store_id, tag_id)
+       SELECT $1, id FROM tags WHERE name = ANY($2)`,
+      [storeId, names]
+    );
+  }
+};
+
+const EARTH_RADIUS_KM = 6371;
+const MAX_RADIUS_KM = 500;
+
+// Read lat, lng and radiusKm from a query string. Returns null when no
+// location was given and { error } when it is incomplete or out of range.
+const parseProximity = ({ lat, lng, radiusKm }) => {
+  if (!lat && !lng && !radiusKm) {
+    return null;
+  }
+
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+
+  if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+    return { error: 'lat and lng are both required for a location search' };
+  }
+
+  if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    return { error: 'lat must be between -90 and 90 and lng between -180 and 180' };
+  }
+
+  if (!radiusKm) {
+    return { latitude, longitude, radiusKm: null };
+  }
+
+  const radius = parseFloat(radiusKm);
+  if (Number.isNaN(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+    return { error: `radiusKm must be greater than 0 and at most ${MAX_RADIUS_KM}` };
+  }
+
+  return { latitude, longitude, radiusKm: radius };
+};
+
+// Great-circle distance from a point to a stores table aliased as s, plus
+// conditions limiting it to stores with coordinates inside the radius.
+// Values are appended to params.
+const buildProximityFilter = ({ latitude, longitude, radiusKm }, params) => {
+  params.push(latitude, longitude);
+  const lat = `$${params.length - 1}::float8`;
+  const lng = `$${params.length}::float8`;
+
+  const distance = `(${EARTH_RADIUS_KM} * 2 * ASIN(LEAST(1, SQRT(
+    POWER(SIN(RADIANS(s.latitude - ${lat}) / 2), 2) +
+    COS(RADIANS(${lat})) * COS(RADIANS(s.latitude)) * POWER(SIN(RADIANS(s.longitude - ${lng}) / 2), 2)
+  ))))`;
+
+  let sql = ' AND s.latitude IS NOT NULL AND s.longitude IS NOT NULL';
+
+  if (radiusKm) {
+    // Bounding box first so the index on (latitude, longitude) can help;
+    // skip the longitude bounds near the poles or across the antimeridian
+    const latDelta = radiusKm / 111.045;
+    const lngDelta = radiusKm / (111.045 * Math.cos((latitude * Math.PI) / 180));
+
+    params.push(latitude - latDelta, latitude + latDelta);
+    sql += ` AND s.latitude BETWEEN $${params.length - 1} AND $${params.length}`;
+
+    if (Number.isFinite(lngDelta) && longitude - lngDelta >= -180 && longitude + lngDelta <= 180) {
+      params.push(longitude - lngDelta, longitude + lngDelta);
+      sql += ` AND s.longitude BETWEEN $${params.length - 1} AND $${params.length}`;
+    }
+
+    params.push(radiusKm);
+    sql += ` AND ${distance} <= $${params.length}`;
+  }
+
+  return { distance, sql };
+};
+
+// Coordinates to store for a create or update. Explicit latitude/longitude
+// win (null clears them); otherwise a new address is geocoded. On update,
+// pass the store's current address and location_source: an unchanged
+// address is not geocoded again, so manually set coordinates survive edits
+// to other fields, and geocoded coordinates are cleared when the address
+// changes and the new one cannot be located, rather than left pointing at
+// the old address. Returns undefined when the stored location should be
+// left alone.
+const resolveStoreLocation = async ({ latitude, longitude, address }, current = null) => {
+  if (latitude !== undefined) {
+    return {
+      latitude,
+      longitude,
+      source: latitude === null ? null : 'manual'
+    };
+  }
+
+  if (address && !(current && current.address === address)) {
+    const location = await geocodeAddress(address);
+    if (location) {
+      return { ...location, source: 'geocoder' };
+    }
+
+    if (current && current.location_source === 'geocoder') {
+      return { latitude: null, longitude: null, source: null };
+    }
+  }
+
+  return undefined;
+};
+
+module.exports = {
+  OWNED_STORES_SUMMARY,
+  categorySubtree,
+  buildTaxonomyFilters,
+  getStoreFacets,
+  withStoreTaxonomy,
+  findMissingCategories,
+  setStoreTaxonomy,
+  parseProximity,
+  buildProximityFilter,
+  resolveStoreLocation
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+const EMAIL_VERIFICATION_EXPIRE = process.env.EMAIL_VERIFICATION_EXPIRE || '24h';
+const TWO_FACTOR_CHALLENGE_EXPIRE = '5m';
+const IMPERSONATION_EXPIRE = process.env.IMPERSONATION_EXPIRE || '30m';
+
+// Hash an opaque token before storing or looking it up
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+};
+
+// Start an impersonation session. The access token names both the subject
+// (userId) and the admin acting as them (actorId); no refresh token is
+// issued, so the session ends when the token expires.
+const createImpersonationSession = async (actorId, subjectId, client = {}) => {
+  const sessionResult = await pool.query(
+    `INSERT INTO sessions (user_id, impersonator_id, device, user_agent, ip_address)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+    [subjectId, actorId, client.device || null, client.userAgent || null, client.ipAddress || null]
+  );
+
+  const sessionId = sessionResult.rows[0].id;
+
+  return {
+    sessionId,
+    token: jwt.sign({ userId: subjectId, sessionId, actorId }, process.env.JWT_SECRET, {
+      expiresIn: IMPERSONATION_EXPIRE
+    }),
+    expiresIn: IMPERSONATION_EXPIRE
+  };
+};
+
+// Sign a single-purpose JWT. These carry no sessionId, so
+// authenticateToken never accepts them as access tokens.
+const signPurposeToken = (payload, purpose, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, process.env.JWT_SECRET, { expiresIn });
+};
+
+// Decode a single-purpose JWT, returning null if invalid, expired or for another purpose
+const verifyPurposeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Generate signed email verification token, bound to the address it was sent to
+const generateEmailVerificationToken = (userId, email) => {
+  return signPurposeToken({ userId, email }, 'email_verification', EMAIL_VERIFICATION_EXPIRE);
+};
+
+const verifyEmailVerificationToken = (token) => verifyPurposeToken(token, 'email_verification');
+
+// Generate token proving the password step of a two-factor login succeeded
+const generateTwoFactorChallengeToken = (userId) => {
+  const jti = crypto.randomBytes(16).toString('hex');
+  return signPurposeToken({ userId, jti }, 'two_factor_challenge', TWO_FACTOR_CHALLENGE_EXPIRE);
+};
+
+const verifyTwoFactorChallengeToken = (token) => verifyPurposeToken(token, 'two_factor_challenge');
+
+// Mark a verified challenge as used; false if it already was
+const consumeTwoFactorChallenge = async (challenge) => {
+  if (!challenge.jti) {
+    return false;
+  }
+
+  await pool.query('DELETE FROM used_two_factor_challenges WHERE expires_at < CURRENT_TIMESTAMP');
+
+  const result = await pool.query(
+    `INSERT INTO used_two_factor_challenges (jti, expires_at)
+     VALUES ($1, to_timestamp($2))
+     ON CONFLICT (jti) DO NOTHING
+     RETURNING jti`,
+    [challenge.jti, challenge.exp]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Store a new refresh token for a session and return the plaintext value
+const issueRefreshToken = async (sessionId, db = pool) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  await db.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(days => $3))`,
+    [sessionId, hashToken(refreshToken), REFRESH_TOKEN_EXPIRE_DAYS]
+  );
+
+  return refreshToken;
+};
+
+// Start a new session (token family) and issue its first token pair.
+// client holds the device, user agent and IP shown in session listings.
+const createSession = async (userId, client = {}) => {
+  const sessionResult = await pool.query(
+    `INSERT INTO sessions (user_id, device, user_agent, ip_address)
+     VALUES ($1, $2, $3, $4) RETURNING id`,
+    [userId, client.device || null, client.userAgent || null, client.ipAddress || null]
+  );
+
+  const sessionId = sessionResult.rows[0].id;
+  const refreshToken = await issueRefreshToken(sessionId);
+
+  return {
+    token: generateToken(userId, sessionId),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new token pair.
+// Returns null when the token is unknown, expired or revoked. Presenting a
+// token that was already rotated revokes the whole family.
+const rotateRefreshToken = async (refreshToken, client = {}) => {
+  const result = await pool.query(
+    `SELECT rt.id, rt.session_id, rt.used_at, rt.expires_at < CURRENT_TIMESTAMP as expired,
+            s.user_id, s.revoked_at
+     FROM refresh_tokens rt
+     JOIN sessions s ON rt.session_id = s.id
+     WHERE rt.token_hash = $1`,
+    [hashToken(refreshToken)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const stored = result.rows[0];
+
+  if (stored.revoked_at || stored.expired) {
+    return null;
+  }
+
+  // Mark as used atomically so concurrent refreshes cannot both succeed
+  const claimResult = await pool.query(
+    `UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND used_at IS NULL
+     RETURNING id`,
+    [stored.id]
+  );
+
+  if (claimResult.rows.length === 0) {
+    console.warn(`Refresh token reuse detected for session ${stored.session_id}, revoking family`);
+    await revokeSession(stored.session_id);
+    return null;
+  }
+
+  const newRefreshToken = await issueRefreshToken(stored.session_id);
+
+  await pool.query(
+    `UPDATE sessions
+     SET last_seen_at = CURRENT_TIMESTAMP, ip_address = COALESCE($2, ip_address)
+     WHERE id = $1`,
+    [stored.session_id, client.ipAddress || null]
+  );
+
+  return {
+    token: generateToken(stored.user_id, stored.session_id),
+    refreshToken: newRefreshToken
+  };
+};
+
+// Sessions a user is still signed in with: not revoked and holding a live refresh token
+const getActiveSessions = async (userId) => {
+  const result = await pool.query(
+    `SELECT s.id, s.device, s.user_agent, s.ip_address, s.created_at, s.last_seen_at
+     FROM sessions s
+     WHERE s.user_id = $1 AND s.revoked_at IS NULL
+       AND EXISTS (
+         SELECT 1 FROM refresh_tokens rt
+         WHERE rt.session_id = s.id AND rt.used_at IS NULL AND rt.expires_at > CURRENT_TIMESTAMP
+       )
+     ORDER BY s.last_seen_at DESC NULLS LAST`,
+    [userId]
+  );
+
+  return result.rows;
+};
+
+// Revoke a single session and every refresh token in its family
+const revokeSession = async (sessionId) => {
+  await pool.query(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL',
+    [sessionId]
+  );
+};
+
+// Revoke all sessions of a user, optionally keeping one alive
+const revokeUserSessions = async (userId, exceptSessionId = null) => {
+  await pool.query(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($2::int IS NULL OR id != $2)`,
+    [userId, exceptSessionId]
+  );
+};
+
+module.exports = {
+  hashToken,
+  generateToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  consumeTwoFactorChallenge,
+  createSession,
+  createImpersonationSession,
+  getActiveSessions,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+};
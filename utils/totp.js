@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TIME_STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+
+// Encode bytes as unpadded RFC 4648 base32
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode base32, ignoring padding, spaces and case
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Generate a new random 160-bit secret
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP value for a counter
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+};
+
+// Time step for a timestamp in milliseconds
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TIME_STEP_SECONDS);
+
+// Check a code against the current step +/- window.
+// Returns the matching step, or null. Steps at or before lastUsedStep are
+// rejected so a code cannot be replayed.
+const verifyTotp = (secret, code, { window = 1, lastUsedStep = null, timestamp = Date.now() } = {}) => {
+  if (!/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// Build the otpauth:// URI understood by authenticator apps
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(TIME_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Generate single-use recovery codes formatted as xxxxx-xxxxx
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+// Normalise user-entered recovery codes before hashing
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+
+module.exports = {
+  generateSecret,
+  generateHotp,
+  getTimeStep,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};